@@ -0,0 +1,38 @@
+// Backfill thumbnails for images uploaded before thumbnails were generated.
+// Usage: npm run thumbnails:backfill
+require('dotenv').config();
+const mongoose = require('mongoose');
+const File = require('../src/models/File');
+const { generateThumbnails } = require('../src/utils/thumbnails');
+const uploadConfig = require('../src/config/uploads');
+
+const backfill = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const cursor = File.find({
+    isDeleted: false,
+    mimeType: { $regex: '^image/' },
+    size: { $lte: uploadConfig.maxThumbnailSourceSize },
+    'thumbnails.0': { $exists: false }
+  }).cursor();
+
+  let generated = 0;
+  let failed = 0;
+  for await (const file of cursor) {
+    try {
+      const thumbnails = await generateThumbnails(file);
+      if (thumbnails.length > 0) generated++;
+    } catch (error) {
+      failed++;
+      console.error(`Thumbnails failed for ${file._id}:`, error.message);
+    }
+  }
+
+  console.log(`Generated thumbnails for ${generated} files (${failed} failed)`);
+  await mongoose.connection.close();
+};
+
+backfill().catch((error) => {
+  console.error('Thumbnail backfill failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,33 @@
+// Extract searchable text for files uploaded before content search existed.
+// Usage: npm run search:reindex
+require('dotenv').config();
+const mongoose = require('mongoose');
+const File = require('../src/models/File');
+const { canIndexContent, indexFileContent } = require('../src/utils/contentIndex');
+
+const reindex = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const cursor = File.find({ isDeleted: false, contentIndexedAt: null }).cursor();
+
+  let indexed = 0;
+  let failed = 0;
+  for await (const file of cursor) {
+    if (!canIndexContent(file)) continue;
+
+    try {
+      if (await indexFileContent(file)) indexed++;
+    } catch (error) {
+      failed++;
+      console.error(`Indexing failed for ${file._id}:`, error.message);
+    }
+  }
+
+  console.log(`Indexed ${indexed} files (${failed} failed)`);
+  await mongoose.connection.close();
+};
+
+reindex().catch((error) => {
+  console.error('Content reindex failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,44 @@
+// One-off migration: move files from cloudinaryUrl/cloudinaryPublicId to the
+// generic storageProvider/storageKey fields used by the storage adapters.
+// Usage: npm run migrate:storage
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+// Resource type is the path segment before "/upload/" in a Cloudinary delivery URL
+const resourceTypeFromUrl = (url) => {
+  const match = /\/(image|video|raw)\/upload\//.exec(url || '');
+  return match ? match[1] : 'image';
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const files = mongoose.connection.collection('files');
+
+  const cursor = files.find({
+    cloudinaryPublicId: { $exists: true },
+    storageKey: { $exists: false }
+  });
+
+  let migrated = 0;
+  for await (const file of cursor) {
+    await files.updateOne(
+      { _id: file._id },
+      {
+        $set: {
+          storageProvider: 'cloudinary',
+          storageKey: `${resourceTypeFromUrl(file.cloudinaryUrl)}/${file.cloudinaryPublicId}`
+        },
+        $unset: { cloudinaryUrl: '', cloudinaryPublicId: '' }
+      }
+    );
+    migrated++;
+  }
+
+  console.log(`Migrated ${migrated} files`);
+  await mongoose.connection.close();
+};
+
+migrate().catch((error) => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,27 @@
+// Bring the database indexes in line with the model definitions: creates
+// missing indexes and drops ones that are no longer declared (such as the old
+// name-only text index on files, which blocks the full-text search index).
+// Usage: npm run db:sync-indexes
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const modelsDir = path.join(__dirname, '../src/models');
+
+const sync = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  for (const file of fs.readdirSync(modelsDir).filter(name => name.endsWith('.js'))) {
+    const Model = require(path.join(modelsDir, file));
+    const dropped = await Model.syncIndexes();
+    console.log(`${Model.modelName}: indexes synced${dropped.length ? ` (dropped ${dropped.join(', ')})` : ''}`);
+  }
+
+  await mongoose.connection.close();
+};
+
+sync().catch((error) => {
+  console.error('Index sync failed:', error);
+  process.exit(1);
+});
@@ -1,5 +1,6 @@
 const app = require('./src/app');
 const connectDB = require('./src/config/database');
+const { startJobs } = require('./src/jobs');
 require('dotenv').config();
 
 const PORT = process.env.PORT || 5000;
@@ -7,6 +8,9 @@ const PORT = process.env.PORT || 5000;
 // Connect to database
 connectDB();
 
+// Start background jobs (they wait for the connection like any other query)
+startJobs();
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err, promise) => {
   console.log(`Error: ${err.message}`);
@@ -7,7 +7,10 @@ require('./config/passport');
 
 const app = express();
 // Middleware
-app.use(cors());
+app.use(cors({
+  // Resumable upload clients need to read these
+  exposedHeaders: ['Location', 'Upload-Offset', 'Upload-Length', 'Upload-Expires']
+}));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 app.use(passport.initialize());
@@ -53,6 +56,96 @@ try {
   process.exit(1);
 }
 
+try {
+  const uploadRoutes = require('./routes/uploads');
+  app.use('/api/uploads', uploadRoutes);
+  console.log('✅ Upload routes loaded successfully');
+} catch (error) {
+  console.error('❌ Error loading upload routes:', error.message);
+  process.exit(1);
+}
+
+try {
+  const searchRoutes = require('./routes/search');
+  app.use('/api/search', searchRoutes);
+  console.log('✅ Search routes loaded successfully');
+} catch (error) {
+  console.error('❌ Error loading search routes:', error.message);
+  process.exit(1);
+}
+
+try {
+  const tagRoutes = require('./routes/tags');
+  app.use('/api/tags', tagRoutes);
+  console.log('✅ Tag routes loaded successfully');
+} catch (error) {
+  console.error('❌ Error loading tag routes:', error.message);
+  process.exit(1);
+}
+
+try {
+  const starredRoutes = require('./routes/starred');
+  app.use('/api/starred', starredRoutes);
+  console.log('✅ Starred routes loaded successfully');
+} catch (error) {
+  console.error('❌ Error loading starred routes:', error.message);
+  process.exit(1);
+}
+
+try {
+  const recentRoutes = require('./routes/recent');
+  app.use('/api/recent', recentRoutes);
+  console.log('✅ Recent routes loaded successfully');
+} catch (error) {
+  console.error('❌ Error loading recent routes:', error.message);
+  process.exit(1);
+}
+
+try {
+  const operationRoutes = require('./routes/operations');
+  app.use('/api/operations', operationRoutes);
+  console.log('✅ Operation routes loaded successfully');
+} catch (error) {
+  console.error('❌ Error loading operation routes:', error.message);
+  process.exit(1);
+}
+
+try {
+  const batchRoutes = require('./routes/batch');
+  app.use('/api/batch', batchRoutes);
+  console.log('✅ Batch routes loaded successfully');
+} catch (error) {
+  console.error('❌ Error loading batch routes:', error.message);
+  process.exit(1);
+}
+
+try {
+  const trashRoutes = require('./routes/trash');
+  app.use('/api/trash', trashRoutes);
+  console.log('✅ Trash routes loaded successfully');
+} catch (error) {
+  console.error('❌ Error loading trash routes:', error.message);
+  process.exit(1);
+}
+
+try {
+  const storageRoutes = require('./routes/storage');
+  app.use('/api/storage', storageRoutes);
+  console.log('✅ Storage routes loaded successfully');
+} catch (error) {
+  console.error('❌ Error loading storage routes:', error.message);
+  process.exit(1);
+}
+
+try {
+  const adminRoutes = require('./routes/admin');
+  app.use('/api/admin', adminRoutes);
+  console.log('✅ Admin routes loaded successfully');
+} catch (error) {
+  console.error('❌ Error loading admin routes:', error.message);
+  process.exit(1);
+}
+
 // Health check route
 app.get('/health', (req, res) => {
   res.json({
@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 
+// Queries inside connection.transaction() callbacks use its session
+// automatically (see the batch endpoint)
+mongoose.set('transactionAsyncLocalStorage', true);
+
 const connectDB = async () => {
   try {
     const conn = await mongoose.connect(process.env.MONGODB_URI, {
@@ -0,0 +1,14 @@
+// Full-text search over file contents
+module.exports = {
+  // Files bigger than this are searchable by name only
+  maxIndexSourceSize: parseInt(process.env.MAX_INDEX_SOURCE_SIZE, 10) || 20 * 1024 * 1024, // 20MB
+  // Most bytes decompressed from an Office document's text parts, together
+  maxExtractedPartsSize: parseInt(process.env.MAX_EXTRACTED_PARTS_SIZE, 10) || 50 * 1024 * 1024, // 50MB
+  // Extracted text beyond this many characters is not indexed
+  maxIndexedTextLength: parseInt(process.env.MAX_INDEXED_TEXT_LENGTH, 10) || 500000,
+  // Characters of context shown around the first match in a snippet
+  snippetLength: 160,
+  // Unified search ranks and counts facets over at most this many files and
+  // as many folders; later pages past that point are not reachable
+  maxCandidates: parseInt(process.env.SEARCH_MAX_CANDIDATES, 10) || 1000
+};
@@ -0,0 +1,45 @@
+const path = require('path');
+
+// Storage backend configuration.
+// STORAGE_DRIVER picks the backend for new uploads; existing files remember the
+// provider they were written to, so switching drivers never breaks old files.
+module.exports = {
+  driver: process.env.STORAGE_DRIVER || 'cloudinary',
+
+  // Downloads are streamed through the API ('proxy') or, where the backend can
+  // sign URLs, answered with a redirect to a short-lived signed URL ('redirect')
+  downloads: {
+    mode: process.env.DOWNLOAD_MODE || 'proxy',
+    signedUrlTtl: parseInt(process.env.SIGNED_URL_TTL, 10) || 300 // seconds
+  },
+
+  // Reconciliation: stored objects no file, version, blob or thumbnail refers
+  // to are deleted once they are older than this, so content that is still
+  // being uploaded and recorded is never touched
+  orphanGracePeriodHours: parseInt(process.env.STORAGE_ORPHAN_GRACE_HOURS, 10) || 24,
+
+  // Local filesystem driver (offline staging / CI)
+  local: {
+    root: path.resolve(process.env.LOCAL_STORAGE_ROOT || path.join(__dirname, '../../uploads'))
+  },
+
+  // S3-compatible driver (AWS S3, MinIO, ...)
+  s3: {
+    endpoint: process.env.S3_ENDPOINT, // e.g. http://localhost:9000 for MinIO
+    region: process.env.S3_REGION || 'us-east-1',
+    bucket: process.env.S3_BUCKET || 'google-drive',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+      ? process.env.S3_FORCE_PATH_STYLE === 'true'
+      : !!process.env.S3_ENDPOINT // MinIO needs path-style addressing
+  },
+
+  // Cloudinary driver
+  cloudinary: {
+    cloudName: process.env.CLOUDINARY_CLOUD_NAME,
+    apiKey: process.env.CLOUDINARY_API_KEY,
+    apiSecret: process.env.CLOUDINARY_API_SECRET,
+    folder: process.env.CLOUDINARY_FOLDER || 'google-drive'
+  }
+};
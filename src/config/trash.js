@@ -0,0 +1,7 @@
+// Trash retention: deleted items can be restored for this many days, then
+// they are purged for good. Users can pick their own period within the bounds.
+module.exports = {
+  retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30,
+  minRetentionDays: 1,
+  maxRetentionDays: 365
+};
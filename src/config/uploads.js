@@ -0,0 +1,23 @@
+const os = require('os');
+const path = require('path');
+
+// Upload limits and resumable upload settings
+module.exports = {
+  // Single-request (multipart) uploads
+  maxFileSize: 100 * 1024 * 1024, // 100MB
+  maxFiles: 10,
+  maxFolderUploadFiles: parseInt(process.env.MAX_FOLDER_UPLOAD_FILES, 10) || 500,
+
+  // Resumable uploads
+  maxResumableFileSize: parseInt(process.env.MAX_RESUMABLE_UPLOAD_SIZE, 10) || 2 * 1024 * 1024 * 1024, // 2GB
+  sessionTtlHours: parseInt(process.env.UPLOAD_SESSION_TTL_HOURS, 10) || 24,
+  tmpDir: path.resolve(process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'google-drive-uploads')),
+
+  // Thumbnails: longest edge in pixels for each generated size. Images bigger
+  // than maxThumbnailSourceSize are left without thumbnails.
+  thumbnailSizes: { small: 128, medium: 256, large: 512 },
+  maxThumbnailSourceSize: parseInt(process.env.MAX_THUMBNAIL_SOURCE_SIZE, 10) || 50 * 1024 * 1024, // 50MB
+
+  // Version history: past versions kept per file (the current one is not counted)
+  maxFileVersions: parseInt(process.env.MAX_FILE_VERSIONS, 10) || 10
+};
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Operation = require('../models/Operation');
+const UsageLedger = require('../models/UsageLedger');
+const { reconcileStorage } = require('../utils/storageReconciliation');
+const { startOperation, formatOperation } = require('../utils/operations');
+
+// Compare stored objects with the database for one user ({ userId }) or
+// everyone. A dry run (the default) only reports orphans and missing
+// objects; { apply: true } also deletes orphans past the grace period.
+// Runs in the background: the response points at an operation to poll.
+const reconcileStorageNow = async (req, res) => {
+  try {
+    const { userId, apply = false } = req.body;
+
+    let userIds;
+    if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId) || !(await User.exists({ _id: userId }))) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+      userIds = [new mongoose.Types.ObjectId(userId)];
+    } else {
+      userIds = await User.find().distinct('_id');
+    }
+
+    const operation = await Operation.create({
+      user: req.user._id,
+      type: 'storage-reconcile',
+      params: { userId: userId || null, apply: Boolean(apply) },
+      progress: { totalItems: userIds.length }
+    });
+
+    startOperation(operation, () => reconcileStorage({
+      userIds,
+      apply: Boolean(apply),
+      operation
+    }));
+
+    res.status(202)
+      .location(`/api/operations/${operation._id}`)
+      .json({
+        success: true,
+        message: `${apply ? 'Reconciling' : 'Checking'} storage of ${userIds.length} users`,
+        operation: formatOperation(operation)
+      });
+  } catch (error) {
+    console.error('Reconcile storage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start storage reconciliation'
+    });
+  }
+};
+
+// Recount a user's storage from their files and versions, correcting a
+// drifted storageUsed counter (the correction goes into the usage ledger)
+const repairStorageUsage = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('storageUsed');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const before = user.storageUsed;
+    const after = await User.recalculateStorageUsage(user._id);
+    // Deleted while the files were being counted
+    if (after === null) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: after === before ? 'Storage usage was correct' : 'Storage usage repaired',
+      storageUsed: after,
+      drift: before - after
+    });
+  } catch (error) {
+    console.error('Repair storage usage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to repair storage usage'
+    });
+  }
+};
+
+// A user's storage changes, newest first; ?before= pages back in time
+const getUsageLedger = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const before = req.query.before ? new Date(req.query.before) : null;
+
+    if (before && Number.isNaN(before.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid before date'
+      });
+    }
+
+    const entries = await UsageLedger.find({
+      user: req.params.id,
+      ...(before ? { createdAt: { $lt: before } } : {})
+    })
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      entries,
+      nextBefore: entries.length === limit ? entries[entries.length - 1].createdAt : null
+    });
+  } catch (error) {
+    console.error('Get usage ledger error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get usage ledger'
+    });
+  }
+};
+
+module.exports = {
+  reconcileStorageNow,
+  repairStorageUsage,
+  getUsageLedger
+};
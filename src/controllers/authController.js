@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { retentionDaysFor } = require('../utils/trash');
 
 // Generate JWT Token
 const generateToken = (id) => {
@@ -137,6 +138,7 @@ const getProfile = async (req, res) => {
         avatar: user.avatar,
         storageUsed: user.storageUsed,
         storageLimit: user.storageLimit,
+        trashRetentionDays: retentionDaysFor(user),
         createdAt: user.createdAt
       }
     });
@@ -154,7 +156,7 @@ const getProfile = async (req, res) => {
 // @access  Private
 const updateProfile = async (req, res) => {
   try {
-    const { name, email } = req.body;
+    const { name, email, trashRetentionDays } = req.body;
     const userId = req.user.id;
 
     // Check if email is being changed and if it's already taken
@@ -177,7 +179,9 @@ const updateProfile = async (req, res) => {
       userId,
       { 
         ...(name && { name }),
-        ...(email && { email })
+        ...(email && { email }),
+        // null goes back to the deployment's retention period
+        ...(trashRetentionDays !== undefined && { trashRetentionDays })
       },
       { 
         new: true, 
@@ -201,11 +205,18 @@ const updateProfile = async (req, res) => {
         email: user.email,
         avatar: user.avatar,
         storageUsed: user.storageUsed,
-        storageLimit: user.storageLimit
+        storageLimit: user.storageLimit,
+        trashRetentionDays: retentionDaysFor(user)
       }
     });
   } catch (error) {
     console.error('Update profile error:', error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: error.message || 'Server error'
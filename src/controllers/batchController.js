@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const { runBatchOperation } = require('../utils/batchOperations');
+
+const MAX_OPERATIONS = 1000;
+
+// Thrown inside a transaction to roll the whole batch back
+class BatchRollback extends Error {}
+
+// Run many file and folder operations (delete, restore, move, share, tag,
+// star, unstar) in one request. Each gets its own result and status code;
+// with atomic: true they are all applied in one transaction, or none are.
+const runBatch = async (req, res) => {
+  try {
+    const { operations, atomic = false } = req.body;
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Operations must be a non-empty array'
+      });
+    }
+
+    if (operations.length > MAX_OPERATIONS) {
+      return res.status(400).json({
+        success: false,
+        message: `A batch can have at most ${MAX_OPERATIONS} operations`
+      });
+    }
+
+    if (operations.some(operation => !operation || typeof operation !== 'object')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each operation must be an object with op, type and id'
+      });
+    }
+
+    let results = [];
+    const runAll = async () => {
+      results = [];
+      for (const [index, operation] of operations.entries()) {
+        const { op, type, id } = operation;
+        results.push({ index, op, type, id, ...(await runBatchOperation(operation, req.user._id)) });
+
+        if (atomic && !results[index].success) {
+          throw new BatchRollback();
+        }
+      }
+    };
+
+    if (atomic) {
+      try {
+        // Queries in the callback join the transaction on their own
+        // (transactionAsyncLocalStorage); it may run more than once on
+        // transient errors, so it starts over each time
+        await mongoose.connection.transaction(runAll);
+      } catch (error) {
+        if (error.code === 20) {
+          return res.status(501).json({
+            success: false,
+            message: 'Atomic batches need MongoDB running as a replica set'
+          });
+        }
+        if (!(error instanceof BatchRollback)) throw error;
+
+        // Nothing was applied; report what failed and what didn't get to run
+        const failed = results[results.length - 1];
+        return res.status(400).json({
+          success: false,
+          atomic: true,
+          message: `Operation ${failed.index} failed; no changes were made`,
+          results: operations.map(({ op, type, id }, index) => (index === failed.index
+            ? failed
+            : { index, op, type, id, status: 424, success: false, message: 'Not applied' })),
+          succeeded: 0,
+          failed: operations.length
+        });
+      }
+    } else {
+      await runAll();
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+
+    res.json({
+      success: succeeded === results.length,
+      atomic: Boolean(atomic),
+      results,
+      succeeded,
+      failed: results.length - succeeded
+    });
+
+  } catch (error) {
+    console.error('Run batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run batch'
+    });
+  }
+};
+
+module.exports = {
+  runBatch
+};
@@ -1,40 +1,51 @@
-const cloudinary = require('cloudinary').v2;
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const File = require('../models/File'); // Use the actual model
 const User = require('../models/User');
-const crypto = require("crypto");
-
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
-
-// Helper function to upload to Cloudinary
-const uploadToCloudinary = (buffer, options = {}) => {
-  return new Promise((resolve, reject) => {
-    const uploadOptions = {
-      resource_type: 'auto',
-      folder: 'google-drive-clone',
-      ...options
-    };
-
-    const uploadStream = cloudinary.uploader.upload_stream(
-      uploadOptions,
-      (error, result) => {
-        if (error) {
-          console.error('Cloudinary upload error:', error);
-          reject(error);
-        } else {
-          console.log('Cloudinary upload success:', result.public_id);
-          resolve(result);
-        }
-      }
-    );
-
-    uploadStream.end(buffer);
-  });
-};
+const Folder = require('../models/Folder');
+const Star = require('../models/Star');
+const ShareLink = require('../models/ShareLink');
+const { createFileRecord, discardContent, purgeFile } = require('../utils/fileStore');
+const { addFileVersion } = require('../utils/fileVersions');
+const { conflictPolicies, resolveFileConflict } = require('../utils/nameConflicts');
+const { splitRelativePath, ensureFolderPath } = require('../utils/folderTree');
+const { fileEntry, collectFolderEntries, sendArchive } = require('../utils/archive');
+const { sendContent, sendThumbnail, getRedirectUrl, isNewTransfer } = require('../utils/download');
+const { generateThumbnails } = require('../utils/thumbnails');
+const { buildSnippet } = require('../utils/contentIndex');
+const { recordActivity } = require('../utils/activity');
+const { retentionDaysFor, purgeAtFor } = require('../utils/trash');
+const {
+  ShareLinkError,
+  findShare,
+  resolveLinkVisitor,
+  applyLinkOptions,
+  clearLinkOptions,
+  formatLinkOptions,
+  formatShareSettings,
+  formatVisitorLink,
+  formatSharedThumbnails,
+  checkLinkAccess,
+  unlockLink,
+  claimLinkDownload,
+  getAccessToken,
+  sendShareLinkError
+} = require('../utils/shareLinks');
+const {
+  FileOperationError,
+  resolveDestination,
+  moveFileInto,
+  copyFileInto
+} = require('../utils/fileOperations');
+const {
+  SearchQueryError,
+  parseSearchQuery,
+  compileSearchQuery,
+  nameMatchCondition
+} = require('../utils/searchQuery');
+
+// Most items a single archive request may select
+const MAX_ARCHIVE_ITEMS = 1000;
 
 // Helper function to sanitize filename
 const sanitizeFilename = (filename) => {
@@ -47,55 +58,34 @@ const sanitizeFilename = (filename) => {
 // Upload file controller
 const uploadFile = async (req, res) => {
   try {
-    console.log('=== FILE UPLOAD START ===');
-    console.log('File received:', {
-      originalname: req.file.originalname,
-      size: req.file.size,
-      mimetype: req.file.mimetype,
-      bufferSize: req.file.buffer.length
-    });
-
     // Check if file exists
-    if (!req.file || !req.file.buffer) {
+    if (!req.file || !req.file.storageKey) {
       return res.status(400).json({
         success: false,
-        message: 'No file or file buffer found'
+        message: 'No file or stored content found'
       });
     }
 
-    // Upload to Cloudinary
-    console.log('Uploading to Cloudinary...');
-    const cloudinaryResult = await uploadToCloudinary(req.file.buffer, {
-      folder: `google-drive/${req.user._id}`,
-      resource_type: 'auto'
-    });
+    // The content was already streamed to storage by the upload middleware
+    const fileName = req.body.name || req.file.originalname;
+    const folderId = req.body.folderId || null;
 
-    console.log('Cloudinary upload successful');
+    if (!(await canUploadInto(folderId, req.user._id))) {
+      await discardContent(req.file);
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found or access denied'
+      });
+    }
 
-    // Create file document
-    const fileName = req.body.name || req.file.originalname;
-    
-    const file = new File({
+    const savedFile = await createFileRecord(req.file, {
+      owner: req.user._id,
       name: sanitizeFilename(fileName),
       originalName: req.file.originalname,
-      size: req.file.size,
       mimeType: req.file.mimetype,
-      cloudinaryUrl: cloudinaryResult.secure_url,
-      cloudinaryPublicId: cloudinaryResult.public_id,
-      owner: req.user._id,
-      folder: req.body.folderId || null
+      folder: folderId
     });
 
-    const savedFile = await file.save();
-    
-    // Update user storage usage
-    await User.findByIdAndUpdate(
-      req.user._id, 
-      { $inc: { storageUsed: req.file.size } }
-    );
-
-    console.log('File saved to database:', savedFile._id);
-
     res.status(201).json({
       success: true,
       message: 'File uploaded successfully',
@@ -105,15 +95,15 @@ const uploadFile = async (req, res) => {
         originalName: savedFile.originalName,
         size: savedFile.size,
         mimeType: savedFile.mimeType,
-        url: savedFile.cloudinaryUrl, // Direct access to URL
+        hash: savedFile.hash,
+        url: savedFile.url, // Direct access to URL
         folder: savedFile.folder,
         createdAt: savedFile.createdAt
       }
     });
 
   } catch (error) {
-    console.error('=== UPLOAD ERROR ===');
-    console.error('Error details:', error.message);
+    console.error('Upload file error:', error);
 
     // Handle specific errors
     if (error.name === 'ValidationError') {
@@ -124,17 +114,265 @@ const uploadFile = async (req, res) => {
       });
     }
 
-    if (error.message.includes('Cloudinary')) {
-      return res.status(500).json({
+    res.status(500).json({
+      success: false,
+      message: 'File upload failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Shape of a stored file in batch and folder upload results
+const formatUploadedFile = (file) => ({
+  id: file._id,
+  name: file.name,
+  originalName: file.originalName,
+  size: file.size,
+  mimeType: file.mimeType,
+  hash: file.hash,
+  url: file.url,
+  folder: file.folder,
+  version: file.version,
+  createdAt: file.createdAt
+});
+
+// Release content that was stored for files that will not be recorded
+const discardUploads = (files) =>
+  Promise.all(files.filter(file => file.storageKey).map(discardContent));
+
+// Check that uploads may go into the given folder (none means the root).
+// Uploads belong to the uploader, so only their own folders take them.
+const canUploadInto = async (folderId, userId) => {
+  if (!folderId) return true;
+  return mongoose.Types.ObjectId.isValid(folderId) &&
+    !!(await Folder.findOwnedBy(folderId, userId));
+};
+
+// Upload several files in one request. Each file succeeds or fails on its own;
+// names[i] optionally renames the i-th file of the request
+const uploadFiles = async (req, res) => {
+  const files = req.files || [];
+  const { rejected } = req.batchUpload;
+
+  try {
+    if (files.length === 0 && rejected.length === 0) {
+      return res.status(400).json({
         success: false,
-        message: 'File upload to cloud storage failed'
+        message: 'No files uploaded'
       });
     }
 
+    const folderId = req.body.folderId || null;
+    if (!(await canUploadInto(folderId, req.user._id))) {
+      await discardUploads(files);
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found or access denied'
+      });
+    }
+
+    const names = [].concat(req.body.names || []);
+    const results = rejected.map(({ index, originalName, message }) => ({
+      index,
+      originalName,
+      success: false,
+      message
+    }));
+
+    // One at a time, so storage usage is updated in the order files arrived
+    for (const file of files) {
+      const result = { index: file.index, originalName: file.originalname };
+
+      if (file.uploadError) {
+        results.push({ ...result, success: false, message: file.uploadError });
+        continue;
+      }
+
+      try {
+        const savedFile = await createFileRecord(file, {
+          owner: req.user._id,
+          name: sanitizeFilename(names[file.index] || file.originalname),
+          originalName: file.originalname,
+          mimeType: file.mimetype,
+          folder: folderId
+        });
+
+        results.push({
+          ...result,
+          success: true,
+          file: formatUploadedFile(savedFile)
+        });
+      } catch (error) {
+        console.error('Batch upload save error:', error);
+        results.push({
+          ...result,
+          success: false,
+          message: error.name === 'ValidationError'
+            ? Object.values(error.errors).map(e => e.message).join(', ')
+            : 'Failed to save file'
+        });
+      }
+    }
+
+    results.sort((a, b) => a.index - b.index);
+    const uploaded = results.filter(result => result.success).length;
+
+    res.status(uploaded > 0 ? 201 : 400).json({
+      success: uploaded === results.length,
+      message: `${uploaded} of ${results.length} files uploaded successfully`,
+      uploaded,
+      failed: results.length - uploaded,
+      results
+    });
+  } catch (error) {
+    console.error('Batch upload error:', error);
+
+    // Nothing was recorded, so none of the stored content is referenced
+    await discardUploads(files);
+
     res.status(500).json({
       success: false,
-      message: 'File upload failed',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      message: 'File upload failed'
+    });
+  }
+};
+
+// Upload a directory tree. Each file's relative path (paths[i], or the path the
+// browser sent as its filename) decides where it goes: missing folders are
+// created under folderId, existing ones reused, and file name clashes follow
+// the `conflict` policy (rename, skip, replace with a new version, or error)
+const uploadFolder = async (req, res) => {
+  const files = req.files || [];
+  const { rejected } = req.batchUpload;
+
+  try {
+    if (files.length === 0 && rejected.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No files uploaded'
+      });
+    }
+
+    const folderId = req.body.folderId || null;
+    const conflict = req.body.conflict || 'rename';
+
+    if (!conflictPolicies.includes(conflict)) {
+      await discardUploads(files);
+      return res.status(400).json({
+        success: false,
+        message: `Invalid conflict policy. Must be one of: ${conflictPolicies.join(', ')}`
+      });
+    }
+
+    if (!(await canUploadInto(folderId, req.user._id))) {
+      await discardUploads(files);
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found or access denied'
+      });
+    }
+
+    const paths = [].concat(req.body.paths || []);
+    const folderCache = new Map();
+    const results = rejected.map(({ index, originalName, message }) => ({
+      index,
+      path: paths[index] || originalName,
+      success: false,
+      message
+    }));
+
+    for (const file of files) {
+      const relativePath = paths[file.index] || file.originalname;
+      const result = { index: file.index, path: relativePath };
+
+      if (file.uploadError) {
+        results.push({ ...result, success: false, message: file.uploadError });
+        continue;
+      }
+
+      // Set once the content is passed on; from then on it is cleaned up for us
+      let handedOff = false;
+
+      try {
+        const parsed = splitRelativePath(relativePath);
+        if (!parsed) {
+          await discardContent(file);
+          results.push({ ...result, success: false, message: 'Invalid relative path' });
+          continue;
+        }
+
+        const folder = await ensureFolderPath(parsed.directories, {
+          owner: req.user._id,
+          parent: folderId,
+          cache: folderCache
+        });
+
+        const { action, name, existing } = await resolveFileConflict({
+          owner: req.user._id,
+          folder,
+          name: sanitizeFilename(parsed.filename)
+        }, conflict);
+
+        if (action === 'skip' || action === 'error') {
+          await discardContent(file);
+          results.push(action === 'skip'
+            ? { ...result, success: true, action: 'skipped', file: formatUploadedFile(existing) }
+            : { ...result, success: false, message: `A file named ${name} already exists in this folder` });
+          continue;
+        }
+
+        handedOff = true;
+        const details = {
+          originalName: parsed.filename,
+          mimeType: file.mimetype,
+          uploadedBy: req.user._id
+        };
+
+        const savedFile = action === 'replace'
+          ? await addFileVersion(existing, file, details)
+          : await createFileRecord(file, { ...details, owner: req.user._id, name, folder });
+
+        results.push({
+          ...result,
+          success: true,
+          action: { create: 'created', rename: 'renamed', replace: 'replaced' }[action],
+          file: formatUploadedFile(savedFile)
+        });
+      } catch (error) {
+        console.error('Folder upload file error:', error);
+        if (!handedOff) {
+          await discardContent(file);
+        }
+        results.push({ ...result, success: false, message: 'Failed to save file' });
+      }
+    }
+
+    results.sort((a, b) => a.index - b.index);
+    const uploaded = results.filter(result => result.success).length;
+    const createdFolders = [...folderCache.values()]
+      .filter(entry => entry.created)
+      .map(({ folder }) => ({
+        id: folder._id,
+        name: folder.name,
+        path: folder.path,
+        parent: folder.parent
+      }));
+
+    res.status(uploaded > 0 ? 201 : 400).json({
+      success: uploaded === results.length,
+      message: `${uploaded} of ${results.length} files uploaded successfully`,
+      uploaded,
+      failed: results.length - uploaded,
+      folders: createdFolders,
+      results
+    });
+  } catch (error) {
+    console.error('Folder upload error:', error);
+    await discardUploads(files);
+
+    res.status(500).json({
+      success: false,
+      message: 'Folder upload failed'
     });
   }
 };
@@ -157,6 +395,7 @@ const getUserFiles = async (req, res) => {
       .skip((page - 1) * limit);
 
     const total = await File.countDocuments(query);
+    const starred = await Star.findStarredIds(req.user._id, 'File', files.map(file => file._id));
 
     res.json({
       success: true,
@@ -166,8 +405,12 @@ const getUserFiles = async (req, res) => {
         originalName: file.originalName,
         size: file.size,
         mimeType: file.mimeType,
-        url: file.cloudinaryUrl,
+        url: file.url,
+        thumbnailUrl: file.thumbnailUrl,
+        thumbnails: file.thumbnailUrls,
         folder: file.folder,
+        tags: file.tags,
+        isStarred: starred.has(file._id.toString()),
         createdAt: file.createdAt
       })),
       pagination: {
@@ -206,6 +449,9 @@ const getFileById = async (req, res) => {
     // Update last accessed
     file.lastAccessed = new Date();
     await file.save();
+    await recordActivity(req.user._id, file._id, 'opened');
+
+    const starred = await Star.findStarredIds(req.user._id, 'File', [file._id]);
 
     res.json({
       success: true,
@@ -215,8 +461,13 @@ const getFileById = async (req, res) => {
         originalName: file.originalName,
         size: file.size,
         mimeType: file.mimeType,
-        url: file.cloudinaryUrl,
+        url: file.url,
+        thumbnailUrl: file.thumbnailUrl,
+        thumbnails: file.thumbnailUrls,
         folder: file.folder,
+        tags: file.tags,
+        isStarred: starred.size > 0,
+        version: file.version,
         lastAccessed: file.lastAccessed,
         createdAt: file.createdAt
       }
@@ -231,23 +482,158 @@ const getFileById = async (req, res) => {
   }
 };
 
-//Dowload file
+// Download file: streamed through the API (with Range support), or a redirect
+// to a short-lived signed URL when the storage backend is set up for that
 const downloadFile = async (req, res) => {
   try {
-    const file = await File.findById(req.params.id);
-    if (!file) return res.status(404).json({ success: false, message: "File not found" });
+    const file = await File.findAccessibleBy(req.params.id, req.user._id);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
 
-    // If file stored in cloudinary
-    if (file.url) {
-      return res.redirect(file.url); // Streams directly from Cloudinary
+    // ?disposition=inline lets browsers play or display the file in place
+    const inline = req.query.disposition === 'inline';
+
+    const redirectUrl = await getRedirectUrl(file, file.name, { inline });
+    if (redirectUrl) {
+      await file.recordDownload();
+      await recordActivity(req.user._id, file._id, 'opened');
+      return res.redirect(redirectUrl);
     }
 
-    res.status(400).json({ success: false, message: "File does not have a valid URL" });
-  } catch (err) {
-    res.status(500).json({ success: false, message: err.message });
+    const transfer = await sendContent(req, res, file, file.name, { inline });
+
+    // Count each transfer once, not every range request made while seeking
+    if (req.method === 'GET' && isNewTransfer(transfer)) {
+      await file.recordDownload();
+      await recordActivity(req.user._id, file._id, 'opened');
+    }
+  } catch (error) {
+    console.error('Download file error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to download file'
+      });
+    }
+  }
+};
+
+// Thumbnail of a file the user can access, in one of the configured sizes
+const getFileThumbnail = async (req, res) => {
+  try {
+    const file = await File.findAccessibleBy(req.params.id, req.user._id);
+    if (!file || !(await sendThumbnail(res, file, req.params.size))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thumbnail not found'
+      });
+    }
+  } catch (error) {
+    console.error('Get thumbnail error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch thumbnail'
+      });
+    }
+  }
+};
+
+// Regenerate the thumbnails of a file (e.g. one uploaded before thumbnails existed)
+const regenerateThumbnails = async (req, res) => {
+  try {
+    const file = await File.findAccessibleBy(req.params.id, req.user._id, { write: true });
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found or access denied'
+      });
+    }
+
+    await generateThumbnails(file);
+
+    res.json({
+      success: true,
+      message: file.thumbnailUrl ? 'Thumbnails generated successfully' : 'No thumbnails available for this file type',
+      thumbnailUrl: file.thumbnailUrl,
+      thumbnails: file.thumbnailUrls
+    });
+  } catch (error) {
+    console.error('Regenerate thumbnails error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate thumbnails'
+    });
   }
 };
- 
+
+// Download a selection of files and folders as one ZIP archive. Selected
+// items sit at the top of the archive; folders keep their structure.
+const downloadArchive = async (req, res) => {
+  try {
+    const fileIds = [].concat(req.body.fileIds || []);
+    const folderIds = [].concat(req.body.folderIds || []);
+    const ids = [...fileIds, ...folderIds];
+
+    if (ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Select at least one file or folder'
+      });
+    }
+
+    if (ids.length > MAX_ARCHIVE_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        message: `Too many items. Maximum ${MAX_ARCHIVE_ITEMS} items per archive.`
+      });
+    }
+
+    if (!ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid file or folder ID format'
+      });
+    }
+
+    // Every item goes through the same access check as opening it directly
+    const [files, folders] = await Promise.all([
+      Promise.all(fileIds.map(id => File.findAccessibleBy(id, req.user._id))),
+      Promise.all(folderIds.map(id => Folder.findAccessibleBy(id, req.user._id)))
+    ]);
+
+    if (files.includes(null) || folders.includes(null)) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or more items were not found or access denied'
+      });
+    }
+
+    const entries = files.map(file => fileEntry(file));
+    for (const folder of folders) {
+      entries.push(...await collectFolderEntries(folder));
+    }
+
+    const archiveName = files.length === 0 && folders.length === 1
+      ? `${folders[0].name}.zip`
+      : `download-${new Date().toISOString().slice(0, 10)}.zip`;
+
+    await sendArchive(res, entries, archiveName);
+  } catch (error) {
+    console.error('Download archive error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create archive'
+      });
+    }
+  }
+};
+
 // FIXED: Restore file from trash
 const restoreFile = async (req, res) => {
   try {
@@ -276,7 +662,7 @@ const restoreFile = async (req, res) => {
         originalName: file.originalName,
         size: file.size,
         mimeType: file.mimeType,
-        url: file.cloudinaryUrl,
+        url: file.url,
         createdAt: file.createdAt
       }
     });
@@ -296,10 +682,16 @@ const getTrashedFiles = async (req, res) => {
       owner: req.user._id, // FIXED: Only user's files
       isDeleted: true 
     }).sort({ deletedAt: -1 }); // Sort by deletion date
+    const retentionDays = retentionDaysFor(req.user);
 
     res.json({ 
       success: true, 
-      trashedFiles // This matches your frontend expectation
+      retentionDays,
+      // This matches your frontend expectation, plus when each file is purged
+      trashedFiles: trashedFiles.map(file => ({
+        ...file.toJSON(),
+        purgeAt: purgeAtFor(file.deletedAt, retentionDays)
+      }))
     });
   } catch (err) {
     console.error('Get trashed files error:', err);
@@ -311,13 +703,19 @@ const getTrashedFiles = async (req, res) => {
 };
 const unshareFile = async (req, res) => {
   try {
-    const file = await File.findByIdAndUpdate(
-      req.params.id,
-      { isShared: false, shareToken: null },
+    const file = await File.findOneAndUpdate(
+      { _id: req.params.id, owner: req.user._id },
+      { isShared: false, shareToken: null, 'shareSettings.link': {} },
       { new: true }
     );
     if (!file) return res.status(404).json({ success: false, message: "File not found" });
 
+    // Unsharing stops every link, not just the file's own
+    await ShareLink.updateMany(
+      { itemType: 'File', item: file._id, revokedAt: null },
+      { revokedAt: new Date(), revokedBy: req.user._id }
+    );
+
     res.json({ success: true, message: "File unshared successfully", file });
   } catch (err) {
     res.status(500).json({ success: false, message: err.message });
@@ -335,12 +733,107 @@ const renameFile = async (req, res) => {
       { new: true }
     );
     if (!file) return res.status(404).json({ success: false, message: "File not found" });
+    await recordActivity(req.user._id, file._id, 'edited');
 
     res.json({ success: true, message: "File renamed successfully", file });
   } catch (err) {
     res.status(500).json({ success: false, message: err.message });
   }
 };
+// Reply to a failed move or copy
+const sendFileOperationError = (res, error, label) => {
+  if (error instanceof FileOperationError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `${label} failed`
+  });
+};
+
+// Move a file into another folder (folderId null or 'root' for the root)
+const moveFile = async (req, res) => {
+  try {
+    const { folderId = null, conflict = 'rename' } = req.body;
+
+    if (!conflictPolicies.includes(conflict)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid conflict policy. Must be one of: ${conflictPolicies.join(', ')}`
+      });
+    }
+
+    const file = await File.findAccessibleBy(req.params.id, req.user._id, { write: true });
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found or access denied'
+      });
+    }
+
+    const destination = await resolveDestination(folderId, req.user._id);
+    const { action, file: result } = await moveFileInto(file, destination, { userId: req.user._id, conflict });
+
+    res.json({
+      success: true,
+      message: action === 'skipped'
+        ? `A file named ${file.name} already exists there; nothing was moved`
+        : 'File moved successfully',
+      action,
+      file: formatUploadedFile(result)
+    });
+
+  } catch (error) {
+    sendFileOperationError(res, error, 'Move file');
+  }
+};
+
+// Copy a file into a folder; body { folderId, name, conflict }
+const copyFile = async (req, res) => {
+  try {
+    const { folderId = null, name, conflict = 'rename' } = req.body;
+
+    if (!conflictPolicies.includes(conflict)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid conflict policy. Must be one of: ${conflictPolicies.join(', ')}`
+      });
+    }
+
+    const file = await File.findAccessibleBy(req.params.id, req.user._id);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found or access denied'
+      });
+    }
+
+    const destination = await resolveDestination(folderId, req.user._id);
+    const { action, file: result } = await copyFileInto(file, destination, {
+      userId: req.user._id,
+      conflict,
+      name
+    });
+
+    res.status(action === 'skipped' ? 200 : 201).json({
+      success: true,
+      message: action === 'skipped'
+        ? `A file named ${result.name} already exists there; nothing was copied`
+        : 'File copied successfully',
+      action,
+      file: formatUploadedFile(result)
+    });
+
+  } catch (error) {
+    sendFileOperationError(res, error, 'Copy file');
+  }
+};
+
 //Pdf
 // Permanently delete a file from MongoDB
 // FIXED: Permanently delete file
@@ -361,14 +854,9 @@ const permanentlyDeleteFile = async (req, res) => {
       });
     }
 
-    // Actually remove from database
-    await File.deleteOne({ _id: id, owner: req.user._id });
-
-    // Update user storage usage
-    await User.findByIdAndUpdate(
-      req.user._id, 
-      { $inc: { storageUsed: -file.size } }
-    );
+    // Remove the document, its version history and the stored content,
+    // and give the space back to the user
+    await purgeFile(file);
 
     res.json({ 
       success: true, 
@@ -430,16 +918,42 @@ const searchFiles = async (req, res) => {
       });
     }
 
-    const files = await File.find({
-      owner: req.user._id,
-      isDeleted: false,
-      $or: [
-        { name: { $regex: q, $options: 'i' } },
-        { originalName: { $regex: q, $options: 'i' } }
-      ]
-    })
-    .populate('folder', 'name path')
-    .sort({ createdAt: -1 });
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+    // e.g. budget type:pdf size>10mb in:"Finance/2025" (see utils/searchQuery)
+    const parsed = parseSearchQuery(q);
+    const { filter, text } = await compileSearchQuery(parsed, req.user._id);
+    const nameCondition = nameMatchCondition(parsed.terms);
+
+    // Ranked matches on names and document contents (a filter such as
+    // type:folder leaves nothing for a file search to find)
+    const textMatches = filter && parsed.terms.some(term => !term.negated)
+      ? await File.find(
+        { ...filter, $text: { $search: text } },
+        { score: { $meta: 'textScore' } }
+      )
+      .select('+content')
+      .populate('folder', 'name path')
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit)
+      : [];
+
+    // Partial name matches the text index can't find, or plain filter results
+    const otherMatches = filter && textMatches.length < limit
+      ? await File.find({
+        $and: [
+          ...filter.$and,
+          ...(nameCondition ? [nameCondition] : []),
+          { _id: { $nin: textMatches.map(file => file._id) } }
+        ]
+      })
+      .populate('folder', 'name path')
+      .sort({ createdAt: -1 })
+      .limit(limit - textMatches.length)
+      : [];
+
+    const files = [...textMatches, ...otherMatches];
+    const starred = await Star.findStarredIds(req.user._id, 'File', files.map(file => file._id));
 
     res.json({
       success: true,
@@ -449,8 +963,15 @@ const searchFiles = async (req, res) => {
         originalName: file.originalName,
         size: file.size,
         mimeType: file.mimeType,
-        url: file.cloudinaryUrl,
+        url: file.url,
+        thumbnailUrl: file.thumbnailUrl,
+        thumbnails: file.thumbnailUrls,
         folder: file.folder,
+        owner: file.owner,
+        tags: file.tags,
+        isStarred: starred.has(file._id.toString()),
+        score: file.get('score') || 0,
+        snippet: buildSnippet(file.content, text),
         createdAt: file.createdAt
       })),
       query: q,
@@ -458,6 +979,14 @@ const searchFiles = async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof SearchQueryError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        position: error.position
+      });
+    }
+
     console.error('Search files error:', error);
     res.status(500).json({
       success: false,
@@ -483,7 +1012,7 @@ const shareFile = async (req, res) => {
       _id: req.params.id,
       owner: req.user._id,
       isDeleted: false
-    });
+    }).select('+shareSettings.link.passwordHash');
 
     if (!file) {
       return res.status(404).json({
@@ -540,6 +1069,9 @@ const shareFile = async (req, res) => {
       file.shareToken = crypto.randomBytes(16).toString("hex");
     }
     
+    // Expiry, password and download limit of the link
+    await applyLinkOptions(file.shareSettings.link, req.body);
+
     file.isShared = true;
     await file.save();
 
@@ -554,12 +1086,17 @@ const shareFile = async (req, res) => {
         name: file.name,
         isShared: file.isShared,
         shareToken: file.shareToken,
-        shareSettings: file.shareSettings,
+        shareSettings: formatShareSettings(file),
+        link: formatLinkOptions(file.shareSettings.link),
         shareUrl: `${process.env.FRONTEND_URL}/shared/${file.shareToken}`
       }
     });
 
   } catch (error) {
+    if (error instanceof ShareLinkError) {
+      return sendShareLinkError(res, error);
+    }
+
     console.error('Share file error:', error);
     res.status(500).json({
       success: false,
@@ -571,52 +1108,37 @@ const shareFile = async (req, res) => {
 const getSharedFile = async (req, res) => {
   try {
     const { token } = req.params;
-    
-    const file = await File.findOne({ 
-      shareToken: token, 
-      isShared: true,
-      isDeleted: false 
-    })
-    .populate('owner', 'name email')
-    .populate('shareSettings.sharedWith.user', 'name email');
 
-    if (!file) {
+    const share = await findShare(File, token);
+    if (!share) {
       return res.status(404).json({ 
         success: false, 
         message: "Shared file not found or link expired" 
       });
     }
 
-    // Check if user has access (if authenticated)
-    let hasAccess = true;
-    let userPermission = 'read';
-
-    if (req.user) {
-      // If user is owner
-      if (file.owner._id.toString() === req.user._id.toString()) {
-        userPermission = 'owner';
-      } else {
-        // Check if user is in shared list
-        const sharedUser = file.shareSettings.sharedWith.find(
-          share => share.user._id.toString() === req.user._id.toString()
-        );
-        
-        if (sharedUser) {
-          userPermission = sharedUser.permission;
-        } else if (!file.shareSettings.isPublic) {
-          hasAccess = false;
-        }
-      }
-    } else if (!file.shareSettings.isPublic) {
-      hasAccess = false;
-    }
+    const file = await share.item.populate([
+      { path: 'owner', select: 'name email' },
+      { path: 'shareSettings.sharedWith.user', select: 'name email' }
+    ]);
 
-    if (!hasAccess) {
+    // The owner and people it was shared with by email get in directly;
+    // anyone else only through the link, within its limits
+    const visitor = resolveLinkVisitor(share, req.user);
+    if (!visitor) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You need permission to view this file.'
       });
     }
+    if (visitor.viaLink) {
+      checkLinkAccess(share, getAccessToken(req));
+    }
+
+    // Content is only served through the share's routes, never by storage
+    // URL, so revoking the link or reaching its limits cuts it off; view-only
+    // links don't get a download URL
+    const basePath = `/api/files/shared/${token}`;
 
     res.json({ 
       success: true, 
@@ -626,14 +1148,20 @@ const getSharedFile = async (req, res) => {
         originalName: file.originalName,
         size: file.size,
         mimeType: file.mimeType,
-        url: file.cloudinaryUrl,
+        ...(visitor.canDownload && { downloadUrl: `${basePath}/download` }),
+        ...formatSharedThumbnails(file, basePath),
         owner: file.owner,
-        userPermission,
+        userPermission: visitor.permission,
+        link: formatVisitorLink(share),
         createdAt: file.createdAt
       }
     });
     
   } catch (error) {
+    if (error instanceof ShareLinkError) {
+      return sendShareLinkError(res, error);
+    }
+
     console.error("Error fetching shared file:", error);
     res.status(500).json({ 
       success: false, 
@@ -642,13 +1170,161 @@ const getSharedFile = async (req, res) => {
   }
 };
 
+// Download a file through one of its share links. Each new transfer by
+// someone who only has the link counts towards that link's download limit.
+const downloadSharedFile = async (req, res) => {
+  try {
+    const share = await findShare(File, req.params.token);
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shared file not found or link expired'
+      });
+    }
+
+    const file = share.item;
+    const visitor = resolveLinkVisitor(share, req.user);
+    if (!visitor || !visitor.canDownload) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You need permission to download this file.'
+      });
+    }
+
+    const accessToken = getAccessToken(req);
+    if (visitor.viaLink) {
+      checkLinkAccess(share, accessToken);
+    }
+
+    const inline = req.query.disposition === 'inline';
+
+    // A signed URL hands over the whole file, so each redirect is a download
+    const redirectUrl = await getRedirectUrl(file, file.name, { inline });
+    if (redirectUrl) {
+      if (visitor.viaLink) {
+        await claimLinkDownload(share, accessToken, { count: req.method === 'GET' });
+      }
+      await file.recordDownload();
+      return res.redirect(redirectUrl);
+    }
+
+    // Whether this is a new download depends on the range actually served,
+    // not on how the Range header happens to be written
+    const transfer = await sendContent(req, res, file, file.name, {
+      inline,
+      beforeSend: visitor.viaLink
+        ? (planned) => claimLinkDownload(share, accessToken, {
+          count: req.method === 'GET' && isNewTransfer(planned)
+        })
+        : null
+    });
+
+    if (req.method === 'GET' && isNewTransfer(transfer)) {
+      await file.recordDownload();
+      // Only people with access of their own get the file in their recent
+      // feed; the link alone gives no lasting access
+      if (!visitor.viaLink) {
+        await recordActivity(req.user._id, file._id, 'opened');
+      }
+    }
+  } catch (error) {
+    if (error instanceof ShareLinkError) {
+      return sendShareLinkError(res, error);
+    }
+
+    console.error('Download shared file error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to download file'
+      });
+    }
+  }
+};
+
+// Thumbnail of a file seen through one of its share links. Viewing doesn't
+// use up downloads, but the link still has to be open and unlocked.
+const getSharedFileThumbnail = async (req, res) => {
+  try {
+    const share = await findShare(File, req.params.token);
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shared file not found or link expired'
+      });
+    }
+
+    const visitor = resolveLinkVisitor(share, req.user);
+    if (!visitor) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You need permission to view this file.'
+      });
+    }
+    if (visitor.viaLink) {
+      checkLinkAccess(share, getAccessToken(req));
+    }
+
+    if (!(await sendThumbnail(res, share.item, req.params.size))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thumbnail not found'
+      });
+    }
+  } catch (error) {
+    if (error instanceof ShareLinkError) {
+      return sendShareLinkError(res, error);
+    }
+
+    console.error('Shared file thumbnail error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch thumbnail'
+      });
+    }
+  }
+};
+
+// Trade a password-protected link's password for a short-lived access token,
+// sent back as the X-Share-Access-Token header (or ?accessToken=)
+const unlockSharedFile = async (req, res) => {
+  try {
+    const share = await findShare(File, req.params.token);
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shared file not found or link expired'
+      });
+    }
+
+    const { accessToken, expiresIn } = await unlockLink(share, req.body.password);
+
+    res.json({
+      success: true,
+      accessToken,
+      expiresIn
+    });
+  } catch (error) {
+    if (error instanceof ShareLinkError) {
+      return sendShareLinkError(res, error);
+    }
+
+    console.error('Unlock shared file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock link'
+    });
+  }
+};
+
 const makeFilePublic = async (req, res) => {
   try {
     const file = await File.findOne({
       _id: req.params.id,
       owner: req.user._id,
       isDeleted: false
-    });
+    }).select('+shareSettings.link.passwordHash');
 
     if (!file) {
       return res.status(404).json({
@@ -662,6 +1338,8 @@ const makeFilePublic = async (req, res) => {
       file.shareToken = crypto.randomBytes(16).toString("hex");
     }
 
+    await applyLinkOptions(file.shareSettings.link, req.body);
+
     file.isShared = true;
     file.shareSettings.isPublic = true;
     await file.save();
@@ -669,9 +1347,13 @@ const makeFilePublic = async (req, res) => {
     res.json({
       success: true,
       message: 'File is now public',
-      shareUrl: `${process.env.FRONTEND_URL}/shared/${file.shareToken}`
+      shareUrl: `${process.env.FRONTEND_URL}/shared/${file.shareToken}`,
+      link: formatLinkOptions(file.shareSettings.link)
     });
   } catch (error) {
+    if (error instanceof ShareLinkError) {
+      return sendShareLinkError(res, error);
+    }
     res.status(500).json({ success: false, message: error.message });
   }
 };
@@ -707,6 +1389,7 @@ const makeFilePrivate = async (req, res) => {
     if (!file.shareSettings.sharedWith || file.shareSettings.sharedWith.length === 0) {
       file.isShared = false;
       file.shareToken = null;
+      clearLinkOptions(file);
     }
 
     await file.save();
@@ -718,7 +1401,7 @@ const makeFilePrivate = async (req, res) => {
         id: file._id,
         name: file.name,
         isShared: file.isShared,
-        shareSettings: file.shareSettings
+        shareSettings: formatShareSettings(file)
       }
     });
   } catch (error) {
@@ -732,18 +1415,28 @@ const makeFilePrivate = async (req, res) => {
 
 module.exports = {
   uploadFile,
+  uploadFiles,
+  uploadFolder,
   getUserFiles,
   getFileById,
   deleteFile,
   searchFiles,
   shareFile,
   renameFile,
+  moveFile,
+  copyFile,
   unshareFile,
   getTrashedFiles,
   restoreFile,
   downloadFile,
+  downloadArchive,
+  getFileThumbnail,
+  regenerateThumbnails,
   permanentlyDeleteFile,
   getSharedFile,
+  downloadSharedFile,
+  getSharedFileThumbnail,
+  unlockSharedFile,
   makeFilePublic,
   makeFilePrivate
 };
\ No newline at end of file
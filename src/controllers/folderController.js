@@ -1,7 +1,32 @@
 const Folder = require('../models/Folder');
 const File = require('../models/File');
 const User = require('../models/User');
-const { sanitizeFilename } = require('../utils/validation');
+const Star = require('../models/Star');
+const Operation = require('../models/Operation');
+const { sanitizeFilename, escapeRegex } = require('../utils/validation');
+const { purgeFolderTree, retentionDaysFor, purgeAtFor } = require('../utils/trash');
+const { collectFolderEntries, sendArchive } = require('../utils/archive');
+const { FileOperationError, resolveDestination, checkCopyDestination } = require('../utils/fileOperations');
+const { planFolderCopy, copyFolderTree } = require('../utils/folderCopy');
+const { startOperation, formatOperation } = require('../utils/operations');
+const { getStorageQuota } = require('../utils/storageUsage');
+const { sendContent, sendThumbnail, getRedirectUrl, isNewTransfer } = require('../utils/download');
+const {
+  ShareLinkError,
+  findShare,
+  resolveLinkVisitor,
+  applyLinkOptions,
+  clearLinkOptions,
+  formatLinkOptions,
+  formatShareSettings,
+  formatVisitorLink,
+  formatSharedThumbnails,
+  checkLinkAccess,
+  unlockLink,
+  claimLinkDownload,
+  getAccessToken,
+  sendShareLinkError
+} = require('../utils/shareLinks');
 const mongoose = require('mongoose');
 const crypto = require('crypto');
 
@@ -99,7 +124,7 @@ const getUserFolders = async (req, res) => {
 
     // Search filter
     if (search) {
-      query.name = { $regex: search, $options: 'i' };
+      query.name = { $regex: escapeRegex(search), $options: 'i' };
     }
 
     const folders = await Folder.find(query)
@@ -139,6 +164,7 @@ const getUserFolders = async (req, res) => {
         parent: folder.parent,
         owner: folder.owner,
         color: folder.color,
+        tags: folder.tags,
         fileCount: stats.count,
         totalSize: stats.totalSize,
         createdAt: folder.createdAt,
@@ -222,6 +248,11 @@ const getFolderById = async (req, res) => {
 
     const stats = folderStats[0] || { totalFiles: 0, totalSize: 0 };
 
+    const [starredFolders, starredFiles] = await Promise.all([
+      Star.findStarredIds(req.user._id, 'Folder', [folder._id, ...subfolders.map(f => f._id)]),
+      Star.findStarredIds(req.user._id, 'File', files.map(f => f._id))
+    ]);
+
     res.json({
       success: true,
       folder: {
@@ -231,6 +262,8 @@ const getFolderById = async (req, res) => {
         parent: folder.parent,
         owner: folder.owner,
         color: folder.color,
+        tags: folder.tags,
+        isStarred: starredFolders.has(folder._id.toString()),
         stats: {
           totalFiles: stats.totalFiles,
           totalSubfolders: subfolders.length,
@@ -243,6 +276,7 @@ const getFolderById = async (req, res) => {
             path: f.path,
             color: f.color,
             owner: f.owner,
+            isStarred: starredFolders.has(f._id.toString()),
             createdAt: f.createdAt
           })),
           files: files.map(f => ({
@@ -251,8 +285,11 @@ const getFolderById = async (req, res) => {
             originalName: f.originalName || f.name,
             size: f.size,
             mimeType: f.mimeType,
-            url: f.cloudinaryUrl,
+            url: f.url,
+            thumbnailUrl: f.thumbnailUrl,
+            thumbnails: f.thumbnailUrls,
             owner: f.owner,
+            isStarred: starredFiles.has(f._id.toString()),
             createdAt: f.createdAt
           }))
         },
@@ -534,8 +571,11 @@ const getTrashFolders = async (req, res) => {
       isDeleted: true
     });
 
+    const retentionDays = retentionDaysFor(req.user);
+
     res.json({
       success: true,
+      retentionDays,
       trashedFolders: folders.map(folder => ({ // FIXED: Use trashedFolders key
         _id: folder._id, // FIXED: Use _id instead of id
         name: folder.name,
@@ -543,6 +583,7 @@ const getTrashFolders = async (req, res) => {
         parent: folder.parent,
         color: folder.color,
         deletedAt: folder.deletedAt,
+        purgeAt: purgeAtFor(folder.deletedAt, retentionDays),
         createdAt: folder.createdAt
       })),
       pagination: {
@@ -561,6 +602,30 @@ const getTrashFolders = async (req, res) => {
   }
 };
 
+// Download a folder and everything in it as a ZIP archive
+const downloadFolderArchive = async (req, res) => {
+  try {
+    const folder = await Folder.findAccessibleBy(req.params.id, req.user._id);
+    if (!folder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found'
+      });
+    }
+
+    const entries = await collectFolderEntries(folder);
+    await sendArchive(res, entries, `${folder.name}.zip`);
+  } catch (error) {
+    console.error('Download folder archive error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to download folder'
+      });
+    }
+  }
+};
+
 // Permanently delete folder - FIXED
 const permanentlyDeleteFolder = async (req, res) => {
   try {
@@ -579,25 +644,8 @@ const permanentlyDeleteFolder = async (req, res) => {
       });
     }
 
-    // Find all descendants - FIXED
-    const descendants = await Folder.find({
-      path: { $regex: `^${folder.path}/` },
-      owner: req.user._id // FIXED: Only user's descendants
-    });
-
-    const allFolderIds = [folder._id, ...descendants.map(f => f._id)];
-
-    // Delete all files in these folders - FIXED
-    await File.deleteMany({ 
-      folder: { $in: allFolderIds },
-      owner: req.user._id
-    });
-
-    // Delete the folders themselves - FIXED
-    await Folder.deleteMany({ 
-      _id: { $in: allFolderIds },
-      owner: req.user._id
-    });
+    // Delete it with everything in it, their versions and stored content
+    await purgeFolderTree(folder);
 
     res.json({
       success: true,
@@ -612,6 +660,81 @@ const permanentlyDeleteFolder = async (req, res) => {
   }
 };
 
+// Copy a folder and everything in it; body { parentId, name }. Runs in the
+// background: the response points at an operation to poll for progress.
+const copyFolder = async (req, res) => {
+  try {
+    const { parentId = null, name } = req.body;
+
+    const folder = await Folder.findAccessibleBy(req.params.id, req.user._id);
+    if (!folder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found or access denied'
+      });
+    }
+
+    const destination = await resolveDestination(parentId, req.user._id);
+    checkCopyDestination(destination, req.user._id);
+    const plan = await planFolderCopy(folder);
+
+    if (destination && plan.folders.some(item => item._id.equals(destination._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'A folder cannot be copied into itself'
+      });
+    }
+
+    // The copy belongs to the caller, so all of it must fit in their storage
+    const { available } = await getStorageQuota(req.user._id);
+    if (plan.totalBytes > available) {
+      return res.status(413).json({
+        success: false,
+        message: 'Not enough storage space to copy this folder',
+        required: plan.totalBytes,
+        available
+      });
+    }
+
+    const operation = await Operation.create({
+      user: req.user._id,
+      type: 'folder-copy',
+      params: { folderId: folder._id, destinationId: destination ? destination._id : null },
+      progress: {
+        totalItems: plan.folders.length + plan.files.length,
+        totalBytes: plan.totalBytes
+      }
+    });
+
+    startOperation(operation, () => copyFolderTree(plan, destination, {
+      userId: req.user._id,
+      name,
+      operation
+    }));
+
+    res.status(202)
+      .location(`/api/operations/${operation._id}`)
+      .json({
+        success: true,
+        message: `Copying ${plan.folders.length} folders and ${plan.files.length} files`,
+        operation: formatOperation(operation)
+      });
+  } catch (error) {
+    if (error instanceof FileOperationError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Copy folder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to copy folder'
+    });
+  }
+};
+
 // Share folder with user
 const shareFolderWithUser = async (req, res) => {
   try {
@@ -629,7 +752,7 @@ const shareFolderWithUser = async (req, res) => {
       _id: req.params.id,
       owner: req.user._id,
       isDeleted: false
-    });
+    }).select('+shareSettings.link.passwordHash');
 
     if (!folder) {
       return res.status(404).json({
@@ -686,6 +809,9 @@ const shareFolderWithUser = async (req, res) => {
       folder.shareToken = crypto.randomBytes(16).toString("hex");
     }
     
+    // Expiry, password and download limit of the link
+    await applyLinkOptions(folder.shareSettings.link, req.body);
+
     folder.isShared = true;
     await folder.save();
 
@@ -700,11 +826,16 @@ const shareFolderWithUser = async (req, res) => {
         name: folder.name,
         isShared: folder.isShared,
         shareToken: folder.shareToken,
-        shareSettings: folder.shareSettings,
+        shareSettings: formatShareSettings(folder),
+        link: formatLinkOptions(folder.shareSettings.link),
         shareUrl: `${process.env.FRONTEND_URL}/shared/${folder.shareToken}`
       }
     });
   } catch (error) {
+    if (error instanceof ShareLinkError) {
+      return sendShareLinkError(res, error);
+    }
+
     console.error('Share folder error:', error);
     res.status(500).json({
       success: false,
@@ -716,50 +847,32 @@ const shareFolderWithUser = async (req, res) => {
 const getSharedFolder = async (req, res) => {
   try {
     const { token } = req.params;
-    
-    const folder = await Folder.findOne({ 
-      shareToken: token, 
-      isShared: true,
-      isDeleted: false 
-    })
-    .populate('owner', 'name email')
-    .populate('shareSettings.sharedWith.user', 'name email');
 
-    if (!folder) {
+    const share = await findShare(Folder, token);
+    if (!share) {
       return res.status(404).json({ 
         success: false, 
         message: "Shared folder not found or link expired" 
       });
     }
 
-    // Check if user has access
-    let hasAccess = true;
-    let userPermission = 'read';
-
-    if (req.user) {
-      if (folder.owner._id.toString() === req.user._id.toString()) {
-        userPermission = 'owner';
-      } else {
-        const sharedUser = folder.shareSettings.sharedWith.find(
-          share => share.user._id.toString() === req.user._id.toString()
-        );
-        
-        if (sharedUser) {
-          userPermission = sharedUser.permission;
-        } else if (!folder.shareSettings.isPublic) {
-          hasAccess = false;
-        }
-      }
-    } else if (!folder.shareSettings.isPublic) {
-      hasAccess = false;
-    }
+    const folder = await share.item.populate([
+      { path: 'owner', select: 'name email' },
+      { path: 'shareSettings.sharedWith.user', select: 'name email' }
+    ]);
 
-    if (!hasAccess) {
+    // The owner and people it was shared with by email get in directly;
+    // anyone else only through the link, within its limits
+    const visitor = resolveLinkVisitor(share, req.user);
+    if (!visitor) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You need permission to view this folder.'
       });
     }
+    if (visitor.viaLink) {
+      checkLinkAccess(share, getAccessToken(req));
+    }
 
     // Get folder contents
     const [subfolders, files] = await Promise.all([
@@ -774,6 +887,16 @@ const getSharedFolder = async (req, res) => {
       }).populate('owner', 'name email')
     ]);
 
+    // Stars are per user, so anonymous visitors have none
+    const starredFiles = req.user
+      ? await Star.findStarredIds(req.user._id, 'File', files.map(f => f._id))
+      : new Set();
+
+    // Files are only served through the share's routes, never by storage
+    // URL, so revoking the link or reaching its limits cuts them off;
+    // view-only links don't get download URLs
+    const filePath = (f) => `/api/folders/shared/${token}/files/${f._id}`;
+
     res.json({ 
       success: true, 
       folder: {
@@ -781,7 +904,8 @@ const getSharedFolder = async (req, res) => {
         name: folder.name,
         path: folder.path,
         owner: folder.owner,
-        userPermission,
+        userPermission: visitor.permission,
+        link: formatVisitorLink(share),
         contents: {
           folders: subfolders.map(f => ({
             id: f._id,
@@ -794,8 +918,10 @@ const getSharedFolder = async (req, res) => {
             name: f.name,
             size: f.size,
             mimeType: f.mimeType,
-            url: f.cloudinaryUrl,
+            ...(visitor.canDownload && { downloadUrl: `${filePath(f)}/download` }),
+            ...formatSharedThumbnails(f, filePath(f)),
             owner: f.owner,
+            isStarred: starredFiles.has(f._id.toString()),
             createdAt: f.createdAt
           }))
         },
@@ -804,6 +930,10 @@ const getSharedFolder = async (req, res) => {
     });
     
   } catch (error) {
+    if (error instanceof ShareLinkError) {
+      return sendShareLinkError(res, error);
+    }
+
     console.error("Error fetching shared folder:", error);
     res.status(500).json({ 
       success: false, 
@@ -812,6 +942,163 @@ const getSharedFolder = async (req, res) => {
   }
 };
 
+// Download a file from a shared folder through one of the folder's share
+// links. Each new transfer by someone who only has the link counts towards
+// that link's download limit.
+const downloadSharedFolderFile = async (req, res) => {
+  try {
+    const share = await findShare(Folder, req.params.token);
+    const folder = share && share.item;
+
+    // Only the files the shared folder lists can be downloaded through it
+    const file = folder && mongoose.Types.ObjectId.isValid(req.params.fileId)
+      ? await File.findOne({ _id: req.params.fileId, folder: folder._id, isDeleted: false })
+      : null;
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shared file not found or link expired'
+      });
+    }
+
+    const visitor = resolveLinkVisitor(share, req.user);
+    if (!visitor || !visitor.canDownload) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You need permission to download this file.'
+      });
+    }
+
+    const accessToken = getAccessToken(req);
+    if (visitor.viaLink) {
+      checkLinkAccess(share, accessToken);
+    }
+
+    const inline = req.query.disposition === 'inline';
+
+    // A signed URL hands over the whole file, so each redirect is a download
+    const redirectUrl = await getRedirectUrl(file, file.name, { inline });
+    if (redirectUrl) {
+      if (visitor.viaLink) {
+        await claimLinkDownload(share, accessToken, { count: req.method === 'GET' });
+      }
+      await file.recordDownload();
+      return res.redirect(redirectUrl);
+    }
+
+    // Whether this is a new download depends on the range actually served,
+    // not on how the Range header happens to be written
+    const transfer = await sendContent(req, res, file, file.name, {
+      inline,
+      beforeSend: visitor.viaLink
+        ? (planned) => claimLinkDownload(share, accessToken, {
+          count: req.method === 'GET' && isNewTransfer(planned)
+        })
+        : null
+    });
+
+    if (req.method === 'GET' && isNewTransfer(transfer)) {
+      await file.recordDownload();
+    }
+  } catch (error) {
+    if (error instanceof ShareLinkError) {
+      return sendShareLinkError(res, error);
+    }
+
+    console.error('Download shared folder file error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to download file'
+      });
+    }
+  }
+};
+
+// Thumbnail of a file in a shared folder. Viewing doesn't use up downloads,
+// but the link still has to be open and unlocked.
+const getSharedFolderFileThumbnail = async (req, res) => {
+  try {
+    const share = await findShare(Folder, req.params.token);
+    const folder = share && share.item;
+
+    // Only the files the shared folder lists can be seen through it
+    const file = folder && mongoose.Types.ObjectId.isValid(req.params.fileId)
+      ? await File.findOne({ _id: req.params.fileId, folder: folder._id, isDeleted: false })
+      : null;
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shared file not found or link expired'
+      });
+    }
+
+    const visitor = resolveLinkVisitor(share, req.user);
+    if (!visitor) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You need permission to view this folder.'
+      });
+    }
+    if (visitor.viaLink) {
+      checkLinkAccess(share, getAccessToken(req));
+    }
+
+    if (!(await sendThumbnail(res, file, req.params.size))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thumbnail not found'
+      });
+    }
+  } catch (error) {
+    if (error instanceof ShareLinkError) {
+      return sendShareLinkError(res, error);
+    }
+
+    console.error('Shared folder thumbnail error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch thumbnail'
+      });
+    }
+  }
+};
+
+// Trade a password-protected link's password for a short-lived access token,
+// sent back as the X-Share-Access-Token header (or ?accessToken=)
+const unlockSharedFolder = async (req, res) => {
+  try {
+    const share = await findShare(Folder, req.params.token);
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shared folder not found or link expired'
+      });
+    }
+
+    const { accessToken, expiresIn } = await unlockLink(share, req.body.password);
+
+    res.json({
+      success: true,
+      accessToken,
+      expiresIn
+    });
+  } catch (error) {
+    if (error instanceof ShareLinkError) {
+      return sendShareLinkError(res, error);
+    }
+
+    console.error('Unlock shared folder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock link'
+    });
+  }
+};
+
 // Get folder breadcrumb - FIXED
 const getFolderBreadcrumb = async (req, res) => {
   try {
@@ -877,7 +1164,7 @@ const makeFolderPublic = async (req, res) => {
       _id: req.params.id,
       owner: req.user._id,
       isDeleted: false
-    });
+    }).select('+shareSettings.link.passwordHash');
 
     if (!folder) {
       return res.status(404).json({
@@ -899,6 +1186,8 @@ const makeFolderPublic = async (req, res) => {
       folder.shareToken = crypto.randomBytes(16).toString("hex");
     }
 
+    await applyLinkOptions(folder.shareSettings.link, req.body);
+
     folder.isShared = true;
     folder.shareSettings.isPublic = true;
     await folder.save();
@@ -912,10 +1201,15 @@ const makeFolderPublic = async (req, res) => {
         name: folder.name,
         isShared: folder.isShared,
         shareToken: folder.shareToken,
-        shareSettings: folder.shareSettings
+        shareSettings: formatShareSettings(folder),
+        link: formatLinkOptions(folder.shareSettings.link)
       }
     });
   } catch (error) {
+    if (error instanceof ShareLinkError) {
+      return sendShareLinkError(res, error);
+    }
+
     console.error('Make folder public error:', error);
     res.status(500).json({
       success: false,
@@ -954,6 +1248,7 @@ const makeFolderPrivate = async (req, res) => {
     if (!folder.shareSettings.sharedWith || folder.shareSettings.sharedWith.length === 0) {
       folder.isShared = false;
       folder.shareToken = null;
+      clearLinkOptions(folder);
     }
 
     await folder.save();
@@ -965,7 +1260,7 @@ const makeFolderPrivate = async (req, res) => {
         id: folder._id,
         name: folder.name,
         isShared: folder.isShared,
-        shareSettings: folder.shareSettings
+        shareSettings: formatShareSettings(folder)
       }
     });
   } catch (error) {
@@ -986,9 +1281,14 @@ module.exports = {
   restoreFolder,
   getTrashFolders,
   permanentlyDeleteFolder,
+  downloadFolderArchive,
+  copyFolder,
   shareFolderWithUser,
   getFolderBreadcrumb,
   getSharedFolder,
+  downloadSharedFolderFile,
+  getSharedFolderFileThumbnail,
+  unlockSharedFolder,
   makeFolderPublic,
   makeFolderPrivate
 };
\ No newline at end of file
@@ -0,0 +1,66 @@
+const Operation = require('../models/Operation');
+const { formatOperation } = require('../utils/operations');
+
+// Get the status and progress of one of the user's operations
+const getOperation = async (req, res) => {
+  try {
+    const operation = await Operation.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!operation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Operation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      operation: formatOperation(operation)
+    });
+
+  } catch (error) {
+    console.error('Get operation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get operation'
+    });
+  }
+};
+
+// List the user's recent operations, newest first; ?status= filters them
+const getOperations = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const query = { user: req.user._id };
+    if (status) {
+      if (!Operation.schema.path('status').enumValues.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of: ${Operation.schema.path('status').enumValues.join(', ')}`
+        });
+      }
+      query.status = status;
+    }
+
+    const operations = await Operation.find(query).sort({ createdAt: -1 }).limit(limit);
+
+    res.json({
+      success: true,
+      operations: operations.map(formatOperation)
+    });
+
+  } catch (error) {
+    console.error('Get operations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get operations'
+    });
+  }
+};
+
+module.exports = {
+  getOperation,
+  getOperations
+};
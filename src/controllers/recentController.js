@@ -0,0 +1,95 @@
+const File = require('../models/File');
+const FileActivity = require('../models/FileActivity');
+const { groupByDay } = require('../utils/activity');
+
+const actions = ['opened', 'edited', 'uploaded'];
+
+// Files the user recently opened, edited or uploaded, grouped by day
+const getRecent = async (req, res) => {
+  try {
+    const { action, before } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    // Minutes behind UTC, as the browser's Date#getTimezoneOffset() reports it
+    const timezoneOffset = parseInt(req.query.timezoneOffset) || 0;
+
+    if (action && !actions.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: `Action must be one of: ${actions.join(', ')}`
+      });
+    }
+
+    const beforeDate = before ? new Date(before) : null;
+    if (beforeDate && Number.isNaN(beforeDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid before date'
+      });
+    }
+
+    if (Math.abs(timezoneOffset) > 14 * 60) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid timezone offset'
+      });
+    }
+
+    // The latest action per file
+    const latest = await FileActivity.aggregate([
+      { $match: { user: req.user._id, ...(action ? { action } : {}) } },
+      { $sort: { at: -1 } },
+      { $group: { _id: '$file', action: { $first: '$action' }, at: { $first: '$at' } } },
+      ...(beforeDate ? [{ $match: { at: { $lt: beforeDate } } }] : []),
+      { $sort: { at: -1, _id: -1 } },
+      { $limit: limit }
+    ]);
+
+    // Files since trashed or unshared drop out of the feed
+    const files = (await File.find({ _id: { $in: latest.map(entry => entry._id) }, isDeleted: false }))
+      .filter(file => file.isAccessibleBy(req.user._id).access);
+    await File.populate(files, [
+      { path: 'folder', select: 'name path' },
+      { path: 'owner', select: 'name email' }
+    ]);
+    const filesById = new Map(files.map(file => [file._id.toString(), file]));
+
+    const entries = latest
+      .filter(entry => filesById.has(entry._id.toString()))
+      .map(({ _id, action: lastAction, at }) => {
+        const file = filesById.get(_id.toString());
+        return {
+          action: lastAction,
+          at,
+          file: {
+            id: file._id,
+            name: file.name,
+            size: file.size,
+            mimeType: file.mimeType,
+            url: file.url,
+            thumbnailUrl: file.thumbnailUrl,
+            folder: file.folder,
+            owner: file.owner,
+            tags: file.tags
+          }
+        };
+      });
+
+    res.json({
+      success: true,
+      groups: groupByDay(entries, timezoneOffset),
+      // Pass as ?before= to get the next page
+      nextBefore: latest.length === limit ? latest[latest.length - 1].at : null
+    });
+
+  } catch (error) {
+    console.error('Get recent error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get recent files'
+    });
+  }
+};
+
+module.exports = {
+  getRecent
+};
@@ -0,0 +1,108 @@
+const File = require('../models/File');
+const Star = require('../models/Star');
+const { SearchQueryError, parseSearchQuery } = require('../utils/searchQuery');
+const { SearchCursorError, rankSearchResults, paginate } = require('../utils/searchRanking');
+const { buildFacets } = require('../utils/searchFacets');
+const { buildSnippet } = require('../utils/contentIndex');
+
+const formatItem = ({ kind, doc, score, modifiedAt }, owners, starred, contents, text) => {
+  const common = {
+    kind,
+    id: doc._id,
+    name: doc.name,
+    owner: owners.get(String(doc.owner)) || { id: doc.owner },
+    isStarred: starred.has(String(doc._id)),
+    score,
+    modifiedAt,
+    createdAt: doc.createdAt
+  };
+
+  if (kind === 'folder') {
+    return {
+      ...common,
+      path: doc.path,
+      parent: doc.parent,
+      color: doc.color,
+      tags: doc.tags
+    };
+  }
+
+  return {
+    ...common,
+    originalName: doc.originalName,
+    size: doc.size,
+    mimeType: doc.mimeType,
+    url: doc.url,
+    thumbnailUrl: doc.thumbnailUrl,
+    folder: doc.folder,
+    tags: doc.tags,
+    snippet: buildSnippet(contents.get(String(doc._id)), text)
+  };
+};
+
+// Search files and folders together
+const search = async (req, res) => {
+  try {
+    const { q = '', cursor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+    // Same query language as file search (see utils/searchQuery); an empty
+    // query lists everything, most recently modified first
+    const parsed = parseSearchQuery(q);
+    const { items, truncated, text } = await rankSearchResults(parsed, req.user._id);
+    const { page, nextCursor } = paginate(items, cursor, limit);
+
+    const facets = await buildFacets(items, req.user._id);
+    const owners = new Map(facets.owner.map(({ value, name, email }) => [value, { id: value, name, email }]));
+
+    // Snippets need the indexed text, which is only loaded for this page
+    const pageFileIds = page.filter(item => item.kind === 'file').map(item => item.doc._id);
+    const contents = new Map();
+    if (text && pageFileIds.length > 0) {
+      const files = await File.find({ _id: { $in: pageFileIds } }).select('+content');
+      files.forEach(file => contents.set(String(file._id), file.content));
+    }
+
+    const pageFolderIds = page.filter(item => item.kind === 'folder').map(item => item.doc._id);
+    const starred = new Set([
+      ...await Star.findStarredIds(req.user._id, 'File', pageFileIds),
+      ...await Star.findStarredIds(req.user._id, 'Folder', pageFolderIds)
+    ]);
+
+    res.json({
+      success: true,
+      items: page.map(item => formatItem(item, owners, starred, contents, text)),
+      facets,
+      total: items.length,
+      truncated,
+      nextCursor,
+      query: q
+    });
+
+  } catch (error) {
+    if (error instanceof SearchQueryError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        position: error.position
+      });
+    }
+
+    if (error instanceof SearchCursorError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Search failed'
+    });
+  }
+};
+
+module.exports = {
+  search
+};
@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const Folder = require('../models/Folder');
+const ShareLink = require('../models/ShareLink');
+const {
+  ShareLinkError,
+  generateLinkToken,
+  applyLinkOptions,
+  formatShareLink,
+  sendShareLinkError
+} = require('../utils/shareLinks');
+
+// Only the owner manages an item's links
+const findOwnedItem = (Model, req) => Model.findOne({
+  _id: req.params.id,
+  owner: req.user._id,
+  isDeleted: false
+});
+
+const findLink = (item, req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.linkId)) return null;
+
+  return ShareLink.findOne({
+    _id: req.params.linkId,
+    itemType: item.constructor.modelName,
+    item: item._id
+  }).select('+passwordHash');
+};
+
+const sendItemNotFound = (res, itemType) => res.status(404).json({
+  success: false,
+  message: `${itemType} not found or access denied`
+});
+
+// Answer errors from creating or changing a link
+const sendLinkError = (res, error, action) => {
+  if (error instanceof ShareLinkError) {
+    return sendShareLinkError(res, error);
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(err => err.message).join(', ')
+    });
+  }
+
+  console.error(`${action} share link error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${action.toLowerCase()} share link`
+  });
+};
+
+// @desc    List an item's share links, newest first
+// @route   GET /api/files/:id/links (or /api/folders/:id/links)
+// @access  Private (owner)
+const listLinks = (Model, itemType) => async (req, res) => {
+  try {
+    const item = await findOwnedItem(Model, req);
+    if (!item) return sendItemNotFound(res, itemType);
+
+    // Revoked links are kept for the record but hidden unless asked for
+    const query = { itemType, item: item._id };
+    if (req.query.includeRevoked !== 'true') {
+      query.revokedAt = null;
+    }
+
+    const links = await ShareLink.find(query)
+      .select('+passwordHash')
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'name email')
+      .populate('revokedBy', 'name email');
+
+    res.json({
+      success: true,
+      links: links.map(formatShareLink)
+    });
+  } catch (error) {
+    console.error(`List ${itemType.toLowerCase()} links error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch share links'
+    });
+  }
+};
+
+// @desc    Create another share link: { label, role, expiresIn, password, maxDownloads }
+// @route   POST /api/files/:id/links (or /api/folders/:id/links)
+// @access  Private (owner)
+const createLink = (Model, itemType) => async (req, res) => {
+  try {
+    const item = await findOwnedItem(Model, req);
+    if (!item) return sendItemNotFound(res, itemType);
+
+    const { label, role } = req.body;
+    const link = new ShareLink({
+      itemType,
+      item: item._id,
+      owner: item.owner,
+      token: generateLinkToken(),
+      label,
+      role,
+      createdBy: req.user._id
+    });
+    await applyLinkOptions(link, req.body);
+    await link.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Share link created',
+      link: formatShareLink(link)
+    });
+  } catch (error) {
+    sendLinkError(res, error, 'Create');
+  }
+};
+
+// @desc    Change a link's label, role or limits; same body as creating one
+// @route   PATCH /api/files/:id/links/:linkId (or /api/folders/:id/links/:linkId)
+// @access  Private (owner)
+const updateLink = (Model, itemType) => async (req, res) => {
+  try {
+    const item = await findOwnedItem(Model, req);
+    if (!item) return sendItemNotFound(res, itemType);
+
+    const link = await findLink(item, req);
+    if (!link || link.revokedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found'
+      });
+    }
+
+    const { label, role } = req.body;
+    if (label !== undefined) link.label = label;
+    if (role !== undefined) link.role = role;
+    await applyLinkOptions(link, req.body);
+    await link.save();
+
+    res.json({
+      success: true,
+      message: 'Share link updated',
+      link: formatShareLink(link)
+    });
+  } catch (error) {
+    sendLinkError(res, error, 'Update');
+  }
+};
+
+// @desc    Revoke one link; the item's other links keep working
+// @route   DELETE /api/files/:id/links/:linkId (or /api/folders/:id/links/:linkId)
+// @access  Private (owner)
+const revokeLink = (Model, itemType) => async (req, res) => {
+  try {
+    const item = await findOwnedItem(Model, req);
+    if (!item) return sendItemNotFound(res, itemType);
+
+    const link = await findLink(item, req);
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found'
+      });
+    }
+
+    // Revoking twice is harmless and keeps the original audit fields
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      link.revokedBy = req.user._id;
+      await link.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Share link revoked',
+      link: formatShareLink(link)
+    });
+  } catch (error) {
+    console.error(`Revoke ${itemType.toLowerCase()} link error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke share link'
+    });
+  }
+};
+
+const listFileLinks = listLinks(File, 'File');
+const createFileLink = createLink(File, 'File');
+const updateFileLink = updateLink(File, 'File');
+const revokeFileLink = revokeLink(File, 'File');
+const listFolderLinks = listLinks(Folder, 'Folder');
+const createFolderLink = createLink(Folder, 'Folder');
+const updateFolderLink = updateLink(Folder, 'Folder');
+const revokeFolderLink = revokeLink(Folder, 'Folder');
+
+module.exports = {
+  listFileLinks,
+  createFileLink,
+  updateFileLink,
+  revokeFileLink,
+  listFolderLinks,
+  createFolderLink,
+  updateFolderLink,
+  revokeFolderLink
+};
@@ -0,0 +1,173 @@
+const File = require('../models/File');
+const Folder = require('../models/Folder');
+const Star = require('../models/Star');
+const User = require('../models/User');
+
+const sortFields = {
+  starred: item => item.starredAt,
+  name: item => item.name.toLowerCase(),
+  modified: item => item.modifiedAt,
+  size: item => item.size || 0
+};
+
+// Star an item the user can see; starring twice is harmless
+const addStar = (Model, itemType) => async (req, res) => {
+  try {
+    const item = await Model.findAccessibleBy(req.params.id, req.user._id);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: `${itemType} not found or access denied`
+      });
+    }
+
+    await Star.updateOne(
+      { user: req.user._id, itemType, item: item._id },
+      { $setOnInsert: { user: req.user._id, itemType, item: item._id } },
+      { upsert: true }
+    );
+
+    res.json({
+      success: true,
+      message: `${itemType} starred`,
+      isStarred: true
+    });
+
+  } catch (error) {
+    console.error(`Star ${itemType.toLowerCase()} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to star ${itemType.toLowerCase()}`
+    });
+  }
+};
+
+// Unstar an item; works even if the user has since lost access to it
+const removeStar = (itemType) => async (req, res) => {
+  try {
+    await Star.deleteOne({ user: req.user._id, itemType, item: req.params.id });
+
+    res.json({
+      success: true,
+      message: `${itemType} unstarred`,
+      isStarred: false
+    });
+
+  } catch (error) {
+    console.error(`Unstar ${itemType.toLowerCase()} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to unstar ${itemType.toLowerCase()}`
+    });
+  }
+};
+
+const starFile = addStar(File, 'File');
+const unstarFile = removeStar('File');
+const starFolder = addStar(Folder, 'Folder');
+const unstarFolder = removeStar('Folder');
+
+// Starred files and folders, mixed together
+const getStarred = async (req, res) => {
+  try {
+    const { type, sort = 'starred', order, page = 1, limit = 50 } = req.query;
+
+    if (!sortFields[sort]) {
+      return res.status(400).json({
+        success: false,
+        message: `Sort must be one of: ${Object.keys(sortFields).join(', ')}`
+      });
+    }
+
+    const starQuery = { user: req.user._id };
+    if (type === 'file' || type === 'folder') {
+      starQuery.itemType = type === 'file' ? 'File' : 'Folder';
+    }
+
+    const stars = await Star.find(starQuery).populate('item');
+
+    // Items in the trash, or no longer shared with the user, stay starred but
+    // hidden until they come back
+    const visible = stars.filter(star =>
+      star.item && !star.item.isDeleted && star.item.isAccessibleBy(req.user._id).access
+    );
+
+    const ownerIds = [...new Set(visible.map(star => star.item.owner.toString()))];
+    const owners = new Map(
+      (await User.find({ _id: { $in: ownerIds } }).select('name email'))
+        .map(user => [user._id.toString(), { id: user._id, name: user.name, email: user.email }])
+    );
+
+    const items = visible.map(({ itemType, item, createdAt }) => {
+      const common = {
+        kind: itemType === 'File' ? 'file' : 'folder',
+        id: item._id,
+        name: item.name,
+        owner: owners.get(item.owner.toString()) || { id: item.owner },
+        tags: item.tags,
+        isStarred: true,
+        starredAt: createdAt,
+        createdAt: item.createdAt
+      };
+
+      if (itemType === 'Folder') {
+        return {
+          ...common,
+          path: item.path,
+          parent: item.parent,
+          color: item.color,
+          modifiedAt: item.updatedAt
+        };
+      }
+
+      return {
+        ...common,
+        size: item.size,
+        mimeType: item.mimeType,
+        url: item.url,
+        thumbnailUrl: item.thumbnailUrl,
+        folder: item.folder,
+        modifiedAt: item.uploadedAt || item.createdAt
+      };
+    });
+
+    // Names read A-Z by default, everything else newest or largest first
+    const direction = (order || (sort === 'name' ? 'asc' : 'desc')) === 'asc' ? 1 : -1;
+    const key = sortFields[sort];
+    items.sort((a, b) => {
+      const [x, y] = [key(a), key(b)];
+      if (x < y) return -direction;
+      if (x > y) return direction;
+      // Folders before files when tied, like a folder listing
+      return a.kind === b.kind ? 0 : a.kind === 'folder' ? -1 : 1;
+    });
+
+    const start = (page - 1) * limit;
+
+    res.json({
+      success: true,
+      items: items.slice(start, start + limit * 1),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: items.length,
+        pages: Math.ceil(items.length / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get starred error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get starred items'
+    });
+  }
+};
+
+module.exports = {
+  starFile,
+  unstarFile,
+  starFolder,
+  unstarFolder,
+  getStarred
+};
@@ -0,0 +1,42 @@
+const { summarizeUsage, snapshotUsage, getUsageHistory } = require('../utils/storageAnalytics');
+const { getStorageQuota } = require('../utils/storageUsage');
+
+// What is using the user's storage: quota, live vs trash, breakdowns by file
+// category and top-level folder, the largest files and daily usage history
+// (?days=, 30 by default)
+const getStorageSummary = async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+
+    const [quota, usage] = await Promise.all([
+      getStorageQuota(req.user._id),
+      summarizeUsage(req.user._id)
+    ]);
+
+    // Until the snapshot job has run today, today's point is taken now
+    let history = await getUsageHistory(req.user._id, days);
+    const today = new Date().toISOString().slice(0, 10);
+    if (history.length === 0 || history[history.length - 1].date !== today) {
+      await snapshotUsage(req.user._id);
+      history = await getUsageHistory(req.user._id, days);
+    }
+
+    res.json({
+      success: true,
+      quota,
+      ...usage,
+      history
+    });
+
+  } catch (error) {
+    console.error('Get storage summary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get storage summary'
+    });
+  }
+};
+
+module.exports = {
+  getStorageSummary
+};
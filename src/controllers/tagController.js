@@ -0,0 +1,298 @@
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const Folder = require('../models/Folder');
+const {
+  TagError,
+  normalizeTag,
+  normalizeTags,
+  updateTags,
+  getTagCounts,
+  renameTag,
+  deleteTag
+} = require('../utils/tags');
+const { escapeRegex } = require('../utils/validation');
+
+const MAX_TAGGED_ITEMS = 1000;
+
+const sendTagError = (res, error, label) => {
+  if (error instanceof TagError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `${label} failed`
+  });
+};
+
+// Read { add, remove } from a request body
+const parseTagChanges = (body) => {
+  const add = normalizeTags(body.add);
+  const remove = normalizeTags(body.remove);
+
+  if (add.length === 0 && remove.length === 0) {
+    throw new TagError('Provide tags to add or remove');
+  }
+  return { add, remove };
+};
+
+const formatTagged = (item) => ({ id: item._id, name: item.name, tags: item.tags });
+
+// List the user's tags with usage counts
+const getTags = async (req, res) => {
+  try {
+    const tags = await getTagCounts(req.user._id);
+
+    res.json({
+      success: true,
+      tags,
+      count: tags.length
+    });
+
+  } catch (error) {
+    sendTagError(res, error, 'Get tags');
+  }
+};
+
+// Suggest tags starting with what the user has typed, most used first
+const autocompleteTags = async (req, res) => {
+  try {
+    const prefix = typeof req.query.q === 'string' ? req.query.q.trim().replace(/\s+/g, ' ') : '';
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    const tags = await getTagCounts(req.user._id, prefix);
+
+    res.json({
+      success: true,
+      tags: tags.slice(0, limit).map(({ name, count }) => ({ name, count }))
+    });
+
+  } catch (error) {
+    sendTagError(res, error, 'Autocomplete tags');
+  }
+};
+
+// List the files and folders carrying a tag that the user can see
+const getTaggedItems = async (req, res) => {
+  try {
+    const tag = normalizeTag(req.params.tag);
+    const { page = 1, limit = 50 } = req.query;
+
+    const query = {
+      $or: [{ owner: req.user._id }, { 'shareSettings.sharedWith.user': req.user._id }],
+      isDeleted: false,
+      tags: new RegExp(`^${escapeRegex(tag)}$`, 'i')
+    };
+
+    const folders = await Folder.find(query)
+      .populate('owner', 'name email')
+      .sort({ name: 1 });
+
+    const files = await File.find(query)
+      .populate('folder', 'name path')
+      .populate('owner', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await File.countDocuments(query);
+
+    res.json({
+      success: true,
+      tag,
+      folders: folders.map(folder => ({
+        id: folder._id,
+        name: folder.name,
+        path: folder.path,
+        parent: folder.parent,
+        owner: folder.owner,
+        color: folder.color,
+        tags: folder.tags,
+        updatedAt: folder.updatedAt
+      })),
+      files: files.map(file => ({
+        id: file._id,
+        name: file.name,
+        size: file.size,
+        mimeType: file.mimeType,
+        url: file.url,
+        thumbnailUrl: file.thumbnailUrl,
+        folder: file.folder,
+        owner: file.owner,
+        tags: file.tags,
+        createdAt: file.createdAt
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    sendTagError(res, error, 'Get tagged items');
+  }
+};
+
+// Add and remove tags on many files and folders at once
+const updateItemTags = async (req, res) => {
+  try {
+    const { fileIds = [], folderIds = [] } = req.body;
+
+    if (!Array.isArray(fileIds) || !Array.isArray(folderIds)) {
+      return res.status(400).json({
+        success: false,
+        message: 'fileIds and folderIds must be arrays'
+      });
+    }
+
+    if (fileIds.length + folderIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Select at least one file or folder'
+      });
+    }
+
+    if (fileIds.length + folderIds.length > MAX_TAGGED_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot tag more than ${MAX_TAGGED_ITEMS} items at once`
+      });
+    }
+
+    if (![...fileIds, ...folderIds].every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid item ID format'
+      });
+    }
+
+    const changes = parseTagChanges(req.body);
+    const { files, folders } = await updateTags(
+      { fileIds: [...new Set(fileIds.map(String))], folderIds: [...new Set(folderIds.map(String))] },
+      changes,
+      req.user._id
+    );
+
+    res.json({
+      success: true,
+      message: `Tags updated on ${files.length + folders.length} item(s)`,
+      files: files.map(formatTagged),
+      folders: folders.map(formatTagged)
+    });
+
+  } catch (error) {
+    sendTagError(res, error, 'Update tags');
+  }
+};
+
+// Add and remove tags on one file
+const updateFileTags = async (req, res) => {
+  try {
+    const changes = parseTagChanges(req.body);
+    const { files } = await updateTags({ fileIds: [req.params.id] }, changes, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Tags updated successfully',
+      file: formatTagged(files[0])
+    });
+
+  } catch (error) {
+    sendTagError(res, error, 'Update file tags');
+  }
+};
+
+// Add and remove tags on one folder
+const updateFolderTags = async (req, res) => {
+  try {
+    const changes = parseTagChanges(req.body);
+    const { folders } = await updateTags({ folderIds: [req.params.id] }, changes, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Tags updated successfully',
+      folder: formatTagged(folders[0])
+    });
+
+  } catch (error) {
+    sendTagError(res, error, 'Update folder tags');
+  }
+};
+
+// Rename a tag on everything the user owns; renaming onto an existing tag merges them
+const renameUserTag = async (req, res) => {
+  try {
+    const from = normalizeTag(req.params.tag);
+    const to = normalizeTag(req.body.name);
+
+    if (from === to) {
+      return res.status(400).json({
+        success: false,
+        message: 'New tag name is the same as the current one'
+      });
+    }
+
+    const { files, folders, merged } = await renameTag(req.user._id, from, to);
+
+    if (files + folders === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: merged ? `Tag "${from}" merged into "${to}"` : `Tag renamed to "${to}"`,
+      tag: to,
+      merged,
+      files,
+      folders
+    });
+
+  } catch (error) {
+    sendTagError(res, error, 'Rename tag');
+  }
+};
+
+// Remove a tag from everything the user owns
+const deleteUserTag = async (req, res) => {
+  try {
+    const tag = normalizeTag(req.params.tag);
+    const { files, folders } = await deleteTag(req.user._id, tag);
+
+    if (files + folders === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tag deleted successfully',
+      files,
+      folders
+    });
+
+  } catch (error) {
+    sendTagError(res, error, 'Delete tag');
+  }
+};
+
+module.exports = {
+  getTags,
+  autocompleteTags,
+  getTaggedItems,
+  updateItemTags,
+  updateFileTags,
+  updateFolderTags,
+  renameUserTag,
+  deleteUserTag
+};
@@ -0,0 +1,27 @@
+const { purgeTrash } = require('../utils/trash');
+
+// Empty the user's trash: everything in it is permanently deleted now,
+// the same way expired items are purged
+const emptyTrash = async (req, res) => {
+  try {
+    const { files, folders, freed } = await purgeTrash(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Trash emptied',
+      purged: { files, folders },
+      freedBytes: freed
+    });
+
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to empty trash'
+    });
+  }
+};
+
+module.exports = {
+  emptyTrash
+};
@@ -0,0 +1,409 @@
+const fs = require('fs');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const UploadSession = require('../models/UploadSession');
+const Folder = require('../models/Folder');
+const uploadConfig = require('../config/uploads');
+const { isAllowedType } = require('../middleware/upload');
+const { sanitizeFilename } = require('../utils/validation');
+const { storeFile } = require('../utils/fileStore');
+const { getStorageQuota } = require('../utils/storageUsage');
+
+// Sessions currently receiving a chunk or being finalized (single process)
+const busySessions = new Set();
+
+// Reject any bytes beyond what the session still expects
+const createChunkLimiter = (remaining) => {
+  let received = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > remaining) {
+        const error = new Error('Chunk exceeds declared upload length');
+        error.code = 'UPLOAD_LENGTH_EXCEEDED';
+        return callback(error);
+      }
+      callback(null, chunk);
+    }
+  });
+};
+
+// The temp file is the source of truth for how many bytes were received
+const syncOffset = async (session) => {
+  const stats = await fs.promises.stat(session.tempPath).catch(() => null);
+  const offset = Math.min(stats ? stats.size : 0, session.size);
+
+  if (offset !== session.offset) {
+    session.offset = offset;
+    await session.save();
+  }
+};
+
+const setUploadHeaders = (res, session) => {
+  res.set({
+    'Upload-Offset': String(session.offset),
+    'Upload-Length': String(session.size),
+    'Upload-Expires': session.expiresAt.toUTCString(),
+    'Cache-Control': 'no-store'
+  });
+};
+
+const formatSession = (session) => ({
+  id: session._id,
+  name: session.name,
+  originalName: session.originalName,
+  mimeType: session.mimeType,
+  size: session.size,
+  offset: session.offset,
+  folder: session.folder,
+  expiresAt: session.expiresAt,
+  createdAt: session.createdAt
+});
+
+// Expired sessions are gone as far as clients are concerned, even before cleanup runs
+const findSession = (req) => UploadSession.findOne({
+  _id: req.params.id,
+  owner: req.user._id,
+  expiresAt: { $gt: new Date() }
+});
+
+// @desc    Create a resumable upload session
+// @route   POST /api/uploads
+// @access  Private
+const createUploadSession = async (req, res) => {
+  try {
+    const { filename, mimeType, folderId, name } = req.body;
+    const size = parseInt(req.body.size !== undefined ? req.body.size : req.headers['upload-length'], 10);
+
+    if (!filename || typeof filename !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Filename is required'
+      });
+    }
+
+    if (!Number.isInteger(size) || size < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid upload size is required'
+      });
+    }
+
+    if (size > uploadConfig.maxResumableFileSize) {
+      return res.status(413).json({
+        success: false,
+        message: `File too large. Maximum size allowed is ${Math.floor(uploadConfig.maxResumableFileSize / (1024 * 1024))}MB.`
+      });
+    }
+
+    if (!isAllowedType(mimeType)) {
+      return res.status(400).json({
+        success: false,
+        message: `File type ${mimeType} is not allowed`
+      });
+    }
+
+    // The session reserves its full size until it completes or expires
+    const { available } = await getStorageQuota(req.user._id);
+    if (size > available) {
+      return res.status(413).json({
+        success: false,
+        message: 'Not enough storage space for this upload',
+        required: size,
+        available
+      });
+    }
+
+    // The finished file belongs to the uploader, so only their own folders take it
+    if (folderId) {
+      const folder = await Folder.findOwnedBy(folderId, req.user._id);
+      if (!folder) {
+        return res.status(404).json({
+          success: false,
+          message: 'Folder not found or access denied'
+        });
+      }
+    }
+
+    const session = new UploadSession({
+      owner: req.user._id,
+      folder: folderId || null,
+      name: sanitizeFilename(name || filename),
+      originalName: filename,
+      mimeType,
+      size
+    });
+    session.touch();
+
+    await fs.promises.mkdir(uploadConfig.tmpDir, { recursive: true });
+    await fs.promises.writeFile(session.tempPath, '');
+    await session.save();
+
+    setUploadHeaders(res, session);
+    res.location(`${req.baseUrl}/${session._id}`);
+    res.status(201).json({
+      success: true,
+      message: 'Upload session created',
+      upload: formatSession(session)
+    });
+  } catch (error) {
+    console.error('Create upload session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create upload session'
+    });
+  }
+};
+
+// @desc    Get upload progress
+// @route   HEAD /api/uploads/:id
+// @access  Private
+const getUploadStatus = async (req, res) => {
+  try {
+    const session = await findSession(req);
+    if (!session) {
+      return res.status(404).end();
+    }
+
+    if (!busySessions.has(session._id.toString())) {
+      await syncOffset(session);
+    }
+
+    setUploadHeaders(res, session);
+    res.status(200).end();
+  } catch (error) {
+    console.error('Get upload status error:', error);
+    res.status(500).end();
+  }
+};
+
+// @desc    Append a chunk at the given offset
+// @route   PATCH /api/uploads/:id
+// @access  Private
+const uploadChunk = async (req, res) => {
+  let sessionId;
+
+  try {
+    if (!req.is('application/offset+octet-stream')) {
+      return res.status(415).json({
+        success: false,
+        message: 'Content-Type must be application/offset+octet-stream'
+      });
+    }
+
+    const offset = parseInt(req.headers['upload-offset'], 10);
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid Upload-Offset header is required'
+      });
+    }
+
+    const session = await findSession(req);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload session not found or expired'
+      });
+    }
+
+    if (busySessions.has(session._id.toString())) {
+      return res.status(423).json({
+        success: false,
+        message: 'Another request is already writing to this upload'
+      });
+    }
+
+    sessionId = session._id.toString();
+    busySessions.add(sessionId);
+
+    await syncOffset(session);
+    if (offset !== session.offset) {
+      setUploadHeaders(res, session);
+      return res.status(409).json({
+        success: false,
+        message: 'Upload-Offset does not match the current offset',
+        offset: session.offset
+      });
+    }
+
+    let streamError = null;
+    try {
+      await pipeline(
+        req,
+        createChunkLimiter(session.size - session.offset),
+        fs.createWriteStream(session.tempPath, { flags: 'a' })
+      );
+    } catch (error) {
+      streamError = error;
+    }
+
+    // Whatever reached the disk counts, so an interrupted chunk resumes from there
+    await syncOffset(session);
+    session.touch();
+    await session.save();
+
+    if (streamError) {
+      if (streamError.code === 'UPLOAD_LENGTH_EXCEEDED') {
+        setUploadHeaders(res, session);
+        return res.status(413).json({
+          success: false,
+          message: streamError.message
+        });
+      }
+
+      // The client went away mid-chunk; nothing left to answer
+      console.log(`Upload ${sessionId} interrupted at offset ${session.offset}`);
+      return;
+    }
+
+    setUploadHeaders(res, session);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Upload chunk error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to store upload chunk'
+      });
+    }
+  } finally {
+    if (sessionId) busySessions.delete(sessionId);
+  }
+};
+
+// @desc    Finalize a fully received upload into a file
+// @route   POST /api/uploads/:id/complete
+// @access  Private
+const completeUpload = async (req, res) => {
+  let sessionId;
+
+  try {
+    const session = await findSession(req);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload session not found or expired'
+      });
+    }
+
+    if (busySessions.has(session._id.toString())) {
+      return res.status(423).json({
+        success: false,
+        message: 'Upload is still receiving data'
+      });
+    }
+
+    sessionId = session._id.toString();
+    busySessions.add(sessionId);
+
+    await syncOffset(session);
+    if (!session.isComplete) {
+      setUploadHeaders(res, session);
+      return res.status(409).json({
+        success: false,
+        message: `Upload is incomplete: ${session.offset} of ${session.size} bytes received`
+      });
+    }
+
+    // The target folder may have been trashed while the upload was running
+    if (session.folder && !(await Folder.findOwnedBy(session.folder, req.user._id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found or access denied'
+      });
+    }
+
+    const file = await storeFile(fs.createReadStream(session.tempPath), {
+      owner: req.user._id,
+      name: session.name,
+      originalName: session.originalName,
+      mimeType: session.mimeType,
+      folder: session.folder,
+      maxSize: session.size
+    });
+
+    await session.discard();
+
+    res.status(201).json({
+      success: true,
+      message: 'File uploaded successfully',
+      file: {
+        id: file._id,
+        name: file.name,
+        originalName: file.originalName,
+        size: file.size,
+        mimeType: file.mimeType,
+        url: file.url,
+        folder: file.folder,
+        createdAt: file.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Complete upload error:', error);
+
+    if (error.code === 'CONTENT_TYPE_MISMATCH') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.startsWith('Storage upload failed')) {
+      return res.status(500).json({
+        success: false,
+        message: 'File upload to storage failed'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to complete upload'
+    });
+  } finally {
+    if (sessionId) busySessions.delete(sessionId);
+  }
+};
+
+// @desc    Abort an upload and discard the received data
+// @route   DELETE /api/uploads/:id
+// @access  Private
+const cancelUpload = async (req, res) => {
+  try {
+    const session = await findSession(req);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload session not found or expired'
+      });
+    }
+
+    if (busySessions.has(session._id.toString())) {
+      return res.status(423).json({
+        success: false,
+        message: 'Upload is still receiving data'
+      });
+    }
+
+    await session.discard();
+
+    res.json({
+      success: true,
+      message: 'Upload cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel upload'
+    });
+  }
+};
+
+module.exports = {
+  createUploadSession,
+  getUploadStatus,
+  uploadChunk,
+  completeUpload,
+  cancelUpload
+};
@@ -0,0 +1,213 @@
+const File = require('../models/File');
+const FileVersion = require('../models/FileVersion');
+const { addFileVersion, restoreFileVersion } = require('../utils/fileVersions');
+const { sendContent } = require('../utils/download');
+
+const formatVersion = (version, isCurrent) => ({
+  version: version.version,
+  originalName: version.originalName,
+  size: version.size,
+  mimeType: version.mimeType,
+  uploadedBy: version.uploadedBy,
+  uploadedAt: version.uploadedAt || version.createdAt,
+  restoredFrom: version.restoredFrom,
+  isCurrent
+});
+
+// Two requests archived the same current version; the loser should simply retry
+const isVersionConflict = (error) => error.code === 11000;
+
+// @desc    Upload a new version of an existing file
+// @route   POST /api/files/:id/versions
+// @access  Private (owner or write permission)
+const uploadFileVersion = async (req, res) => {
+  try {
+    if (!req.file || !req.file.storageKey) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    // Loaded (and access-checked) before the upload started streaming
+    const file = req.targetFile;
+
+    await addFileVersion(file, req.file, {
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      uploadedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Version ${file.version} uploaded successfully`,
+      file: {
+        id: file._id,
+        name: file.name,
+        originalName: file.originalName,
+        size: file.size,
+        mimeType: file.mimeType,
+        url: file.url,
+        version: file.version,
+        uploadedAt: file.uploadedAt
+      }
+    });
+  } catch (error) {
+    console.error('Upload file version error:', error);
+
+    if (isVersionConflict(error)) {
+      return res.status(409).json({
+        success: false,
+        message: 'The file was changed by another upload. Please try again.'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload new version'
+    });
+  }
+};
+
+// @desc    List the version history of a file
+// @route   GET /api/files/:id/versions
+// @access  Private
+const getFileVersions = async (req, res) => {
+  try {
+    const file = await File.findAccessibleBy(req.params.id, req.user._id);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    await file.populate([
+      { path: 'uploadedBy', select: 'name email' },
+      { path: 'owner', select: 'name email' }
+    ]);
+    const versions = await FileVersion.find({ file: file._id })
+      .populate('uploadedBy', 'name email')
+      .sort({ version: -1 });
+
+    res.json({
+      success: true,
+      fileId: file._id,
+      currentVersion: file.version,
+      versions: [
+        formatVersion({ ...file.toObject(), uploadedBy: file.uploadedBy || file.owner }, true),
+        ...versions.map(version => formatVersion(version, false))
+      ],
+      totalSize: versions.reduce((total, version) => total + version.size, file.size)
+    });
+  } catch (error) {
+    console.error('Get file versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve versions'
+    });
+  }
+};
+
+// Resolve a version number to the current file or a history entry
+const findVersion = async (file, versionNumber) => {
+  if (versionNumber === file.version) return file;
+  return FileVersion.findOne({ file: file._id, version: versionNumber });
+};
+
+// @desc    Download a specific version of a file
+// @route   GET /api/files/:id/versions/:version/download
+// @access  Private
+const downloadFileVersion = async (req, res) => {
+  try {
+    const file = await File.findAccessibleBy(req.params.id, req.user._id);
+    const version = file && await findVersion(file, parseInt(req.params.version, 10));
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    await sendContent(req, res, version, file.name);
+  } catch (error) {
+    console.error('Download file version error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to download version'
+      });
+    }
+  }
+};
+
+// @desc    Restore a past version as the current version
+// @route   POST /api/files/:id/versions/:version/restore
+// @access  Private (owner or write permission)
+const restoreVersion = async (req, res) => {
+  try {
+    const file = await File.findAccessibleBy(req.params.id, req.user._id, { write: true });
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found or access denied'
+      });
+    }
+
+    const versionNumber = parseInt(req.params.version, 10);
+    if (versionNumber === file.version) {
+      return res.status(400).json({
+        success: false,
+        message: 'This version is already the current version'
+      });
+    }
+
+    const version = await FileVersion.findOne({ file: file._id, version: versionNumber });
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    await restoreFileVersion(file, version, req.user._id);
+
+    res.json({
+      success: true,
+      message: `Version ${versionNumber} restored as version ${file.version}`,
+      file: {
+        id: file._id,
+        name: file.name,
+        originalName: file.originalName,
+        size: file.size,
+        mimeType: file.mimeType,
+        url: file.url,
+        version: file.version,
+        restoredFrom: file.restoredFrom,
+        uploadedAt: file.uploadedAt
+      }
+    });
+  } catch (error) {
+    console.error('Restore file version error:', error);
+
+    if (isVersionConflict(error)) {
+      return res.status(409).json({
+        success: false,
+        message: 'The file was changed by another upload. Please try again.'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore version'
+    });
+  }
+};
+
+module.exports = {
+  uploadFileVersion,
+  getFileVersions,
+  downloadFileVersion,
+  restoreVersion
+};
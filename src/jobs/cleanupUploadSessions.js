@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const UploadSession = require('../models/UploadSession');
+const uploadConfig = require('../config/uploads');
+
+// Remove expired resumable upload sessions and their partial data, plus any
+// temp files left behind without a session (e.g. after a crash)
+const cleanupUploadSessions = async () => {
+  const expired = await UploadSession.find({ expiresAt: { $lte: new Date() } });
+  for (const session of expired) {
+    await session.discard();
+  }
+
+  let strayFiles = 0;
+  const entries = await fs.promises.readdir(uploadConfig.tmpDir).catch(() => []);
+  const cutoff = Date.now() - uploadConfig.sessionTtlHours * 60 * 60 * 1000;
+
+  for (const entry of entries) {
+    const tempPath = path.join(uploadConfig.tmpDir, entry);
+    const stats = await fs.promises.stat(tempPath).catch(() => null);
+    if (!stats || stats.mtimeMs > cutoff) continue;
+
+    const hasSession = mongoose.Types.ObjectId.isValid(entry) && await UploadSession.exists({ _id: entry });
+    if (!hasSession) {
+      await fs.promises.rm(tempPath, { force: true });
+      strayFiles++;
+    }
+  }
+
+  if (expired.length || strayFiles) {
+    console.log(`🧹 Removed ${expired.length} expired upload sessions and ${strayFiles} stray temp files`);
+  }
+};
+
+module.exports = cleanupUploadSessions;
@@ -0,0 +1,27 @@
+const Operation = require('../models/Operation');
+
+// An operation records progress after every item, so one that hasn't moved
+// for this long died with the process that was running it
+const STALE_AFTER = 60 * 60 * 1000;
+
+// Mark operations abandoned by a crash or restart as failed, so clients
+// polling them get an answer
+const failStaleOperations = async () => {
+  const { modifiedCount } = await Operation.updateMany(
+    {
+      status: { $in: ['pending', 'running'] },
+      updatedAt: { $lt: new Date(Date.now() - STALE_AFTER) }
+    },
+    {
+      status: 'failed',
+      error: 'The operation was interrupted',
+      finishedAt: new Date()
+    }
+  );
+
+  if (modifiedCount) {
+    console.log(`🧹 Marked ${modifiedCount} interrupted operations as failed`);
+  }
+};
+
+module.exports = failStaleOperations;
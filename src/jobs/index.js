@@ -0,0 +1,46 @@
+const cleanupUploadSessions = require('./cleanupUploadSessions');
+const failStaleOperations = require('./failStaleOperations');
+const purgeExpiredTrash = require('./purgeExpiredTrash');
+const reconcileStorage = require('./reconcileStorage');
+const snapshotStorageUsage = require('./snapshotStorageUsage');
+
+const HOUR = 60 * 60 * 1000;
+
+// Background jobs, run in-process on a fixed interval
+const jobs = [
+  { name: 'cleanup-upload-sessions', interval: HOUR, run: cleanupUploadSessions },
+  { name: 'fail-stale-operations', interval: HOUR / 4, run: failStaleOperations },
+  { name: 'purge-expired-trash', interval: HOUR, run: purgeExpiredTrash },
+  { name: 'reconcile-storage', interval: 24 * HOUR, run: reconcileStorage },
+  { name: 'snapshot-storage-usage', interval: 6 * HOUR, run: snapshotStorageUsage }
+];
+
+const running = new Set();
+
+// Run a job unless the previous run is still going
+const runJob = async (job) => {
+  if (running.has(job.name)) return;
+
+  running.add(job.name);
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`❌ Job ${job.name} failed:`, error.message);
+  } finally {
+    running.delete(job.name);
+  }
+};
+
+const startJobs = () => {
+  jobs.forEach((job) => {
+    runJob(job);
+    setInterval(() => runJob(job), job.interval).unref();
+  });
+  console.log(`⏱️  Started ${jobs.length} background jobs`);
+};
+
+module.exports = {
+  startJobs,
+  runJob,
+  jobs
+};
@@ -0,0 +1,36 @@
+const File = require('../models/File');
+const Folder = require('../models/Folder');
+const User = require('../models/User');
+const trashConfig = require('../config/trash');
+const { retentionDaysFor, purgeTrash } = require('../utils/trash');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Permanently delete trashed items that are past their owner's retention period
+const purgeExpiredTrash = async () => {
+  const now = Date.now();
+
+  // Only owners with something trashed long enough ago to possibly expire
+  const candidates = { isDeleted: true, deletedAt: { $lt: new Date(now - trashConfig.minRetentionDays * DAY) } };
+  const owners = [
+    ...(await File.distinct('owner', candidates)),
+    ...(await Folder.distinct('owner', candidates))
+  ];
+  const users = await User.find({ _id: { $in: owners } }).select('trashRetentionDays');
+
+  let files = 0;
+  let folders = 0;
+  for (const user of users) {
+    const purged = await purgeTrash(user._id, {
+      deletedBefore: new Date(now - retentionDaysFor(user) * DAY)
+    });
+    files += purged.files;
+    folders += purged.folders;
+  }
+
+  if (files || folders) {
+    console.log(`🧹 Purged ${files} files and ${folders} folders from the trash`);
+  }
+};
+
+module.exports = purgeExpiredTrash;
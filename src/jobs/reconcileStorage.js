@@ -0,0 +1,20 @@
+const { reconcileStorage } = require('../utils/storageReconciliation');
+
+// Delete stored objects nothing refers to any more (e.g. left behind by a
+// crash between storing content and recording it) and report referenced
+// objects that are gone from storage
+const reconcileStorageJob = async () => {
+  const summary = await reconcileStorage({ apply: true });
+
+  if (summary.deleted) {
+    console.log(`🧹 Deleted ${summary.deleted} orphaned storage objects (${summary.freedBytes} bytes)`);
+  }
+  if (summary.missingCount) {
+    console.warn(`⚠️  ${summary.missingCount} stored objects referenced by the database are missing`);
+  }
+  if (summary.errorCount) {
+    console.warn(`⚠️  Storage reconciliation hit ${summary.errorCount} errors`);
+  }
+};
+
+module.exports = reconcileStorageJob;
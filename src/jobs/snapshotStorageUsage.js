@@ -0,0 +1,14 @@
+const User = require('../models/User');
+const { snapshotUsage } = require('../utils/storageAnalytics');
+
+// Record every user's storage usage for today; later runs on the same day
+// refresh the snapshot, so the last one of the day is what history shows
+const snapshotStorageUsage = async () => {
+  const users = await User.find().distinct('_id');
+
+  for (const userId of users) {
+    await snapshotUsage(userId);
+  }
+};
+
+module.exports = snapshotStorageUsage;
@@ -0,0 +1,17 @@
+const { rateLimit } = require('express-rate-limit');
+
+// Password attempts on share links, per client IP
+const shareUnlockLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 10,
+  standardHeaders: 'draft-8',
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many password attempts. Please try again later.'
+  }
+});
+
+module.exports = {
+  shareUnlockLimiter
+};
@@ -1,64 +1,179 @@
 const multer = require('multer');
 const path = require('path');
+const uploadConfig = require('../config/uploads');
+const { putContent, discardContent } = require('../utils/fileStore');
+const { StorageQuotaError, getStorageQuota, holdStorage } = require('../utils/storageUsage');
 
-// Memory storage for direct upload to cloudinary
-const storage = multer.memoryStorage();
+const quotaExceededMessage = 'Not enough storage space for this upload';
+
+// Store one uploaded file without going over the owner's quota: the stream is
+// cut off once it passes the space left, and the stored bytes count against
+// the quota until they are recorded on a File (see content.releaseHold) or
+// the request is over
+const storeWithinQuota = async (req, file, owner) => {
+  let quota;
+  try {
+    quota = await getStorageQuota(owner);
+  } catch (error) {
+    file.stream.resume();
+    throw error;
+  }
+
+  if (quota.available === 0) {
+    file.stream.resume();
+    throw new StorageQuotaError(quotaExceededMessage, { available: 0 });
+  }
+
+  let content;
+  try {
+    content = await putContent(file.stream, {
+      owner,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      maxSize: Math.min(uploadConfig.maxFileSize, quota.available)
+    });
+  } catch (error) {
+    if (error.code === 'LIMIT_FILE_SIZE' && quota.available < uploadConfig.maxFileSize) {
+      throw new StorageQuotaError(quotaExceededMessage, { available: quota.available });
+    }
+    throw error;
+  }
+
+  // Other uploads may have taken the space while this one was streaming
+  const release = holdStorage(owner, content.size);
+  req.res.once('close', release);
+  content.releaseHold = release;
+
+  const { limit, used, reserved } = await getStorageQuota(owner);
+  if (used + reserved > limit) {
+    release();
+    await discardContent(content);
+    throw new StorageQuotaError(quotaExceededMessage, {
+      available: Math.max(0, limit - used - reserved + content.size)
+    });
+  }
+
+  return content;
+};
+
+// Multer storage engine that pipes each file straight from the request into
+// the storage driver; nothing is buffered beyond the stream's own chunks
+const storage = {
+  _handleFile(req, file, cb) {
+    // New versions of a shared file are stored (and billed) under the file owner
+    storeWithinQuota(req, file, req.uploadOwner || req.user._id)
+      .then((content) => cb(null, content))
+      .catch((error) => {
+        // In a batch the failure belongs to this file only; the rest keep uploading
+        if (req.batchUpload) {
+          return cb(null, { uploadError: describeUploadError(error) });
+        }
+
+        // Report the size limit the same way multer's own limit does
+        if (error.code === 'LIMIT_FILE_SIZE') {
+          return cb(new multer.MulterError('LIMIT_FILE_SIZE', file.fieldname));
+        }
+        cb(error);
+      });
+  },
+
+  _removeFile(req, file, cb) {
+    if (!file.storageKey) return cb(null);
+    discardContent(file).then(() => cb(null), cb);
+  }
+};
+
+// Allowed file types
+const allowedTypes = {
+  // Images
+  'image/jpeg': '.jpg',
+  'image/jpg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/svg+xml': '.svg',
+  
+  // Documents
+  'application/pdf': '.pdf',
+  'application/msword': '.doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+  'application/vnd.ms-excel': '.xls',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+  'application/vnd.ms-powerpoint': '.ppt',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': '.pptx',
+  
+  // Text files
+  'text/plain': '.txt',
+  'text/csv': '.csv',
+  'application/json': '.json',
+  'text/xml': '.xml',
+  'application/xml': '.xml',
+  
+  // Audio
+  'audio/mpeg': '.mp3',
+  'audio/wav': '.wav',
+  'audio/ogg': '.ogg',
+  'audio/mp4': '.m4a',
+  
+  // Video
+  'video/mp4': '.mp4',
+  'video/mpeg': '.mpeg',
+  'video/quicktime': '.mov',
+  'video/webm': '.webm',
+  'video/x-msvideo': '.avi',
+  
+  // Archives
+  'application/zip': '.zip',
+  'application/x-rar-compressed': '.rar',
+  'application/x-tar': '.tar',
+  'application/gzip': '.gz',
+  'application/x-7z-compressed': '.7z'
+};
+
+const fileTooLargeMessage = `File too large. Maximum size allowed is ${uploadConfig.maxFileSize / (1024 * 1024)}MB.`;
+
+// Client-facing reason a single file in a batch could not be stored
+const describeUploadError = (error) => {
+  if (error.code === 'LIMIT_FILE_SIZE') return fileTooLargeMessage;
+  if (error.code === 'CONTENT_TYPE_MISMATCH') return error.message;
+  if (error.code === 'QUOTA_EXCEEDED') return error.message;
+
+  console.error('Batch upload file error:', error);
+  return 'Failed to store file';
+};
+
+// Check whether a MIME type may be uploaded
+const isAllowedType = (mimeType) => !!allowedTypes[mimeType];
 
 // File filter function
 const fileFilter = (req, file, cb) => {
-  // Define allowed file types
-  const allowedTypes = {
-    // Images
-    'image/jpeg': '.jpg',
-    'image/jpg': '.jpg',
-    'image/png': '.png',
-    'image/gif': '.gif',
-    'image/webp': '.webp',
-    'image/svg+xml': '.svg',
-    
-    // Documents
-    'application/pdf': '.pdf',
-    'application/msword': '.doc',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
-    'application/vnd.ms-excel': '.xls',
-    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
-    'application/vnd.ms-powerpoint': '.ppt',
-    'application/vnd.openxmlformats-officedocument.presentationml.presentation': '.pptx',
-    
-    // Text files
-    'text/plain': '.txt',
-    'text/csv': '.csv',
-    'application/json': '.json',
-    'text/xml': '.xml',
-    'application/xml': '.xml',
-    
-    // Audio
-    'audio/mpeg': '.mp3',
-    'audio/wav': '.wav',
-    'audio/ogg': '.ogg',
-    'audio/mp4': '.m4a',
-    
-    // Video
-    'video/mp4': '.mp4',
-    'video/mpeg': '.mpeg',
-    'video/quicktime': '.mov',
-    'video/webm': '.webm',
-    'video/x-msvideo': '.avi',
-    
-    // Archives
-    'application/zip': '.zip',
-    'application/x-rar-compressed': '.rar',
-    'application/x-tar': '.tar',
-    'application/gzip': '.gz',
-    'application/x-7z-compressed': '.7z'
-  };
+  // Remember each file's position so batch results line up with the request
+  if (req.batchUpload) {
+    file.index = req.batchUpload.count++;
+  }
 
   // Check if file type is allowed
-  if (allowedTypes[file.mimetype]) {
-    cb(null, true);
-  } else {
-    cb(new Error(`File type ${file.mimetype} is not allowed. Supported types: ${Object.values(allowedTypes).join(', ')}`), false);
+  if (isAllowedType(file.mimetype)) {
+    return cb(null, true);
+  }
+
+  const message = `File type ${file.mimetype} is not allowed. Supported types: ${Object.values(allowedTypes).join(', ')}`;
+
+  // Skip just this file in a batch instead of failing the whole request
+  if (req.batchUpload) {
+    req.batchUpload.rejected.push({ index: file.index, originalName: file.originalname, message });
+    return cb(null, false);
   }
+
+  cb(new Error(message), false);
+};
+
+// Switch multer into batch mode for this request: rejected or failed files are
+// collected per file (see req.batchUpload.rejected and file.uploadError)
+// rather than aborting the upload
+const collectUploadErrors = (maxFiles = uploadConfig.maxFiles) => (req, res, next) => {
+  req.batchUpload = { count: 0, rejected: [], maxFiles };
+  next();
 };
 
 // Configure multer
@@ -66,8 +181,19 @@ const upload = multer({
   storage,
   fileFilter,
   limits: {
-    fileSize: 100 * 1024 * 1024, // 100MB limit
-    files: 10 // Maximum 10 files at once
+    // File size is enforced mid-stream by the storage engine
+    files: uploadConfig.maxFiles // Maximum 10 files at once
+  }
+});
+
+// Folder uploads keep the relative path browsers send as the filename
+// (e.g. "docs/specs/a.pdf") and allow many more files per request
+const folderUpload = multer({
+  storage,
+  fileFilter,
+  preservePath: true,
+  limits: {
+    files: uploadConfig.maxFolderUploadFiles
   }
 });
 
@@ -84,13 +210,13 @@ const handleMulterError = (error, req, res, next) => {
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
         success: false,
-        message: 'File too large. Maximum size allowed is 100MB.'
+        message: fileTooLargeMessage
       });
     }
     if (error.code === 'LIMIT_FILE_COUNT') {
       return res.status(400).json({
         success: false,
-        message: 'Too many files. Maximum 10 files allowed at once.'
+        message: `Too many files. Maximum ${req.batchUpload ? req.batchUpload.maxFiles : uploadConfig.maxFiles} files allowed at once.`
       });
     }
     if (error.code === 'LIMIT_UNEXPECTED_FILE') {
@@ -101,6 +227,21 @@ const handleMulterError = (error, req, res, next) => {
     }
   }
   
+  if (error.code === 'CONTENT_TYPE_MISMATCH') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.code === 'QUOTA_EXCEEDED') {
+    return res.status(413).json({
+      success: false,
+      message: error.message,
+      available: error.available
+    });
+  }
+
   if (error.message && error.message.includes('File type')) {
     return res.status(400).json({
       success: false,
@@ -112,4 +253,4 @@ const handleMulterError = (error, req, res, next) => {
   next(error);
 };
 
-module.exports = { upload, handleMulterError };
\ No newline at end of file
+module.exports = { upload, folderUpload, handleMulterError, collectUploadErrors, allowedTypes, isAllowedType };
\ No newline at end of file
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// A stored object shared by every File / FileVersion with identical content.
+// Content is deduplicated per owner, so one user's uploads never reveal
+// anything about another's. The object is deleted when refCount drops to zero.
+const blobSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  storageProvider: {
+    type: String,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  refCount: {
+    type: Number,
+    default: 1
+  }
+}, {
+  timestamps: true
+});
+
+blobSchema.index({ owner: 1, hash: 1 }, { unique: true });
+blobSchema.index({ storageProvider: 1, storageKey: 1 }, { unique: true });
+
+module.exports = mongoose.model('Blob', blobSchema);
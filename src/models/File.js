@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { getStorage, providers } = require('../storage');
+const uploadConfig = require('../config/uploads');
 
 const fileSchema = new mongoose.Schema({
   name: {
@@ -26,14 +28,20 @@ const fileSchema = new mongoose.Schema({
     type: String,
     required: true
   },
-  cloudinaryUrl: {
+  storageProvider: {
     type: String,
+    enum: providers,
     required: true
   },
-  cloudinaryPublicId: {
+  storageKey: {
     type: String,
     required: true
   },
+  // SHA-256 of the content, computed while uploading
+  hash: {
+    type: String,
+    default: null
+  },
   owner: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -91,7 +99,29 @@ const fileSchema = new mongoose.Schema({
         type: Date,
         default: Date.now
       }
-    }]
+    }],
+    // Limits on the share link (see utils/shareLinks). People it was shared
+    // with by email are not subject to them.
+    link: {
+      expiresAt: {
+        type: Date,
+        default: null
+      },
+      passwordHash: {
+        type: String,
+        default: null,
+        select: false
+      },
+      maxDownloads: {
+        type: Number,
+        default: null,
+        min: 1
+      },
+      downloads: {
+        type: Number,
+        default: 0
+      }
+    }
   },
   
   // Tags for organization
@@ -103,23 +133,109 @@ const fileSchema = new mongoose.Schema({
   version: {
     type: Number,
     default: 1
-  }
+  },
+  // Who uploaded the current version and when (older versions live in FileVersion)
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  },
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+  // Text extracted from the current version for full-text search (see utils/contentIndex)
+  content: {
+    type: String,
+    default: null,
+    select: false
+  },
+  contentIndexedAt: {
+    type: Date,
+    default: null
+  },
+  // Scaled-down renditions of the current version (see utils/thumbnails)
+  thumbnails: [{
+    _id: false,
+    size: {
+      type: String,
+      required: true
+    },
+    width: Number,
+    height: Number,
+    storageProvider: {
+      type: String,
+      required: true
+    },
+    storageKey: {
+      type: String,
+      required: true
+    }
+  }]
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
 // Indexes for better performance
 fileSchema.index({ owner: 1, isDeleted: 1 });
 fileSchema.index({ folder: 1, isDeleted: 1 });
 fileSchema.index({ shareToken: 1 });
-fileSchema.index({ name: 'text', originalName: 'text' });
+// Full-text search; names weigh more than a match somewhere in the contents.
+// Existing databases need `npm run db:sync-indexes` to replace the old text index.
+fileSchema.index(
+  { name: 'text', originalName: 'text', content: 'text' },
+  { name: 'file_text_search', weights: { name: 10, originalName: 5, content: 1 } }
+);
 fileSchema.index({ mimeType: 1 });
 fileSchema.index({ createdAt: -1 });
 fileSchema.index({ isShared: 1 });
+fileSchema.index({ storageProvider: 1, storageKey: 1 });
+fileSchema.index({ owner: 1, hash: 1 });
+fileSchema.index({ owner: 1, tags: 1 });
 
-// Virtual for file URL
+// Virtual for file URL. Content is only ever served through the API, which
+// checks access on every request, never from a permanent storage URL.
 fileSchema.virtual('url').get(function() {
-  return this.cloudinaryUrl;
+  if (!this.storageProvider || !this.storageKey) return null;
+  return `/api/files/${this._id}/download`;
+});
+
+// Thumbnail sizes the file can be shown at: its stored renditions, or every
+// size for PDFs whose storage backend renders a first-page preview
+fileSchema.methods.getThumbnailSizes = function() {
+  const stored = (this.thumbnails || []).map(thumbnail => thumbnail.size);
+  if (stored.length > 0) return stored;
+
+  if (this.mimeType === 'application/pdf' && this.storageKey &&
+      getStorage(this.storageProvider).canPreview(this.storageKey)) {
+    return Object.keys(uploadConfig.thumbnailSizes);
+  }
+
+  return [];
+};
+
+// URL of a thumbnail size, served through the API like the file itself
+fileSchema.methods.getThumbnailUrl = function(size = 'medium') {
+  return this.getThumbnailSizes().includes(size) ? `/api/files/${this._id}/thumbnails/${size}` : null;
+};
+
+fileSchema.virtual('thumbnailUrl').get(function() {
+  return this.getThumbnailUrl('medium');
+});
+
+// All thumbnail sizes by name, e.g. { small, medium, large }
+fileSchema.virtual('thumbnailUrls').get(function() {
+  const urls = {};
+  for (const size of Object.keys(uploadConfig.thumbnailSizes)) {
+    urls[size] = this.getThumbnailUrl(size);
+  }
+  return urls;
 });
 
 // Instance method for soft delete
@@ -136,8 +252,17 @@ fileSchema.methods.restore = function() {
   return this.save();
 };
 
+// Instance method to count a download. Updated atomically, since many
+// downloads of the same file can run at once
+fileSchema.methods.recordDownload = function() {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $inc: { downloadCount: 1 }, $set: { lastAccessed: new Date() } }
+  );
+};
+
 // Instance method to check if file is accessible by user
-fileSchema.methods.isAccessibleBy = function(userId) {
+fileSchema.methods.isAccessibleBy = function(userId, { includePublic = false } = {}) {
   // Owner always has access
   if (this.owner.toString() === userId.toString()) {
     return { access: true, permission: 'owner' };
@@ -154,33 +279,65 @@ fileSchema.methods.isAccessibleBy = function(userId) {
     }
   }
   
-  // Check if public
-  if (this.shareSettings && this.shareSettings.isPublic) {
+  // Public files only count when asked for; otherwise they are reachable
+  // through their share links alone, within the links' limits
+  if (includePublic && this.shareSettings && this.shareSettings.isPublic) {
     return { access: true, permission: 'read' };
   }
   
   return { access: false, permission: null };
 };
 
-// Static method to get user's storage usage
-fileSchema.statics.getUserStorageUsage = async function(userId) {
+// Static method to find a live file the user can access. Being public
+// doesn't count: public files are only reachable through their share links,
+// which apply the link's expiry, password and download limit.
+fileSchema.statics.findAccessibleBy = async function(fileId, userId, { write = false } = {}) {
+  const file = await this.findOne({ _id: fileId, isDeleted: false });
+  if (!file) return null;
+
+  const { access, permission } = file.isAccessibleBy(userId);
+  if (!access) return null;
+  if (write && permission !== 'owner' && permission !== 'write') return null;
+
+  return file;
+};
+
+// Static method to get user's storage usage (current versions plus version
+// history); includeDeleted also counts files in the trash
+fileSchema.statics.getUserStorageUsage = async function(userId, { includeDeleted = false } = {}) {
+  const FileVersion = require('./FileVersion');
+  const owner = new mongoose.Types.ObjectId(userId);
+
   const result = await this.aggregate([
     {
       $match: {
-        owner: new mongoose.Types.ObjectId(userId),
-        isDeleted: false
+        owner,
+        ...(includeDeleted ? {} : { isDeleted: false })
       }
     },
     {
       $group: {
         _id: null,
         totalSize: { $sum: '$size' },
-        totalFiles: { $sum: 1 }
+        totalFiles: { $sum: 1 },
+        fileIds: { $push: '$_id' }
       }
     }
   ]);
-  
-  return result[0] || { totalSize: 0, totalFiles: 0 };
+
+  const usage = result[0] || { totalSize: 0, totalFiles: 0, fileIds: [] };
+
+  const versions = await FileVersion.aggregate([
+    { $match: { owner, file: { $in: usage.fileIds } } },
+    { $group: { _id: null, totalSize: { $sum: '$size' } } }
+  ]);
+  const versionSize = versions[0]?.totalSize || 0;
+
+  return {
+    totalSize: usage.totalSize + versionSize,
+    totalFiles: usage.totalFiles,
+    versionSize
+  };
 };
 
 // Pre-save middleware
@@ -191,16 +348,4 @@ fileSchema.pre('save', function(next) {
   next();
 });
 
-// Pre-remove middleware to clean up Cloudinary files
-fileSchema.pre('remove', async function(next) {
-  try {
-    const { deleteFromCloudinary } = require('../utils/uploadToCloud');
-    await deleteFromCloudinary(this.cloudinaryPublicId);
-    next();
-  } catch (error) {
-    console.error('Error deleting from Cloudinary:', error);
-    next();
-  }
-});
-
 module.exports = mongoose.models.File || mongoose.model("File", fileSchema);
\ No newline at end of file
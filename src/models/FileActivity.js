@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Activity is kept for this long, then expires on its own
+const RETENTION_DAYS = 90;
+
+// When a user last opened, edited or uploaded a file. Each user has their own
+// records, unlike File.lastAccessed which every collaborator overwrites; only
+// the latest time per file and action is kept.
+const fileActivitySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['opened', 'edited', 'uploaded'],
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+fileActivitySchema.index({ user: 1, file: 1, action: 1 }, { unique: true });
+fileActivitySchema.index({ user: 1, at: -1 });
+fileActivitySchema.index({ file: 1 });
+fileActivitySchema.index({ at: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Static method to note that a user just did something with a file
+fileActivitySchema.statics.record = function(userId, fileId, action) {
+  return this.updateOne(
+    { user: userId, file: fileId, action },
+    { $set: { at: new Date() } },
+    { upsert: true }
+  );
+};
+
+module.exports = mongoose.model('FileActivity', fileActivitySchema);
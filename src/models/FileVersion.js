@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// A past revision of a file. The current revision always lives on the File
+// document itself; this collection only holds the history behind it.
+const fileVersionSchema = new mongoose.Schema({
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    required: true
+  },
+  // Owner of the file; old versions count against their storage
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  originalName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  storageProvider: {
+    type: String,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    default: null
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // When this revision was uploaded (not when it was superseded)
+  uploadedAt: {
+    type: Date,
+    required: true
+  },
+  restoredFrom: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+fileVersionSchema.index({ file: 1, version: -1 }, { unique: true });
+fileVersionSchema.index({ owner: 1 });
+
+module.exports = mongoose.model('FileVersion', fileVersionSchema);
@@ -30,6 +30,12 @@ const folderSchema = new mongoose.Schema({
     trim: true,
     maxlength: [500, 'Description cannot be more than 500 characters']
   },
+  // Tags for organization (see utils/tags)
+  tags: [{
+    type: String,
+    trim: true,
+    maxlength: 50
+  }],
   isDeleted: {
     type: Boolean,
     default: false
@@ -69,7 +75,29 @@ const folderSchema = new mongoose.Schema({
         type: Date,
         default: Date.now
       }
-    }]
+    }],
+    // Limits on the share link (see utils/shareLinks). People it was shared
+    // with by email are not subject to them.
+    link: {
+      expiresAt: {
+        type: Date,
+        default: null
+      },
+      passwordHash: {
+        type: String,
+        default: null,
+        select: false
+      },
+      maxDownloads: {
+        type: Number,
+        default: null,
+        min: 1
+      },
+      downloads: {
+        type: Number,
+        default: 0
+      }
+    }
   }
 }, {
   timestamps: true
@@ -81,6 +109,7 @@ folderSchema.index({ parent: 1, isDeleted: 1 });
 folderSchema.index({ path: 1 });
 folderSchema.index({ shareToken: 1 });
 folderSchema.index({ isShared: 1 });
+folderSchema.index({ owner: 1, tags: 1 });
 
 // Pre-validate middleware for path generation
 folderSchema.pre('validate', async function(next) {
@@ -112,7 +141,7 @@ folderSchema.methods.restore = function() {
 };
 
 // Method to check folder access
-folderSchema.methods.isAccessibleBy = function(userId) {
+folderSchema.methods.isAccessibleBy = function(userId, { includePublic = false } = {}) {
   // Owner always has access
   if (this.owner.toString() === userId.toString()) {
     return { access: true, permission: 'owner' };
@@ -129,14 +158,57 @@ folderSchema.methods.isAccessibleBy = function(userId) {
     }
   }
   
-  // Check if public
-  if (this.shareSettings && this.shareSettings.isPublic) {
+  // Public folders only count when asked for; otherwise they are reachable
+  // through their share links alone, within the links' limits
+  if (includePublic && this.shareSettings && this.shareSettings.isPublic) {
     return { access: true, permission: 'read' };
   }
   
   return { access: false, permission: null };
 };
 
+// Static method to find a live folder the user can access. Being public
+// doesn't count: public folders are only reachable through their share links,
+// which apply the link's expiry, password and download limit.
+folderSchema.statics.findAccessibleBy = async function(folderId, userId, { write = false } = {}) {
+  const folder = await this.findOne({ _id: folderId, isDeleted: false });
+  if (!folder) return null;
+
+  const { access, permission } = folder.isAccessibleBy(userId);
+  if (!access) return null;
+  if (write && permission !== 'owner' && permission !== 'write') return null;
+
+  return folder;
+};
+
+// Static method to find a live folder the user has write access to
+folderSchema.statics.findWritableBy = function(folderId, userId) {
+  return this.findAccessibleBy(folderId, userId, { write: true });
+};
+
+// Static method to find a live folder of the user's own. New files and
+// folders only go into these: listings show a folder's owner's items, so
+// anything the user added to someone else's folder would drop out of view.
+folderSchema.statics.findOwnedBy = function(folderId, userId) {
+  return this.findOne({ _id: folderId, owner: userId, isDeleted: false });
+};
+
+// Static method to collect the ids of live folders below the given ones,
+// following parent links rather than the stored path strings. With
+// { deleted: true } it walks trashed folders instead.
+folderSchema.statics.findDescendantIds = async function(folderIds, { deleted = false } = {}) {
+  const descendants = [];
+  let level = folderIds;
+
+  while (level.length > 0) {
+    const children = await this.find({ parent: { $in: level }, isDeleted: deleted }).select('_id');
+    level = children.map(child => child._id);
+    descendants.push(...level);
+  }
+
+  return descendants;
+};
+
 // Method to get breadcrumb
 folderSchema.methods.getBreadcrumb = async function() {
   const breadcrumb = [];
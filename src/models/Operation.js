@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Finished operations are kept this long so clients can read the outcome
+const RETENTION_DAYS = 7;
+
+// A long-running job started by a user (e.g. copying a folder tree), run in
+// the background while the client polls for progress
+const operationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['folder-copy', 'storage-reconcile'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+  // What the operation works on, e.g. { folderId, destinationId }
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  progress: {
+    totalItems: { type: Number, default: 0 },
+    completedItems: { type: Number, default: 0 },
+    totalBytes: { type: Number, default: 0 },
+    completedBytes: { type: Number, default: 0 }
+  },
+  // What it produced, e.g. { folderId } of the new copy (also set on failure
+  // when part of the work was done)
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+operationSchema.index({ user: 1, createdAt: -1 });
+operationSchema.index({ status: 1, updatedAt: 1 });
+operationSchema.index({ finishedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+operationSchema.virtual('percent').get(function() {
+  const { totalItems, completedItems } = this.progress;
+  if (this.status === 'completed') return 100;
+  return totalItems > 0 ? Math.floor((completedItems / totalItems) * 100) : 0;
+});
+
+// Method to record progress; also shows the operation is still alive
+operationSchema.methods.advance = function(items, bytes = 0) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $inc: { 'progress.completedItems': items, 'progress.completedBytes': bytes } }
+  );
+};
+
+module.exports = mongoose.model('Operation', operationSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// One of possibly many links to a file or folder, each handed out (and
+// revoked) on its own. Anyone holding the token gets the link's role within
+// its limits; the item's own shareToken keeps working alongside these.
+const shareLinkSchema = new mongoose.Schema({
+  itemType: {
+    type: String,
+    enum: ['File', 'Folder'],
+    required: true
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'itemType',
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [100, 'Link label cannot be more than 100 characters']
+  },
+  // viewers see the item but can't download it
+  role: {
+    type: String,
+    enum: {
+      values: ['viewer', 'downloader'],
+      message: 'Role must be viewer or downloader'
+    },
+    default: 'downloader'
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  passwordHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  maxDownloads: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  downloads: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+shareLinkSchema.index({ itemType: 1, item: 1, createdAt: -1 });
+
+// Virtual for whether the link still opens the item
+shareLinkSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A file or folder a user has starred. Stars live outside the item so
+// collaborators can star shared items without touching the owner's document.
+const starSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  itemType: {
+    type: String,
+    enum: ['File', 'Folder'],
+    required: true
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'itemType',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+starSchema.index({ user: 1, itemType: 1, item: 1 }, { unique: true });
+starSchema.index({ user: 1, createdAt: -1 });
+starSchema.index({ item: 1 });
+
+// Static method to get which of the given items a user has starred
+starSchema.statics.findStarredIds = async function(userId, itemType, itemIds) {
+  if (itemIds.length === 0) return new Set();
+
+  const stars = await this.find({ user: userId, itemType, item: { $in: itemIds } }).select('item');
+  return new Set(stars.map(star => star.item.toString()));
+};
+
+module.exports = mongoose.model('Star', starSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const fs = require('fs');
+const path = require('path');
+const uploadConfig = require('../config/uploads');
+
+// A resumable upload in progress. Received bytes are appended to a temp file
+// until offset reaches size, then the session is finalized into a File.
+const uploadSessionSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  folder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255
+  },
+  originalName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  offset: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+uploadSessionSchema.index({ owner: 1 });
+uploadSessionSchema.index({ expiresAt: 1 });
+
+// Path of the temp file holding the bytes received so far
+uploadSessionSchema.virtual('tempPath').get(function() {
+  return path.join(uploadConfig.tmpDir, this._id.toString());
+});
+
+uploadSessionSchema.virtual('isComplete').get(function() {
+  return this.offset === this.size;
+});
+
+// Push the expiry forward; called whenever the client makes progress
+uploadSessionSchema.methods.touch = function() {
+  this.expiresAt = new Date(Date.now() + uploadConfig.sessionTtlHours * 60 * 60 * 1000);
+};
+
+// Delete the received data and the session itself
+uploadSessionSchema.methods.discard = async function() {
+  await fs.promises.rm(this.tempPath, { force: true });
+  await this.deleteOne();
+};
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// One change to a user's storageUsed counter and why it happened. Every
+// adjustment goes through utils/storageUsage, so the entries add up to the
+// counter and show where any drift came from.
+const usageLedgerSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Bytes added (positive) or freed (negative)
+  delta: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['file-added', 'version-added', 'file-purged', 'versions-pruned', 'repair'],
+    required: true
+  },
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    default: null
+  },
+  // storageUsed right after the change
+  balance: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+usageLedgerSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('UsageLedger', usageLedgerSchema);
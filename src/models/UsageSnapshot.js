@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Daily history is kept for this long, then expires on its own
+const RETENTION_DAYS = 400;
+
+// A user's storage usage on one day, for the usage chart. The snapshot job
+// overwrites the current day's entry each time it runs.
+const usageSnapshotSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Midnight UTC of the day
+  day: {
+    type: Date,
+    required: true
+  },
+  // Everything that counts against the quota: live and trashed files with their versions
+  totalSize: { type: Number, default: 0 },
+  trashSize: { type: Number, default: 0 },
+  versionSize: { type: Number, default: 0 },
+  fileCount: { type: Number, default: 0 }
+}, {
+  timestamps: true
+});
+
+usageSnapshotSchema.index({ user: 1, day: 1 }, { unique: true });
+usageSnapshotSchema.index({ day: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('UsageSnapshot', usageSnapshotSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const trashConfig = require('../config/trash');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -50,6 +51,13 @@ const userSchema = new mongoose.Schema({
   storageLimit: {
     type: Number,
     default: 5 * 1024 * 1024 * 1024 // 5GB in bytes
+  },
+  // Days items stay in the trash; null uses the deployment's setting
+  trashRetentionDays: {
+    type: Number,
+    default: null,
+    min: [trashConfig.minRetentionDays, `Trash retention must be at least ${trashConfig.minRetentionDays} day`],
+    max: [trashConfig.maxRetentionDays, `Trash retention cannot be more than ${trashConfig.maxRetentionDays} days`]
   }
 }, {
   timestamps: true
@@ -76,38 +84,23 @@ userSchema.methods.toJSON = function() {
   delete userObject.password;
   return userObject;
 };
- 
-// Add this method to your User model schema
-
-// Instance method to update storage usage
-userSchema.methods.updateStorageUsed = async function(sizeChange) {
-  this.storageUsed = Math.max(0, (this.storageUsed || 0) + sizeChange);
-  return this.save();
-};
 
-// Static method to recalculate storage usage for a user
+// Static method to recalculate storage usage for a user. Files in the trash
+// still take up space until they are purged; the correction is recorded in
+// the usage ledger like any other change. Resolves to null when the user no
+// longer exists.
 userSchema.statics.recalculateStorageUsage = async function(userId) {
   const File = require('./File');
-  const result = await File.aggregate([
-    {
-      $match: {
-        owner: new mongoose.Types.ObjectId(userId),
-        isDeleted: false
-      }
-    },
-    {
-      $group: {
-        _id: null,
-        totalSize: { $sum: '$size' }
-      }
-    }
-  ]);
-  
-  const totalSize = result[0]?.totalSize || 0;
-  
-  await this.findByIdAndUpdate(userId, { storageUsed: totalSize });
+  const { adjustStorage } = require('../utils/storageUsage');
+
+  const user = await this.findById(userId).select('storageUsed');
+  if (!user) {
+    return null;
+  }
+
+  const { totalSize } = await File.getUserStorageUsage(userId, { includeDeleted: true });
+  await adjustStorage(userId, totalSize - user.storageUsed, { reason: 'repair' });
   return totalSize;
 };
 
-
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,19 @@
+const express = require('express');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { mongoIdValidation } = require('../middleware/validation');
+const {
+  reconcileStorageNow,
+  repairStorageUsage,
+  getUsageLedger
+} = require('../controllers/adminController');
+
+const router = express.Router();
+
+// Dry-run or apply a storage reconciliation; progress and the report are at /api/operations/:id
+router.post('/storage/reconcile', authenticate, requireAdmin, reconcileStorageNow);
+
+// A user's storage usage counter and the ledger of changes behind it
+router.post('/users/:id/storage/repair', authenticate, requireAdmin, mongoIdValidation, repairStorageUsage);
+router.get('/users/:id/storage/ledger', authenticate, requireAdmin, mongoIdValidation, getUsageLedger);
+
+module.exports = router;
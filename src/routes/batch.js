@@ -0,0 +1,10 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { runBatch } = require('../controllers/batchController');
+
+const router = express.Router();
+
+// Many file and folder operations in one request, e.g. for a multi-select
+router.post('/', authenticate, runBatch);
+
+module.exports = router;
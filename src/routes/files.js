@@ -1,26 +1,53 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const File = require('../models/File');  
-const { authenticate } = require('../middleware/auth');
-const { upload, handleMulterError } = require('../middleware/upload');
-const { mongoIdValidation } = require('../middleware/validation');
+const { authenticate, optionalAuth } = require('../middleware/auth');
+const { shareUnlockLimiter } = require('../middleware/rateLimit');
+const { upload, folderUpload, handleMulterError, collectUploadErrors } = require('../middleware/upload');
+const uploadConfig = require('../config/uploads');
+const { shareValidation } = require('../utils/validation');
+const storageConfig = require('../config/storage');
 const {
   uploadFile,
+  uploadFiles,
+  uploadFolder,
   getUserFiles,
   getFileById,
   deleteFile,
   searchFiles,
   shareFile,
   renameFile,
+  moveFile,
+  copyFile,
   unshareFile,
   getTrashedFiles,
   restoreFile,
   downloadFile,
+  downloadArchive,
+  getFileThumbnail,
+  regenerateThumbnails,
   permanentlyDeleteFile,
   getSharedFile,
+  downloadSharedFile,
+  getSharedFileThumbnail,
+  unlockSharedFile,
   makeFilePublic,
   makeFilePrivate
 } = require('../controllers/fileController');
+const { updateFileTags } = require('../controllers/tagController');
+const { starFile, unstarFile } = require('../controllers/starController');
+const {
+  listFileLinks,
+  createFileLink,
+  updateFileLink,
+  revokeFileLink
+} = require('../controllers/shareLinkController');
+const {
+  uploadFileVersion,
+  getFileVersions,
+  downloadFileVersion,
+  restoreVersion
+} = require('../controllers/versionController');
 
 const router = express.Router();
 
@@ -33,10 +60,10 @@ const validateFileUpload = (req, res, next) => {
     });
   }
 
-  if (!req.file.buffer) {
+  if (!req.file.storageKey) {
     return res.status(400).json({
       success: false,
-      message: 'File buffer is missing'
+      message: 'File content is missing'
     });
   }
 
@@ -63,38 +90,25 @@ const validateMongoId = (req, res, next) => {
   next();
 };
 
-router.post("/:id/share", async (req, res) => {
-  try {
-    const file = await File.findById(req.params.id);
-    if (!file) {
-      return res.status(404).json({ success: false, message: "File not found" });
-    }
-
-    file.isShared = true;
-    file.shareToken = Math.random().toString(36).substring(2, 15);
-    await file.save();
-
-    res.json({ success: true, file });
-  } catch (err) {
-    console.error("Error sharing file:", err);
-    res.status(500).json({ success: false, message: "Server error" });
-  }
-});
-
-router.get("/shared/:token", async (req, res) => {
+// Load the target file before multer runs, so a new version is streamed
+// under the file owner's storage prefix and only by someone allowed to write
+const loadWritableFile = async (req, res, next) => {
   try {
-    const file = await File.findOne({ shareToken: req.params.token, isShared: true });
+    const file = await File.findAccessibleBy(req.params.id, req.user._id, { write: true });
     if (!file) {
-      return res.status(404).json({ success: false, message: "Shared file not found or link expired" });
+      return res.status(404).json({
+        success: false,
+        message: 'File not found or access denied'
+      });
     }
 
-    res.json({ success: true, file });
-  } catch (err) {
-    console.error("Error fetching shared file:", err);
-    res.status(500).json({ success: false, message: "Server error" });
+    req.targetFile = file;
+    req.uploadOwner = file.owner;
+    next();
+  } catch (error) {
+    next(error);
   }
-});
-
+};
 
 // Routes
 router.post('/upload',
@@ -105,29 +119,77 @@ router.post('/upload',
   uploadFile
 );
 
+// Upload many files at once; each file is reported on separately
+router.post('/upload/batch',
+  authenticate,
+  collectUploadErrors(),
+  upload.array('files', uploadConfig.maxFiles),
+  handleMulterError,
+  uploadFiles
+);
+
+// Upload a directory; folders are recreated from each file's relative path
+router.post('/upload/folder',
+  authenticate,
+  collectUploadErrors(uploadConfig.maxFolderUploadFiles),
+  folderUpload.array('files'),
+  handleMulterError,
+  uploadFolder
+);
+
 router.get('/', authenticate, getUserFiles);
 
+// Download a selection of files and folders as a ZIP archive
+router.post('/archive', authenticate, downloadArchive);
+
 router.get('/search', authenticate, searchFiles);
 
 router.get('/:id', authenticate, validateMongoId, getFileById);
 
 router.delete('/:id', authenticate, validateMongoId, deleteFile);
 
-router.get('/shared/:token', authenticate, getSharedFile);
-// Download file (stream from Cloudinary)
-router.get('/:id/download', async (req, res) => {
-  try {
-    const file = await File.findById(req.params.id);
-    if (!file || file.isDeleted) return res.status(404).json({ msg: 'File not found' });
-
-    // Cloudinary gives us secure_url
-    res.setHeader('Content-Disposition', `attachment; filename="${file.originalName}"`);
-    res.redirect(file.url); // Browser/Postman will hit Cloudinary and start download/stream
-  } catch (err) {
-    res.status(500).json({ msg: err.message });
-  }
-});
+// Share links work without signing in; the owner and people the file was
+// shared with skip the link's expiry, password and download limit
+router.get('/shared/:token', optionalAuth, getSharedFile);
+router.get('/shared/:token/download', optionalAuth, downloadSharedFile);
+router.get('/shared/:token/thumbnails/:size', optionalAuth, getSharedFileThumbnail);
+router.post('/shared/:token/unlock', shareUnlockLimiter, unlockSharedFile);
+
+// Share with someone by email; { email, permission, expiresIn, password, maxDownloads }
+router.post('/:id/share', authenticate, validateMongoId, shareValidation, shareFile);
+
+// Extra share links, each with its own label, role and limits and revocable on its own
+router.get('/:id/links', authenticate, validateMongoId, listFileLinks);
+router.post('/:id/links', authenticate, validateMongoId, createFileLink);
+router.patch('/:id/links/:linkId', authenticate, validateMongoId, updateFileLink);
+router.delete('/:id/links/:linkId', authenticate, validateMongoId, revokeFileLink);
 
+// Download file (streamed with Range support, or redirected to a signed URL)
+router.get('/:id/download', authenticate, validateMongoId, downloadFile);
+
+// Tags: { add: [...], remove: [...] }
+router.patch('/:id/tags', authenticate, validateMongoId, updateFileTags);
+
+// Stars are per user
+router.put('/:id/star', authenticate, validateMongoId, starFile);
+router.delete('/:id/star', authenticate, validateMongoId, unstarFile);
+
+// Thumbnails
+router.get('/:id/thumbnails/:size', authenticate, validateMongoId, getFileThumbnail);
+router.post('/:id/thumbnails', authenticate, validateMongoId, regenerateThumbnails);
+
+// Version history
+router.post('/:id/versions',
+  authenticate,
+  validateMongoId,
+  loadWritableFile,
+  upload.single('file'),
+  handleMulterError,
+  uploadFileVersion
+);
+router.get('/:id/versions', authenticate, validateMongoId, getFileVersions);
+router.get('/:id/versions/:version/download', authenticate, validateMongoId, downloadFileVersion);
+router.post('/:id/versions/:version/restore', authenticate, validateMongoId, restoreVersion);
 
 // ✅ Restore file from trash
 router.patch("/:id/restore", authenticate, validateMongoId, restoreFile);
@@ -138,10 +200,14 @@ router.patch("/:id/unshare", authenticate, validateMongoId, unshareFile);
 // ✅ Rename file
 router.patch("/:id/rename", authenticate, validateMongoId, renameFile);
 
+// Move or copy into another folder: { folderId, conflict } (copies may also take a name)
+router.patch('/:id/move', authenticate, validateMongoId, moveFile);
+router.post('/:id/copy', authenticate, validateMongoId, copyFile);
+
 // ✅ Permanently delete file
 router.patch('/:id/permanent', authenticate, validateMongoId, permanentlyDeleteFile);
 
-router.patch('/:id/make-public', authenticate, validateMongoId, makeFilePublic);
+router.patch('/:id/make-public', authenticate, validateMongoId, shareValidation, makeFilePublic);
 
 router.patch('/:id/make-private', authenticate, validateMongoId, makeFilePrivate);
 // Test routes for debugging
@@ -158,6 +224,7 @@ router.get('/test/env', (req, res) => {
   res.json({
     success: true,
     environment: {
+      storage_driver: storageConfig.driver,
       cloudinary_configured: !!(process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY),
       mongodb_uri: !!process.env.MONGODB_URI,
       node_env: process.env.NODE_ENV,
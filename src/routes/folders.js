@@ -15,16 +15,30 @@ const {
   shareFolderWithUser,
   getFolderBreadcrumb,
   permanentlyDeleteFolder,
+  downloadFolderArchive,
+  copyFolder,
   getSharedFolder,
+  downloadSharedFolderFile,
+  getSharedFolderFileThumbnail,
+  unlockSharedFolder,
   makeFolderPublic,
   makeFolderPrivate
 } = require('../controllers/folderController');
 
-const { authenticate } = require('../middleware/auth');
+const { updateFolderTags } = require('../controllers/tagController');
+const { starFolder, unstarFolder } = require('../controllers/starController');
+const {
+  listFolderLinks,
+  createFolderLink,
+  updateFolderLink,
+  revokeFolderLink
+} = require('../controllers/shareLinkController');
+const { authenticate, optionalAuth } = require('../middleware/auth');
+const { shareUnlockLimiter } = require('../middleware/rateLimit');
+const { shareValidation } = require('../utils/validation');
 
 // Validation middlewares
 const folderValidation = (req, res, next) => next();
-const shareValidation = (req, res, next) => next();
 
 const mongoIdValidation = (req, res, next) => {
   const { id } = req.params;
@@ -46,10 +60,21 @@ router.get('/', authenticate, getUserFolders);
 router.get('/trash', authenticate, getTrashFolders);
 
 router.get('/:id/breadcrumb', authenticate, mongoIdValidation, getFolderBreadcrumb);
+router.get('/:id/archive', authenticate, mongoIdValidation, downloadFolderArchive);
+
+// Copy a folder tree in the background; poll /api/operations/:id for progress
+router.post('/:id/copy', authenticate, mongoIdValidation, copyFolder);
 router.get('/:id', authenticate, mongoIdValidation, getFolderById);
 
 router.put('/:id', authenticate, mongoIdValidation, folderValidation, updateFolder);
 
+// Tags: { add: [...], remove: [...] }
+router.patch('/:id/tags', authenticate, mongoIdValidation, updateFolderTags);
+
+// Stars are per user
+router.put('/:id/star', authenticate, mongoIdValidation, starFolder);
+router.delete('/:id/star', authenticate, mongoIdValidation, unstarFolder);
+
 // FIXED: Permanently delete folder
 router.patch('/:id/permanent', authenticate, mongoIdValidation, permanentlyDeleteFolder);
 
@@ -59,12 +84,22 @@ router.delete('/:id', authenticate, mongoIdValidation, deleteFolder);
 // FIXED: Restore folder from trash
 router.post('/:id/restore', authenticate, mongoIdValidation, restoreFolder);
 
-router.get('/shared/:token', authenticate, getSharedFolder);
+// Shared links: anyone with the link, or signed-in users it was shared with
+router.get('/shared/:token', optionalAuth, getSharedFolder);
+router.get('/shared/:token/files/:fileId/download', optionalAuth, downloadSharedFolderFile);
+router.get('/shared/:token/files/:fileId/thumbnails/:size', optionalAuth, getSharedFolderFileThumbnail);
+router.post('/shared/:token/unlock', shareUnlockLimiter, unlockSharedFolder);
 
 // Share folder
 router.patch('/:id/share', authenticate, mongoIdValidation, shareValidation, shareFolderWithUser);
 
-router.patch('/:id/make-public', authenticate, mongoIdValidation, makeFolderPublic);
+// Extra share links, each with its own label, role and limits and revocable on its own
+router.get('/:id/links', authenticate, mongoIdValidation, listFolderLinks);
+router.post('/:id/links', authenticate, mongoIdValidation, createFolderLink);
+router.patch('/:id/links/:linkId', authenticate, mongoIdValidation, updateFolderLink);
+router.delete('/:id/links/:linkId', authenticate, mongoIdValidation, revokeFolderLink);
+
+router.patch('/:id/make-public', authenticate, mongoIdValidation, shareValidation, makeFolderPublic);
 
 router.patch('/:id/make-private', authenticate, mongoIdValidation, makeFolderPrivate);
 
@@ -0,0 +1,12 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { mongoIdValidation } = require('../middleware/validation');
+const { getOperation, getOperations } = require('../controllers/operationController');
+
+const router = express.Router();
+
+// Background operations (e.g. folder copies) and their progress
+router.get('/', authenticate, getOperations);
+router.get('/:id', authenticate, mongoIdValidation, getOperation);
+
+module.exports = router;
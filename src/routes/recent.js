@@ -0,0 +1,11 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { getRecent } = require('../controllers/recentController');
+
+const router = express.Router();
+
+// Recently opened, edited and uploaded files grouped by day;
+// ?action=opened|edited|uploaded&timezoneOffset=<minutes>&before=<date>
+router.get('/', authenticate, getRecent);
+
+module.exports = router;
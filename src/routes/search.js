@@ -0,0 +1,10 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { search } = require('../controllers/searchController');
+
+const router = express.Router();
+
+// Files and folders ranked together, with facet counts for filtering
+router.get('/', authenticate, search);
+
+module.exports = router;
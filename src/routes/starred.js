@@ -0,0 +1,10 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { getStarred } = require('../controllers/starController');
+
+const router = express.Router();
+
+// Starred files and folders; ?sort=starred|name|modified|size&order=asc|desc&type=file|folder
+router.get('/', authenticate, getStarred);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { getStorageSummary } = require('../controllers/storageController');
+
+const router = express.Router();
+
+router.get('/summary', authenticate, getStorageSummary);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const {
+  getTags,
+  autocompleteTags,
+  getTaggedItems,
+  updateItemTags,
+  renameUserTag,
+  deleteUserTag
+} = require('../controllers/tagController');
+
+const router = express.Router();
+
+// Tags on files and folders; a tag in the URL is URL-encoded
+router.get('/', authenticate, getTags);
+router.get('/autocomplete', authenticate, autocompleteTags);
+router.post('/bulk', authenticate, updateItemTags);
+router.get('/:tag/items', authenticate, getTaggedItems);
+router.patch('/:tag', authenticate, renameUserTag);
+router.delete('/:tag', authenticate, deleteUserTag);
+
+module.exports = router;
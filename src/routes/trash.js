@@ -0,0 +1,10 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { emptyTrash } = require('../controllers/trashController');
+
+const router = express.Router();
+
+// Trashed files and folders are listed by /api/files/trash/all and /api/folders/trash
+router.delete('/', authenticate, emptyTrash);
+
+module.exports = router;
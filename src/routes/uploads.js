@@ -0,0 +1,22 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { mongoIdValidation } = require('../middleware/validation');
+const {
+  createUploadSession,
+  getUploadStatus,
+  uploadChunk,
+  completeUpload,
+  cancelUpload
+} = require('../controllers/uploadController');
+
+const router = express.Router();
+
+// Resumable uploads: create a session, PATCH chunks at an offset,
+// HEAD to ask how far we got, then complete it into a file
+router.post('/', authenticate, createUploadSession);
+router.head('/:id', authenticate, mongoIdValidation, getUploadStatus);
+router.patch('/:id', authenticate, mongoIdValidation, uploadChunk);
+router.post('/:id/complete', authenticate, mongoIdValidation, completeUpload);
+router.delete('/:id', authenticate, mongoIdValidation, cancelUpload);
+
+module.exports = router;
@@ -0,0 +1,147 @@
+const cloudinary = require('cloudinary').v2;
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const StorageAdapter = require('./StorageAdapter');
+
+/**
+ * Cloudinary driver.
+ * Cloudinary needs the resource type (image, video, raw) to address an asset,
+ * so keys are stored as `<resource_type>/<public_id>`.
+ */
+class CloudinaryStorage extends StorageAdapter {
+  constructor({ cloudName, apiKey, apiSecret, folder }) {
+    super('cloudinary');
+    this.folder = folder;
+
+    cloudinary.config({
+      cloud_name: cloudName,
+      api_key: apiKey,
+      api_secret: apiSecret
+    });
+  }
+
+  // Split a storage key into Cloudinary's resource type and public id
+  parseKey(key) {
+    const separator = key.indexOf('/');
+    return {
+      resourceType: key.slice(0, separator),
+      publicId: key.slice(separator + 1)
+    };
+  }
+
+  // Delivery URL of an asset, for the driver's own downloads; it never goes
+  // to clients, which only get content through the API
+  deliveryUrl(key, options = {}) {
+    const { resourceType, publicId } = this.parseKey(key);
+    return cloudinary.url(publicId, { resource_type: resourceType, secure: true, ...options });
+  }
+
+  async fetchStream(url, headers = {}) {
+    const response = await fetch(url, { headers });
+    if (!response.ok) {
+      const error = new Error(`Cloudinary download failed with status ${response.status}`);
+      error.code = response.status === 404 ? 'ENOENT' : 'EIO';
+      throw error;
+    }
+
+    return Readable.fromWeb(response.body);
+  }
+
+  put(source, options = {}) {
+    const { stream, counter } = this.measure(source);
+
+    return new Promise((resolve, reject) => {
+      const uploadStream = cloudinary.uploader.upload_stream(
+        {
+          resource_type: 'auto',
+          folder: options.prefix ? `${this.folder}/${options.prefix}` : this.folder,
+          use_filename: false,
+          unique_filename: true
+        },
+        (error, result) => {
+          if (error) {
+            console.error('Cloudinary upload error:', error);
+            reject(error);
+          } else {
+            resolve({
+              key: `${result.resource_type}/${result.public_id}`,
+              size: result.bytes || counter.bytes
+            });
+          }
+        }
+      );
+
+      pipeline(stream, uploadStream).catch(reject);
+    });
+  }
+
+  async getStream(key, range = {}) {
+    const headers = {};
+    if (range.start !== undefined || range.end !== undefined) {
+      headers.Range = `bytes=${range.start || 0}-${range.end !== undefined ? range.end : ''}`;
+    }
+
+    return this.fetchStream(this.deliveryUrl(key), headers);
+  }
+
+  async delete(key) {
+    const { resourceType, publicId } = this.parseKey(key);
+    await cloudinary.uploader.destroy(publicId, {
+      resource_type: resourceType,
+      invalidate: true
+    });
+  }
+
+  async exists(key) {
+    const { resourceType, publicId } = this.parseKey(key);
+    try {
+      await cloudinary.api.resource(publicId, { resource_type: resourceType });
+      return true;
+    } catch (error) {
+      if (error.error?.http_code === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  // Assets are listed per resource type, which is why keys carry it
+  async *list(prefix) {
+    for (const resourceType of ['image', 'video', 'raw']) {
+      let nextCursor;
+      do {
+        const page = await cloudinary.api.resources({
+          type: 'upload',
+          resource_type: resourceType,
+          prefix: `${this.folder}/${prefix}/`,
+          max_results: 500,
+          next_cursor: nextCursor
+        });
+
+        for (const resource of page.resources) {
+          yield {
+            key: `${resource.resource_type}/${resource.public_id}`,
+            size: resource.bytes,
+            lastModified: new Date(resource.created_at)
+          };
+        }
+        nextCursor = page.next_cursor;
+      } while (nextCursor);
+    }
+  }
+
+  // Cloudinary stores PDFs as image resources and can rasterize any page
+  canPreview(key) {
+    return this.parseKey(key).resourceType === 'image';
+  }
+
+  async getPreviewStream(key, { width, height } = {}) {
+    return this.fetchStream(this.deliveryUrl(key, {
+      format: 'jpg',
+      page: 1,
+      transformation: [{ width, height, crop: 'limit' }]
+    }));
+  }
+}
+
+module.exports = CloudinaryStorage;
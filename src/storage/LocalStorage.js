@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const StorageAdapter = require('./StorageAdapter');
+
+/**
+ * Local filesystem driver. Objects live under `root` (the uploads/ directory by
+ * default) and are only ever served through the API's download routes.
+ */
+class LocalStorage extends StorageAdapter {
+  constructor({ root }) {
+    super('local');
+    this.root = root;
+  }
+
+  // Map a key to an absolute path, refusing anything that escapes the root
+  resolvePath(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(source, options = {}) {
+    const key = this.generateKey(options.prefix, options.filename);
+    const filePath = this.resolvePath(key);
+    const { stream, counter } = this.measure(source);
+
+    try {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await pipeline(stream, fs.createWriteStream(filePath));
+    } catch (error) {
+      await fs.promises.rm(filePath, { force: true });
+      throw error;
+    }
+
+    return { key, size: counter.bytes };
+  }
+
+  async getStream(key, range = {}) {
+    const filePath = this.resolvePath(key);
+    // Fail early with ENOENT instead of on the first read
+    await fs.promises.access(filePath);
+    return fs.createReadStream(filePath, { start: range.start, end: range.end });
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.resolvePath(key), { force: true });
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.resolvePath(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async *list(prefix) {
+    const walk = async function* (dir) {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          yield* walk(entryPath);
+        } else if (entry.isFile()) {
+          yield entryPath;
+        }
+      }
+    };
+
+    for await (const filePath of walk(this.resolvePath(prefix))) {
+      const stats = await fs.promises.stat(filePath);
+      yield {
+        key: path.relative(this.root, filePath).split(path.sep).join('/'),
+        size: stats.size,
+        lastModified: stats.mtime
+      };
+    }
+  }
+}
+
+module.exports = LocalStorage;
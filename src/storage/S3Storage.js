@@ -0,0 +1,101 @@
+const {
+  S3Client,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const StorageAdapter = require('./StorageAdapter');
+
+/**
+ * S3-compatible driver. Works against AWS S3 and against a local MinIO
+ * (set S3_ENDPOINT, path-style addressing is enabled automatically).
+ */
+class S3Storage extends StorageAdapter {
+  constructor({ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle }) {
+    super('s3');
+    this.bucket = bucket;
+    this.client = new S3Client({
+      endpoint,
+      region,
+      forcePathStyle,
+      ...(accessKeyId && {
+        credentials: { accessKeyId, secretAccessKey }
+      })
+    });
+  }
+
+  async put(source, options = {}) {
+    const key = this.generateKey(options.prefix, options.filename);
+    const { stream, counter } = this.measure(source);
+
+    // Multipart upload so streams of unknown length never need buffering
+    const upload = new Upload({
+      client: this.client,
+      params: {
+        Bucket: this.bucket,
+        Key: key,
+        Body: stream,
+        ContentType: options.mimeType
+      }
+    });
+
+    await upload.done();
+    return { key, size: counter.bytes };
+  }
+
+  async getStream(key, range = {}) {
+    const hasRange = range.start !== undefined || range.end !== undefined;
+    const result = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ...(hasRange && { Range: `bytes=${range.start || 0}-${range.end !== undefined ? range.end : ''}` })
+    }));
+    return result.Body;
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+
+  async exists(key) {
+    try {
+      await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+      return true;
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async *list(prefix) {
+    let ContinuationToken;
+    do {
+      const page = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: `${prefix}/`,
+        ContinuationToken
+      }));
+
+      for (const object of page.Contents || []) {
+        yield { key: object.Key, size: object.Size, lastModified: object.LastModified };
+      }
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+  }
+
+  async getSignedUrl(key, { expiresIn = 300, disposition } = {}) {
+    const command = new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ...(disposition && { ResponseContentDisposition: disposition })
+    });
+    return getSignedUrl(this.client, command, { expiresIn });
+  }
+}
+
+module.exports = S3Storage;
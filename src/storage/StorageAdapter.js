@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const path = require('path');
+const { Readable, Transform, pipeline } = require('stream');
+
+/**
+ * Base class for storage drivers.
+ * Drivers store opaque objects under string keys. Callers only ever deal with
+ * `storageProvider` + `storageKey` and never build provider-specific URLs or ids.
+ */
+class StorageAdapter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Store an object
+   * @param {Buffer|Readable} source - File contents
+   * @param {Object} options - { prefix, filename, mimeType }
+   * @returns {Promise<{key: String, size: Number}>} - Storage key and stored size in bytes
+   */
+  async put(source, options = {}) {
+    throw new Error(`${this.name} storage does not implement put()`);
+  }
+
+  /**
+   * Open a read stream for an object
+   * @param {String} key - Storage key
+   * @param {Object} range - Optional inclusive byte range { start, end }
+   * @returns {Promise<Readable>}
+   */
+  async getStream(key, range = {}) {
+    throw new Error(`${this.name} storage does not implement getStream()`);
+  }
+
+  /**
+   * Delete an object. Deleting a missing object is not an error.
+   * @param {String} key - Storage key
+   * @returns {Promise}
+   */
+  async delete(key) {
+    throw new Error(`${this.name} storage does not implement delete()`);
+  }
+
+  /**
+   * Check whether an object exists
+   * @param {String} key - Storage key
+   * @returns {Promise<Boolean>}
+   */
+  async exists(key) {
+    throw new Error(`${this.name} storage does not implement exists()`);
+  }
+
+  /**
+   * List the objects stored under a prefix, as passed to put()
+   * @param {String} prefix - Key prefix, e.g. a user id
+   * @returns {AsyncIterable<{key: String, size: Number, lastModified: Date}>}
+   */
+  async *list(prefix) {
+    throw new Error(`${this.name} storage does not implement list()`);
+  }
+
+  /**
+   * Get a short-lived signed URL for downloading an object.
+   * Drivers that cannot sign URLs return null and downloads are proxied instead.
+   * @param {String} key - Storage key
+   * @param {Object} options - { expiresIn (seconds), disposition (Content-Disposition value) }
+   * @returns {Promise<String|null>}
+   */
+  async getSignedUrl(key, options = {}) {
+    return null;
+  }
+
+  /**
+   * Whether the backend can render an image preview of an object (e.g. the
+   * first page of a PDF) on the fly
+   * @param {String} key - Storage key
+   * @returns {Boolean}
+   */
+  canPreview(key) {
+    return false;
+  }
+
+  /**
+   * Open a read stream for a rendered JPEG preview of an object
+   * @param {String} key - Storage key
+   * @param {Object} options - { width, height } bounding box in pixels
+   * @returns {Promise<Readable>}
+   */
+  async getPreviewStream(key, options = {}) {
+    throw new Error(`${this.name} storage does not implement getPreviewStream()`);
+  }
+
+  // Build a unique key under a prefix, keeping the original extension
+  generateKey(prefix, filename) {
+    const ext = filename ? path.extname(filename).toLowerCase().replace(/[^a-z0-9.]/g, '') : '';
+    const id = crypto.randomBytes(16).toString('hex');
+    return prefix ? `${prefix}/${id}${ext}` : `${id}${ext}`;
+  }
+
+  // Normalize a Buffer or Readable into a stream that counts the bytes passing through
+  measure(source) {
+    const input = Buffer.isBuffer(source) ? Readable.from([source]) : source;
+    const counter = { bytes: 0 };
+
+    const stream = new Transform({
+      transform(chunk, encoding, callback) {
+        counter.bytes += chunk.length;
+        callback(null, chunk);
+      }
+    });
+
+    // pipeline() keeps an error listener on both ends, so a source that fails
+    // before the driver starts consuming still surfaces through `stream`
+    pipeline(input, stream, () => {});
+
+    return { stream, counter };
+  }
+}
+
+module.exports = StorageAdapter;
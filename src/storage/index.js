@@ -0,0 +1,36 @@
+const storageConfig = require('../config/storage');
+const StorageAdapter = require('./StorageAdapter');
+
+// Drivers are created lazily so an offline deployment never touches Cloudinary or S3
+const drivers = {
+  local: () => new (require('./LocalStorage'))(storageConfig.local),
+  s3: () => new (require('./S3Storage'))(storageConfig.s3),
+  cloudinary: () => new (require('./CloudinaryStorage'))(storageConfig.cloudinary)
+};
+
+const instances = {};
+
+/**
+ * Get a storage driver
+ * @param {String} provider - Provider name, defaults to the configured driver
+ * @returns {StorageAdapter}
+ */
+const getStorage = (provider = storageConfig.driver) => {
+  if (!drivers[provider]) {
+    throw new Error(`Unknown storage provider: ${provider}`);
+  }
+
+  if (!instances[provider]) {
+    instances[provider] = drivers[provider]();
+  }
+
+  return instances[provider];
+};
+
+const providers = Object.keys(drivers);
+
+module.exports = {
+  getStorage,
+  providers,
+  StorageAdapter
+};
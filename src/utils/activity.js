@@ -0,0 +1,63 @@
+const FileActivity = require('../models/FileActivity');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Record that a user opened, edited or uploaded a file, for the recent feed.
+ * Failures are logged rather than thrown so they never fail the request.
+ * @param {ObjectId} userId - User acting
+ * @param {ObjectId} fileId - File acted on
+ * @param {String} action - 'opened', 'edited' or 'uploaded'
+ * @returns {Promise<void>}
+ */
+const recordActivity = async (userId, fileId, action) => {
+  try {
+    await FileActivity.record(userId, fileId, action);
+  } catch (error) {
+    console.error('Record activity error:', error);
+  }
+};
+
+/**
+ * Sort feed entries into the day groups a file manager shows. Days are
+ * counted in the user's time zone and weeks start on Monday.
+ * @param {Array} entries - Entries with an `at` date, newest first
+ * @param {Number} timezoneOffset - Minutes behind UTC, as Date#getTimezoneOffset()
+ *   reports it in the user's browser
+ * @param {Date} now - Current time
+ * @returns {Array} - [{ key, label, items }] without empty groups, newest first
+ */
+const groupByDay = (entries, timezoneOffset = 0, now = new Date()) => {
+  // Shift times so UTC date methods read the user's local date
+  const local = (date) => new Date(date.getTime() - timezoneOffset * 60 * 1000);
+
+  const today = local(now);
+  today.setUTCHours(0, 0, 0, 0);
+  const yesterday = new Date(today.getTime() - DAY);
+  const thisWeek = new Date(today.getTime() - ((today.getUTCDay() + 6) % 7) * DAY);
+  const lastWeek = new Date(thisWeek.getTime() - 7 * DAY);
+  const thisMonth = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1));
+
+  const groups = [
+    { key: 'today', label: 'Today', since: today },
+    { key: 'yesterday', label: 'Yesterday', since: yesterday },
+    { key: 'earlierThisWeek', label: 'Earlier this week', since: thisWeek },
+    { key: 'lastWeek', label: 'Last week', since: lastWeek },
+    { key: 'earlierThisMonth', label: 'Earlier this month', since: thisMonth },
+    { key: 'older', label: 'Older', since: new Date(0) }
+  ].map(group => ({ ...group, items: [] }));
+
+  for (const entry of entries) {
+    const at = local(entry.at);
+    groups.find(group => at >= group.since).items.push(entry);
+  }
+
+  return groups
+    .filter(group => group.items.length > 0)
+    .map(({ key, label, items }) => ({ key, label, items }));
+};
+
+module.exports = {
+  recordActivity,
+  groupByDay
+};
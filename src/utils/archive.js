@@ -0,0 +1,128 @@
+const path = require('path');
+const { once } = require('events');
+const archiver = require('archiver');
+const File = require('../models/File');
+const Folder = require('../models/Folder');
+const { getStorage } = require('../storage');
+const { sanitizeFilename } = require('./validation');
+
+// Archive entry for a single file inside a directory of the archive
+const fileEntry = (file, prefix = '') => ({ name: prefix + sanitizeFilename(file.name), file });
+
+/**
+ * List a folder and everything below it as archive entries, keeping the
+ * folder structure. Folder entries end with "/" so empty folders survive.
+ * @param {Folder} folder - Root of the subtree
+ * @param {String} prefix - Directory inside the archive to put the folder in
+ * @returns {Promise<Array>} - [{ name, file }] (file is unset for folders)
+ */
+const collectFolderEntries = async (folder, prefix = '') => {
+  const entries = [];
+  let level = [{ folder, name: `${prefix}${sanitizeFilename(folder.name)}/` }];
+
+  // Walk one level of the tree at a time by parent id
+  while (level.length > 0) {
+    entries.push(...level.map(({ name }) => ({ name })));
+
+    const nameById = new Map(level.map(({ folder, name }) => [folder._id.toString(), name]));
+    const folderIds = level.map(({ folder }) => folder._id);
+
+    const [files, subfolders] = await Promise.all([
+      File.find({ folder: { $in: folderIds }, isDeleted: false }).sort({ name: 1 }),
+      Folder.find({ parent: { $in: folderIds }, isDeleted: false }).sort({ name: 1 })
+    ]);
+
+    for (const file of files) {
+      entries.push(fileEntry(file, nameById.get(file.folder.toString())));
+    }
+
+    level = subfolders.map(subfolder => ({
+      folder: subfolder,
+      name: `${nameById.get(subfolder.parent.toString())}${sanitizeFilename(subfolder.name)}/`
+    }));
+  }
+
+  return entries;
+};
+
+// Make an entry name unique within the archive ("a.txt" -> "a (1).txt")
+const uniqueEntryName = (name, used) => {
+  if (!used.has(name)) return name;
+
+  const ext = path.extname(name);
+  const base = name.slice(0, name.length - ext.length);
+  let n = 1;
+  while (used.has(`${base} (${n})${ext}`)) n++;
+  return `${base} (${n})${ext}`;
+};
+
+/**
+ * Stream a ZIP archive of the given entries to the client. Stored objects are
+ * opened one at a time as the archive reaches them, so neither the archive nor
+ * the files are ever held in memory as a whole.
+ * @param {Response} res - Express response
+ * @param {Array} entries - [{ name, file }] as returned by collectFolderEntries()
+ * @param {String} filename - Name offered to the client
+ */
+const sendArchive = async (res, entries, filename) => {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const disconnected = new AbortController();
+
+  // Stop reading from storage when the client goes away
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      disconnected.abort();
+      archive.abort();
+    }
+  });
+  archive.on('warning', (warning) => console.error('Archive warning:', warning.message));
+
+  res.attachment(filename);
+  res.set('Content-Type', 'application/zip');
+  archive.pipe(res);
+
+  const used = new Set();
+
+  try {
+    for (const entry of entries) {
+      // Folders with the same path simply merge
+      if (!entry.file && used.has(entry.name)) continue;
+
+      const name = uniqueEntryName(entry.name, used);
+      used.add(name);
+
+      const processed = once(archive, 'entry', { signal: disconnected.signal });
+      if (entry.file) {
+        const stream = await getStorage(entry.file.storageProvider).getStream(entry.file.storageKey);
+        archive.append(stream, { name, date: entry.file.updatedAt });
+      } else {
+        archive.append(Buffer.alloc(0), { name });
+      }
+      await processed;
+    }
+
+    await archive.finalize();
+  } catch (error) {
+    if (disconnected.signal.aborted) return;
+
+    archive.unpipe(res);
+    archive.abort();
+
+    // Nothing sent yet, so the caller can still answer with a normal error
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      res.removeHeader('Content-Type');
+      throw error;
+    }
+
+    // Headers are gone by now; all we can do is log and drop the connection
+    console.error('Archive stream error:', error.message);
+    res.destroy(error);
+  }
+};
+
+module.exports = {
+  fileEntry,
+  collectFolderEntries,
+  sendArchive
+};
@@ -0,0 +1,20 @@
+/**
+ * Create an in-process queue that runs tasks one after another in the
+ * background. Callers never wait on it and a failing task is logged without
+ * stopping the ones behind it.
+ * @param {String} name - Used in error logs
+ * @returns {Function} - push(task) where task is an async function
+ */
+const createBackgroundQueue = (name) => {
+  let queue = Promise.resolve();
+
+  return (task) => {
+    queue = queue
+      .then(task)
+      .catch((error) => console.error(`${name} error:`, error.message));
+  };
+};
+
+module.exports = {
+  createBackgroundQueue
+};
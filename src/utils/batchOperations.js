@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const Folder = require('../models/Folder');
+const Star = require('../models/Star');
+const User = require('../models/User');
+const { conflictPolicies } = require('./nameConflicts');
+const { resolveDestination, moveFileInto } = require('./fileOperations');
+const { normalizeTags, updateTags } = require('./tags');
+const { escapeRegex } = require('./validation');
+
+// One operation of a batch that can't be carried out; status is its HTTP status
+class BatchItemError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'BatchItemError';
+    this.status = status;
+  }
+}
+
+const findOwned = async (Model, id, userId, { deleted = false } = {}) => {
+  const item = await Model.findOne({ _id: id, owner: userId, isDeleted: deleted });
+  if (!item) {
+    const kind = Model.modelName;
+    throw new BatchItemError(deleted ? `${kind} not found in trash` : `${kind} not found`, 404);
+  }
+  return item;
+};
+
+// A folder with its live subfolders, or its trashed ones, following parent
+// links; stored paths can't tell a trashed tree from a live one of the same name
+const findSubtreeIds = async (folder, deleted) => [
+  folder._id,
+  ...(await Folder.findDescendantIds([folder._id], { deleted }))
+];
+
+// Only what is in the other state changes, so items trashed on their own
+// earlier keep their deletedAt
+const setFolderTreeDeleted = async (folder, userId, isDeleted) => {
+  const folderIds = await findSubtreeIds(folder, !isDeleted);
+  const update = { isDeleted, deletedAt: isDeleted ? new Date() : null };
+
+  await Folder.updateMany({ _id: { $in: folderIds }, owner: userId, isDeleted: !isDeleted }, update);
+  await File.updateMany({ folder: { $in: folderIds }, owner: userId, isDeleted: !isDeleted }, update);
+};
+
+// Share an item the user owns with someone, by email
+const share = async (item, { email, permission = 'read' } = {}, userId) => {
+  if (!email || !/\S+@\S+\.\S+/.test(email)) {
+    throw new BatchItemError('Valid email is required');
+  }
+  if (!['read', 'write'].includes(permission)) {
+    throw new BatchItemError('Permission must be read or write');
+  }
+
+  const recipient = await User.findOne({ email: email.toLowerCase() });
+  if (!recipient) {
+    throw new BatchItemError('User not found with this email', 404);
+  }
+  if (recipient._id.equals(userId)) {
+    throw new BatchItemError(`Cannot share ${item.constructor.modelName.toLowerCase()} with yourself`);
+  }
+
+  const existing = item.shareSettings.sharedWith.find(entry => entry.user.equals(recipient._id));
+  if (existing) {
+    existing.permission = permission;
+    existing.sharedAt = new Date();
+  } else {
+    item.shareSettings.sharedWith.push({ user: recipient._id, permission, sharedAt: new Date() });
+  }
+
+  if (!item.shareToken) {
+    item.shareToken = crypto.randomBytes(16).toString('hex');
+  }
+  item.isShared = true;
+  await item.save();
+
+  return { message: `Shared with ${email}` };
+};
+
+const tag = async (itemIds, { add, remove } = {}, userId) => {
+  const changes = { add: normalizeTags(add), remove: normalizeTags(remove) };
+  if (changes.add.length === 0 && changes.remove.length === 0) {
+    throw new BatchItemError('Provide tags to add or remove');
+  }
+
+  const { files, folders } = await updateTags(itemIds, changes, userId);
+  return { message: 'Tags updated', tags: [...files, ...folders][0].tags };
+};
+
+const star = async (Model, id, userId) => {
+  const item = await Model.findAccessibleBy(id, userId);
+  if (!item) {
+    throw new BatchItemError(`${Model.modelName} not found or access denied`, 404);
+  }
+
+  await Star.updateOne(
+    { user: userId, itemType: Model.modelName, item: item._id },
+    { $setOnInsert: { user: userId, itemType: Model.modelName, item: item._id } },
+    { upsert: true }
+  );
+  return { message: `${Model.modelName} starred` };
+};
+
+const unstar = async (Model, id, userId) => {
+  await Star.deleteOne({ user: userId, itemType: Model.modelName, item: id });
+  return { message: `${Model.modelName} unstarred` };
+};
+
+// What each operation does, by item type. Handlers take (id, params, userId)
+// and return extra fields for the item's result.
+const handlers = {
+  file: {
+    delete: async (id, params, userId) => {
+      const file = await findOwned(File, id, userId);
+      await file.softDelete();
+      return { message: 'File moved to trash' };
+    },
+
+    restore: async (id, params, userId) => {
+      const file = await findOwned(File, id, userId, { deleted: true });
+      await file.restore();
+      return { message: 'File restored' };
+    },
+
+    move: async (id, { folderId = null, conflict = 'rename' } = {}, userId) => {
+      if (!conflictPolicies.includes(conflict)) {
+        throw new BatchItemError(`Invalid conflict policy. Must be one of: ${conflictPolicies.join(', ')}`);
+      }
+
+      const file = await File.findAccessibleBy(id, userId, { write: true });
+      if (!file) {
+        throw new BatchItemError('File not found or access denied', 404);
+      }
+
+      const destination = await resolveDestination(folderId, userId);
+      const { action, file: moved } = await moveFileInto(file, destination, { userId, conflict });
+      return { message: `File ${action}`, action, name: moved.name };
+    },
+
+    share: async (id, params, userId) => share(await findOwned(File, id, userId), params, userId),
+    tag: (id, params, userId) => tag({ fileIds: [id] }, params, userId),
+    star: (id, params, userId) => star(File, id, userId),
+    unstar: (id, params, userId) => unstar(File, id, userId)
+  },
+
+  folder: {
+    delete: async (id, params, userId) => {
+      const folder = await findOwned(Folder, id, userId);
+      await setFolderTreeDeleted(folder, userId, true);
+      return { message: 'Folder moved to trash' };
+    },
+
+    restore: async (id, params, userId) => {
+      const folder = await findOwned(Folder, id, userId, { deleted: true });
+      await setFolderTreeDeleted(folder, userId, false);
+      return { message: 'Folder restored' };
+    },
+
+    // Like updateFolder: within the owner's own tree, never into itself
+    move: async (id, { parentId = null } = {}, userId) => {
+      const folder = await findOwned(Folder, id, userId);
+
+      let parent = null;
+      if (parentId && parentId !== 'root') {
+        parent = mongoose.Types.ObjectId.isValid(parentId)
+          ? await Folder.findOne({ _id: parentId, owner: userId, isDeleted: false })
+          : null;
+        if (!parent) {
+          throw new BatchItemError('Destination folder not found or access denied', 404);
+        }
+
+        const descendants = await Folder.findDescendantIds([folder._id]);
+        if ([folder._id, ...descendants].some(folderId => folderId.equals(parent._id))) {
+          throw new BatchItemError('Cannot move folder into itself or its subdirectories');
+        }
+      }
+
+      const parentObjectId = parent ? parent._id : null;
+      if (String(folder.parent || null) === String(parentObjectId)) {
+        return { message: 'Folder unchanged', action: 'unchanged' };
+      }
+
+      const clash = await Folder.exists({
+        owner: userId,
+        parent: parentObjectId,
+        name: folder.name,
+        isDeleted: false,
+        _id: { $ne: folder._id }
+      });
+      if (clash) {
+        throw new BatchItemError('Folder with this name already exists in this location', 409);
+      }
+
+      const oldPath = folder.path;
+      folder.parent = parentObjectId;
+      await folder.save();
+
+      // Subfolders keep pointing at their parent, but their stored paths move too
+      const descendants = await Folder.find({ owner: userId, path: { $regex: `^${escapeRegex(oldPath)}/` } });
+      for (const descendant of descendants) {
+        await Folder.updateOne(
+          { _id: descendant._id },
+          { path: `${folder.path}${descendant.path.slice(oldPath.length)}` }
+        );
+      }
+
+      return { message: 'Folder moved', action: 'moved' };
+    },
+
+    share: async (id, params, userId) => share(await findOwned(Folder, id, userId), params, userId),
+    tag: (id, params, userId) => tag({ folderIds: [id] }, params, userId),
+    star: (id, params, userId) => star(Folder, id, userId),
+    unstar: (id, params, userId) => unstar(Folder, id, userId)
+  }
+};
+
+/**
+ * Carry out one operation of a batch
+ * @param {Object} operation - { op, type, id, params }
+ * @param {ObjectId} userId - User making the request
+ * @returns {Promise<Object>} - { status, success, message, ... } for the response
+ */
+const runBatchOperation = async ({ op, type, id, params }, userId) => {
+  const handler = handlers[type] && Object.prototype.hasOwnProperty.call(handlers[type], op)
+    ? handlers[type][op]
+    : null;
+
+  try {
+    if (!handlers[type]) {
+      throw new BatchItemError('Type must be file or folder');
+    }
+    if (!handler) {
+      throw new BatchItemError(`Unknown operation "${op}". Available for ${type}s: ${Object.keys(handlers[type]).join(', ')}`);
+    }
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new BatchItemError(`Invalid ${type} ID format`);
+    }
+
+    const result = await handler(String(id), params, userId);
+    return { status: 200, success: true, ...result };
+  } catch (error) {
+    // Errors from the shared helpers (moves, tags) carry their status too
+    if (Number.isInteger(error.status)) {
+      return { status: error.status, success: false, message: error.message };
+    }
+    // Inside a transaction, let it see errors it may retry on, or that mean
+    // transactions aren't available at all
+    if (error.code === 20 || (error.hasErrorLabel && error.hasErrorLabel('TransientTransactionError'))) {
+      throw error;
+    }
+
+    console.error('Batch operation error:', error);
+    return { status: 500, success: false, message: 'Operation failed' };
+  }
+};
+
+module.exports = {
+  runBatchOperation
+};
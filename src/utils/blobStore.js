@@ -0,0 +1,133 @@
+const Blob = require('../models/Blob');
+const { getStorage } = require('../storage');
+
+// Delete an object from its storage backend, logging rather than failing
+const deleteObject = async ({ storageProvider, storageKey }) => {
+  try {
+    await getStorage(storageProvider).delete(storageKey);
+  } catch (error) {
+    console.error('Storage cleanup error:', error.message);
+  }
+};
+
+/**
+ * Register freshly stored content as a blob. When the owner already has a blob
+ * with the same SHA-256 hash, the new copy is deleted and the existing blob reused.
+ * @param {Object} content - { storageProvider, storageKey, size, hash }
+ * @param {ObjectId} owner - Owner the content is stored for
+ * @returns {Promise<Object>} - The content, pointing at the object actually kept
+ */
+const claimBlob = async (content, owner) => {
+  const existing = await Blob.findOneAndUpdate(
+    { owner, hash: content.hash },
+    { $inc: { refCount: 1 } },
+    { new: true }
+  );
+
+  if (existing) {
+    await deleteObject(content);
+    return {
+      ...content,
+      storageProvider: existing.storageProvider,
+      storageKey: existing.storageKey
+    };
+  }
+
+  try {
+    await Blob.create({
+      owner,
+      hash: content.hash,
+      size: content.size,
+      storageProvider: content.storageProvider,
+      storageKey: content.storageKey,
+      refCount: 1
+    });
+    return content;
+  } catch (error) {
+    // An identical upload registered its blob first; reuse that one instead
+    if (error.code === 11000) {
+      return claimBlob(content, owner);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Add a reference to content that is already stored, e.g. for a copy of a file
+ * @param {Object} content - { storageProvider, storageKey, size, hash }
+ * @param {ObjectId} owner - Owner of the content
+ * @returns {Promise<Object>} - The content, pointing at the object actually kept
+ */
+const retainBlob = async (content, owner) => {
+  const blob = await Blob.findOneAndUpdate(
+    { storageProvider: content.storageProvider, storageKey: content.storageKey },
+    { $inc: { refCount: 1 } }
+  );
+  if (blob) return content;
+
+  // Content stored before deduplication existed has no blob; register it with
+  // the reference it already had plus the new one
+  try {
+    await Blob.create({
+      owner,
+      hash: content.hash,
+      size: content.size,
+      storageProvider: content.storageProvider,
+      storageKey: content.storageKey,
+      refCount: 2
+    });
+    return content;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // The owner has the same bytes under another blob since; share that one
+    const existing = await Blob.findOneAndUpdate(
+      { owner, hash: content.hash },
+      { $inc: { refCount: 1 } },
+      { new: true }
+    );
+    if (!existing) throw error;
+
+    return {
+      ...content,
+      storageProvider: existing.storageProvider,
+      storageKey: existing.storageKey
+    };
+  }
+};
+
+/**
+ * Drop one reference to stored content and delete the object once nothing
+ * points at it any more
+ * @param {Object} content - { storageProvider, storageKey }
+ * @returns {Promise<Boolean>} - Whether the stored object was deleted
+ */
+const releaseBlob = async (content) => {
+  const blob = await Blob.findOneAndUpdate(
+    { storageProvider: content.storageProvider, storageKey: content.storageKey },
+    { $inc: { refCount: -1 } },
+    { new: true }
+  );
+
+  // Content stored before deduplication existed has no blob and exactly one reference
+  if (!blob) {
+    await deleteObject(content);
+    return true;
+  }
+
+  if (blob.refCount > 0) return false;
+
+  // Only delete if nobody claimed it again in the meantime
+  const removed = await Blob.findOneAndDelete({ _id: blob._id, refCount: { $lte: 0 } });
+  if (!removed) return false;
+
+  await deleteObject(content);
+  return true;
+};
+
+module.exports = {
+  claimBlob,
+  retainBlob,
+  releaseBlob,
+  deleteObject
+};
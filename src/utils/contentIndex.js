@@ -0,0 +1,112 @@
+const File = require('../models/File');
+const searchConfig = require('../config/search');
+const { getStorage } = require('../storage');
+const { isExtractable, extractText } = require('./textExtraction');
+const { createBackgroundQueue } = require('./backgroundQueue');
+const { escapeRegex } = require('./validation');
+
+const canIndexContent = (file) =>
+  isExtractable(file.mimeType) && file.size <= searchConfig.maxIndexSourceSize;
+
+// Read a stored object into memory (callers have already capped its size)
+const readContent = async (file) => {
+  const stream = await getStorage(file.storageProvider).getStream(file.storageKey);
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Extract and store the searchable text of a file's current version.
+ * Files whose type can't be read get their old text cleared, and nothing is
+ * written if the file got new content while the text was being extracted.
+ * @param {File} file - File document
+ * @returns {Promise<Boolean>} - Whether text was indexed
+ */
+const indexFileContent = async (file) => {
+  let content = null;
+
+  if (canIndexContent(file)) {
+    const text = await extractText(await readContent(file), file.mimeType);
+    content = text ? text.slice(0, searchConfig.maxIndexedTextLength) : null;
+  }
+
+  await File.updateOne(
+    { _id: file._id, storageKey: file.storageKey },
+    { $set: { content, contentIndexedAt: new Date() } },
+    { timestamps: false }
+  );
+
+  return !!content;
+};
+
+// Text is extracted in the background, one file at a time
+const indexQueue = createBackgroundQueue('Content indexing');
+
+const queueContentIndexing = (fileId) => indexQueue(async () => {
+  const file = await File.findOne({ _id: fileId, isDeleted: false });
+  if (file) await indexFileContent(file);
+});
+
+// Words of a $text search string worth highlighting (negated terms are skipped)
+const searchTerms = (query) => (query.match(/"[^"]*"|\S+/g) || [])
+  .filter(term => !term.startsWith('-'))
+  .map(term => term.replace(/"/g, '').trim())
+  .filter(Boolean);
+
+/**
+ * Cut a short passage out of a document around the first matching term.
+ * Highlights are character ranges into the snippet, so clients can mark them
+ * up safely without the server sending HTML.
+ * @param {String} content - Indexed text of the file
+ * @param {String} query - The search string
+ * @returns {Object|null} - { text, highlights: [{ start, end }] }, or null when
+ *   no term occurs literally (e.g. the match was on a stemmed form or the name)
+ */
+const buildSnippet = (content, query) => {
+  const terms = searchTerms(query);
+  if (!content || terms.length === 0) return null;
+
+  const pattern = new RegExp(terms.map(escapeRegex).join('|'), 'gi');
+  const first = pattern.exec(content);
+  if (!first) return null;
+
+  const half = Math.floor(searchConfig.snippetLength / 2);
+  let start = Math.max(0, first.index - half);
+  let end = Math.min(content.length, first.index + first[0].length + half);
+
+  // Don't cut words in half
+  if (start > 0) {
+    const space = content.indexOf(' ', start);
+    if (space !== -1 && space < first.index) start = space + 1;
+  }
+  if (end < content.length) {
+    const space = content.lastIndexOf(' ', end);
+    if (space > first.index + first[0].length) end = space;
+  }
+
+  const text = content.slice(start, end).replace(/\n/g, ' ');
+  const highlights = [];
+  const inSnippet = new RegExp(pattern.source, 'gi');
+  let match;
+  while ((match = inSnippet.exec(text)) !== null) {
+    highlights.push({ start: match.index, end: match.index + match[0].length });
+  }
+
+  return {
+    text: `${start > 0 ? '…' : ''}${text}${end < content.length ? '…' : ''}`,
+    // Shift ranges past the leading ellipsis
+    highlights: start > 0
+      ? highlights.map(range => ({ start: range.start + 1, end: range.end + 1 }))
+      : highlights
+  };
+};
+
+module.exports = {
+  canIndexContent,
+  indexFileContent,
+  queueContentIndexing,
+  buildSnippet
+};
@@ -0,0 +1,172 @@
+const { pipeline } = require('stream/promises');
+const contentDisposition = require('content-disposition');
+const { getStorage } = require('../storage');
+const storageConfig = require('../config/storage');
+const uploadConfig = require('../config/uploads');
+
+// Strong validator for stored content: the SHA-256 of the bytes when known,
+// otherwise the storage key (a key is never reused for different content)
+const getETag = (content) => `"${content.hash || content.storageKey}"`;
+
+// Does an If-None-Match / If-Range header value match this ETag?
+const etagMatches = (header, etag) =>
+  header === '*' || header.split(',').map(value => value.trim().replace(/^W\//, '')).includes(etag);
+
+/**
+ * Work out which bytes to send for a request, following RFC 7233: a single
+ * satisfiable range is honoured, anything else gets the whole file
+ * @param {Request} req - Express request
+ * @param {Number} size - Content size in bytes
+ * @param {String} etag - Current ETag, checked against If-Range
+ * @returns {Object|null} - { start, end } (inclusive), { unsatisfiable: true }, or null for the whole file
+ */
+const parseRange = (req, size, etag) => {
+  if (!req.headers.range) return null;
+
+  // A stale If-Range means the client's partial copy is outdated: send everything
+  const ifRange = req.headers['if-range'];
+  if (ifRange && !etagMatches(ifRange, etag)) return null;
+
+  const ranges = req.range(size, { combine: true });
+  if (ranges === -1) return { unsatisfiable: true };
+  if (ranges === -2 || ranges.type !== 'bytes' || ranges.length !== 1) return null;
+
+  return { start: ranges[0].start, end: ranges[0].end };
+};
+
+// Whether a response starts a transfer of the file rather than seeking or
+// resuming within one, going by what sendContent() actually sent
+const isNewTransfer = ({ status, range }) => status === 200 || (status === 206 && range.start === 0);
+
+/**
+ * Stream stored content to the client as a download, with support for
+ * conditional requests (ETag) and byte ranges for resuming and media seeking
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {Object} content - Anything with storageProvider, storageKey, size, mimeType and hash
+ * @param {String} filename - Name offered to the client
+ * @param {Object} options - { inline } to let the browser display the file
+ *   instead of saving it, and beforeSend, called with { status, range } once
+ *   the bytes to send are known but before any response headers are set;
+ *   throwing from it leaves the response untouched
+ * @returns {Promise<Object>} - { status, range } describing what was sent
+ */
+const sendContent = async (req, res, content, filename, { inline = false, beforeSend = null } = {}) => {
+  const etag = getETag(content);
+  const headers = {
+    'Content-Type': content.mimeType,
+    'Content-Disposition': contentDisposition(filename, { type: inline ? 'inline' : 'attachment' }),
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': 'private, no-cache',
+    'ETag': etag
+  };
+
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch && etagMatches(ifNoneMatch, etag)) {
+    res.set(headers);
+    res.status(304).end();
+    return { status: 304, range: null };
+  }
+
+  const range = parseRange(req, content.size, etag);
+  if (range && range.unsatisfiable) {
+    res.set(headers);
+    res.set('Content-Range', `bytes */${content.size}`);
+    res.status(416).end();
+    return { status: 416, range: null };
+  }
+
+  const status = range ? 206 : 200;
+  if (beforeSend) {
+    await beforeSend({ status, range });
+  }
+
+  res.set(headers);
+  if (range) {
+    res.status(206);
+    res.set({
+      'Content-Range': `bytes ${range.start}-${range.end}/${content.size}`,
+      'Content-Length': String(range.end - range.start + 1)
+    });
+  } else {
+    res.set('Content-Length', String(content.size));
+  }
+
+  if (req.method === 'HEAD') {
+    res.end();
+    return { status, range };
+  }
+
+  // Empty files have no bytes to read, so there is nothing to fetch from storage
+  if (content.size === 0) {
+    res.end();
+    return { status, range };
+  }
+
+  const stream = await getStorage(content.storageProvider).getStream(content.storageKey, range || {});
+
+  try {
+    await pipeline(stream, res);
+  } catch (error) {
+    // Headers are gone by now; all we can do is log and drop the connection
+    console.error('Download stream error:', error.message);
+  }
+
+  return { status, range };
+};
+
+/**
+ * Stream one of a file's thumbnails: a stored WebP rendition (see
+ * utils/thumbnails), or for PDFs the storage backend's rendered first page
+ * @param {Response} res - Express response
+ * @param {File} file - File document
+ * @param {String} size - Size name, a key of uploadConfig.thumbnailSizes
+ * @returns {Promise<Boolean>} - false when the file has no thumbnail of that size
+ */
+const sendThumbnail = async (res, file, size) => {
+  if (!file.getThumbnailSizes().includes(size)) return false;
+
+  const thumbnail = (file.thumbnails || []).find(item => item.size === size);
+  const edge = uploadConfig.thumbnailSizes[size];
+  const stream = thumbnail
+    ? await getStorage(thumbnail.storageProvider).getStream(thumbnail.storageKey)
+    : await getStorage(file.storageProvider).getPreviewStream(file.storageKey, { width: edge, height: edge });
+
+  res.set({
+    'Content-Type': thumbnail ? 'image/webp' : 'image/jpeg',
+    'Cache-Control': 'private, no-cache'
+  });
+
+  try {
+    await pipeline(stream, res);
+  } catch (error) {
+    console.error('Thumbnail stream error:', error.message);
+  }
+  return true;
+};
+
+/**
+ * Get a short-lived signed URL the client can be redirected to instead of
+ * proxying the bytes, when downloads are configured to redirect and the
+ * storage backend supports it
+ * @param {Object} content - Anything with storageProvider and storageKey
+ * @param {String} filename - Name offered to the client
+ * @param {Object} options - { inline }
+ * @returns {Promise<String|null>} - URL, or null to stream through the API
+ */
+const getRedirectUrl = async (content, filename, { inline = false } = {}) => {
+  if (storageConfig.downloads.mode !== 'redirect') return null;
+
+  return getStorage(content.storageProvider).getSignedUrl(content.storageKey, {
+    expiresIn: storageConfig.downloads.signedUrlTtl,
+    disposition: contentDisposition(filename, { type: inline ? 'inline' : 'attachment' })
+  });
+};
+
+module.exports = {
+  sendContent,
+  sendThumbnail,
+  getRedirectUrl,
+  getETag,
+  isNewTransfer
+};
@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const Folder = require('../models/Folder');
+const { copyContent, createFileRecord } = require('./fileStore');
+const { addFileVersion } = require('./fileVersions');
+const { resolveFileConflict } = require('./nameConflicts');
+const { sanitizeFilename } = require('./validation');
+const { getStorageQuota } = require('./storageUsage');
+
+// A move or copy that can't be carried out; carries the HTTP status to answer with
+class FileOperationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'FileOperationError';
+    this.status = status;
+  }
+}
+
+// Past tense of a conflict resolution, as reported back to clients
+const actionNames = { create: 'created', rename: 'renamed', replace: 'replaced', skip: 'skipped' };
+
+/**
+ * Look up the folder files are moved or copied into
+ * @param {String|null} folderId - Folder id, or null / 'root' for the root
+ * @param {ObjectId} userId - User moving or copying
+ * @returns {Promise<Folder|null>} - The folder, or null for the root
+ * @throws {FileOperationError} - When it doesn't exist, is in the trash or
+ *   the user can't write to it
+ */
+const resolveDestination = async (folderId, userId) => {
+  if (!folderId || folderId === 'root') return null;
+
+  const folder = mongoose.Types.ObjectId.isValid(folderId)
+    ? await Folder.findWritableBy(folderId, userId)
+    : null;
+
+  if (!folder) {
+    throw new FileOperationError('Destination folder not found or access denied', 404);
+  }
+  return folder;
+};
+
+/**
+ * Check that copies can go into a destination. Copies belong to the user
+ * making them and folder listings only show their owner's items, so copies
+ * only go into the user's own folders.
+ * @param {Folder|null} destination - From resolveDestination()
+ * @param {ObjectId} userId - User copying
+ * @throws {FileOperationError}
+ */
+const checkCopyDestination = (destination, userId) => {
+  if (destination && !destination.owner.equals(userId)) {
+    throw new FileOperationError('Copies can only be made in your own folders', 403);
+  }
+};
+
+/**
+ * Move a file into another folder of its owner's
+ * @param {File} file - File the user may write to
+ * @param {Folder|null} destination - From resolveDestination()
+ * @param {Object} options - { userId, conflict } where conflict is a conflict policy
+ * @returns {Promise<Object>} - { action, file } where action is 'moved',
+ *   'renamed', 'replaced', 'skipped' or 'unchanged'
+ * @throws {FileOperationError}
+ */
+const moveFileInto = async (file, destination, { userId, conflict = 'rename' }) => {
+  const folderId = destination ? destination._id : null;
+
+  if (String(file.folder || null) === String(folderId)) {
+    return { action: 'unchanged', file };
+  }
+
+  // Folder listings only show their owner's files, so a file moved into
+  // someone else's folder would disappear from view
+  if (destination && !destination.owner.equals(file.owner)) {
+    throw new FileOperationError(`"${file.name}" can only be moved into its owner's folders; copy it instead`, 403);
+  }
+
+  const { action, name, existing } = await resolveFileConflict({
+    owner: file.owner,
+    folder: folderId,
+    name: file.name
+  }, conflict);
+
+  if (action === 'error') {
+    throw new FileOperationError(`A file named ${name} already exists in the destination folder`, 409);
+  }
+  if (action === 'skip') {
+    return { action: 'skipped', file: existing };
+  }
+  if (action === 'replace') {
+    // The file being replaced goes to the trash, where it can still be restored
+    if (!(await File.findAccessibleBy(existing._id, userId, { write: true }))) {
+      throw new FileOperationError(`Cannot replace ${name}: access denied`, 403);
+    }
+    await existing.softDelete();
+  }
+
+  file.folder = folderId;
+  file.name = name;
+  await file.save();
+
+  return { action: action === 'create' ? 'moved' : actionNames[action], file };
+};
+
+/**
+ * Copy a file into a folder of the user's own. The copy belongs to the user
+ * making it, like an upload, and counts against their storage.
+ * @param {File} file - File the user can read
+ * @param {Folder|null} destination - From resolveDestination()
+ * @param {Object} options - { userId, conflict, name } where name optionally
+ *   renames the copy
+ * @returns {Promise<Object>} - { action, file } where action is 'created',
+ *   'renamed', 'replaced' or 'skipped'
+ * @throws {FileOperationError}
+ */
+const copyFileInto = async (file, destination, { userId, conflict = 'rename', name }) => {
+  checkCopyDestination(destination, userId);
+
+  const resolution = await resolveFileConflict({
+    owner: userId,
+    folder: destination ? destination._id : null,
+    name: sanitizeFilename(name || file.name)
+  }, conflict);
+
+  if (resolution.action === 'error') {
+    throw new FileOperationError(`A file named ${resolution.name} already exists in the destination folder`, 409);
+  }
+  if (resolution.action === 'skip') {
+    return { action: 'skipped', file: resolution.existing };
+  }
+
+  const { available } = await getStorageQuota(userId);
+  if (file.size > available) {
+    throw new FileOperationError(`Not enough storage space to copy "${file.name}"`, 413);
+  }
+
+  const content = await copyContent(file, userId);
+  const details = {
+    originalName: file.originalName,
+    mimeType: file.mimeType,
+    uploadedBy: userId
+  };
+
+  const copy = resolution.action === 'replace'
+    ? await addFileVersion(resolution.existing, content, details)
+    : await createFileRecord(content, {
+      ...details,
+      owner: userId,
+      name: resolution.name,
+      folder: destination ? destination._id : null,
+      description: file.description,
+      tags: file.tags
+    });
+
+  return { action: actionNames[resolution.action], file: copy };
+};
+
+module.exports = {
+  FileOperationError,
+  resolveDestination,
+  checkCopyDestination,
+  moveFileInto,
+  copyFileInto
+};
@@ -0,0 +1,206 @@
+const File = require('../models/File');
+const FileVersion = require('../models/FileVersion');
+const Star = require('../models/Star');
+const ShareLink = require('../models/ShareLink');
+const FileActivity = require('../models/FileActivity');
+const { getStorage } = require('../storage');
+const { createUploadInspector } = require('./uploadInspector');
+const { claimBlob, retainBlob, releaseBlob } = require('./blobStore');
+const { canGenerateThumbnails, deleteThumbnails, queueThumbnails } = require('./thumbnails');
+const { canIndexContent, queueContentIndexing } = require('./contentIndex');
+const { recordActivity } = require('./activity');
+const { adjustStorage } = require('./storageUsage');
+
+/**
+ * Stream file contents into the configured storage driver.
+ * Size, SHA-256 hash and content type are worked out while the bytes flow
+ * through, so memory use stays bounded no matter how large the file is.
+ * Content the owner has already stored is deduplicated against the existing blob.
+ * @param {Buffer|Readable} source - File contents
+ * @param {Object} details - { owner, originalName, mimeType, maxSize }
+ * @returns {Promise<Object>} - { storageProvider, storageKey, size, hash, detectedType }
+ */
+const putContent = async (source, { owner, originalName, mimeType, maxSize }) => {
+  const storage = getStorage();
+  const inspector = createUploadInspector({ maxSize, declaredType: mimeType });
+
+  if (Buffer.isBuffer(source)) {
+    inspector.end(source);
+  } else {
+    source.on('error', (error) => inspector.destroy(error));
+    source.pipe(inspector);
+  }
+
+  let stored;
+  try {
+    stored = await storage.put(inspector, {
+      prefix: owner.toString(),
+      filename: originalName,
+      mimeType
+    });
+  } catch (error) {
+    // Let the rest of the source drain so its producer (busboy, a file handle) can finish
+    if (!Buffer.isBuffer(source)) {
+      source.unpipe(inspector);
+      source.resume();
+    }
+
+    // Limit and content checks keep their code so callers can report them properly
+    if (!['LIMIT_FILE_SIZE', 'CONTENT_TYPE_MISMATCH'].includes(error.code)) {
+      error.message = `Storage upload failed: ${error.message}`;
+    }
+    throw error;
+  }
+
+  const { size, hash, detectedType } = inspector.result();
+
+  return claimBlob({
+    storageProvider: storage.name,
+    storageKey: stored.key,
+    size,
+    hash,
+    detectedType
+  }, owner);
+};
+
+/**
+ * Get content for a copy of a file that will belong to `owner`. The owner's
+ * own content is shared by taking another reference to its blob; anyone
+ * else's is copied into the owner's storage, since blobs never cross owners.
+ * @param {File|FileVersion} source - Document whose content is copied
+ * @param {ObjectId} owner - Owner of the copy
+ * @returns {Promise<Object>} - { storageProvider, storageKey, size, hash }
+ */
+const copyContent = async (source, owner) => {
+  if (source.owner.equals(owner) && source.hash) {
+    return retainBlob({
+      storageProvider: source.storageProvider,
+      storageKey: source.storageKey,
+      size: source.size,
+      hash: source.hash
+    }, owner);
+  }
+
+  const stream = await getStorage(source.storageProvider).getStream(source.storageKey);
+  return putContent(stream, { owner, originalName: source.originalName, mimeType: source.mimeType });
+};
+
+// Give up one reference to stored content (content that never made it into a
+// document, or whose document is gone); the object goes when nothing uses it
+const discardContent = async (content) => {
+  try {
+    await releaseBlob(content);
+  } catch (error) {
+    console.error('Storage cleanup error:', error.message);
+  }
+};
+
+/**
+ * Create the File document for content already in storage
+ * @param {Object} content - Result of putContent()
+ * @param {Object} details - { owner, name, originalName, mimeType, folder,
+ *   uploadedBy, description, tags }
+ * @returns {Promise<File>} - The saved File document
+ */
+const createFileRecord = async (content, {
+  owner, name, originalName, mimeType, folder = null, uploadedBy, description, tags = []
+}) => {
+  let file;
+  try {
+    file = await File.create({
+      name,
+      originalName,
+      description,
+      tags,
+      size: content.size,
+      mimeType,
+      storageProvider: content.storageProvider,
+      storageKey: content.storageKey,
+      hash: content.hash,
+      owner,
+      folder,
+      uploadedBy: uploadedBy || owner
+    });
+  } catch (error) {
+    // Don't leave an orphaned object behind when the document can't be saved
+    await discardContent(content);
+    throw error;
+  }
+
+  // Update user storage usage. A file whose size isn't counted can't stay;
+  // its content is only given up once the document is gone, and if that
+  // fails too, reconciliation and the usage repair sort it out.
+  try {
+    await adjustStorage(owner, content.size, {
+      reason: 'file-added',
+      file: file._id,
+      release: content.releaseHold
+    });
+  } catch (error) {
+    try {
+      await File.deleteOne({ _id: file._id });
+    } catch (cleanupError) {
+      console.error('File record cleanup error:', cleanupError.message);
+      throw error;
+    }
+    await discardContent(content);
+    throw error;
+  }
+
+  await recordActivity(file.uploadedBy, file._id, 'uploaded');
+
+  if (canGenerateThumbnails(file)) {
+    queueThumbnails(file._id);
+  }
+  if (canIndexContent(file)) {
+    queueContentIndexing(file._id);
+  }
+
+  return file;
+};
+
+/**
+ * Store file contents and create the File document in one go
+ * @param {Buffer|Readable} source - File contents
+ * @param {Object} details - { owner, name, originalName, mimeType, folder, maxSize }
+ * @returns {Promise<File>} - The saved File document
+ */
+const storeFile = async (source, details) => {
+  const content = await putContent(source, details);
+  return createFileRecord(content, details);
+};
+
+/**
+ * Permanently delete a file: its document, its version history and its
+ * references to stored content, releasing the space from the owner's storage
+ * usage. Blobs still used by other files are kept.
+ * @param {File} file - File document
+ * @returns {Promise<Number>} - Bytes freed
+ */
+const purgeFile = async (file) => {
+  const versions = await FileVersion.find({ file: file._id });
+  const freed = file.size + versions.reduce((total, version) => total + version.size, 0);
+
+  await FileVersion.deleteMany({ file: file._id });
+  await Star.deleteMany({ itemType: 'File', item: file._id });
+  await ShareLink.deleteMany({ itemType: 'File', item: file._id });
+  await FileActivity.deleteMany({ file: file._id });
+  await File.deleteOne({ _id: file._id });
+  await adjustStorage(file.owner, -freed, { reason: 'file-purged', file: file._id });
+
+  for (const content of [file, ...versions]) {
+    await discardContent(content);
+  }
+  await deleteThumbnails(file);
+
+  return freed;
+};
+
+module.exports = {
+  putContent,
+  copyContent,
+  discardContent,
+  createFileRecord,
+  storeFile,
+  purgeFile
+};
@@ -0,0 +1,138 @@
+const FileVersion = require('../models/FileVersion');
+const uploadConfig = require('../config/uploads');
+const { discardContent } = require('./fileStore');
+const { queueThumbnails } = require('./thumbnails');
+const { queueContentIndexing } = require('./contentIndex');
+const { recordActivity } = require('./activity');
+const { adjustStorage } = require('./storageUsage');
+
+// Copy a file's current revision into its version history
+const archiveCurrentVersion = (file) => FileVersion.create({
+  file: file._id,
+  owner: file.owner,
+  version: file.version,
+  originalName: file.originalName,
+  size: file.size,
+  mimeType: file.mimeType,
+  storageProvider: file.storageProvider,
+  storageKey: file.storageKey,
+  hash: file.hash,
+  uploadedBy: file.uploadedBy || file.owner,
+  uploadedAt: file.uploadedAt || file.createdAt,
+  restoredFrom: file.restoredFrom
+});
+
+/**
+ * Delete the oldest versions beyond the per-file cap
+ * @param {File} file - File document
+ * @returns {Promise<Number>} - Bytes freed
+ */
+const pruneVersions = async (file) => {
+  const excess = await FileVersion.find({ file: file._id })
+    .sort({ version: -1 })
+    .skip(uploadConfig.maxFileVersions);
+
+  if (excess.length === 0) return 0;
+
+  const freed = excess.reduce((total, version) => total + version.size, 0);
+
+  await FileVersion.deleteMany({ _id: { $in: excess.map(version => version._id) } });
+  await adjustStorage(file.owner, -freed, { reason: 'versions-pruned', file: file._id });
+
+  for (const version of excess) {
+    await discardContent(version);
+  }
+
+  return freed;
+};
+
+// Point the file at new current content, keeping the previous revision in history
+const replaceCurrentVersion = async (file, changes) => {
+  const archived = await archiveCurrentVersion(file);
+
+  try {
+    file.set({
+      ...changes,
+      version: file.version + 1,
+      uploadedAt: new Date()
+    });
+    await file.save();
+  } catch (error) {
+    await archived.deleteOne();
+    throw error;
+  }
+
+  // Thumbnails and search text follow the current version
+  queueThumbnails(file._id);
+  queueContentIndexing(file._id);
+};
+
+/**
+ * Make freshly stored content the new current version of a file
+ * @param {File} file - File document
+ * @param {Object} content - Result of putContent()
+ * @param {Object} details - { originalName, mimeType, uploadedBy }
+ * @returns {Promise<File>}
+ */
+const addFileVersion = async (file, content, { originalName, mimeType, uploadedBy }) => {
+  try {
+    await replaceCurrentVersion(file, {
+      originalName,
+      mimeType,
+      size: content.size,
+      storageProvider: content.storageProvider,
+      storageKey: content.storageKey,
+      hash: content.hash,
+      uploadedBy,
+      restoredFrom: null
+    });
+  } catch (error) {
+    await discardContent(content);
+    throw error;
+  }
+
+  // New content counts against the owner's storage; old versions still do too
+  await adjustStorage(file.owner, content.size, {
+    reason: 'version-added',
+    file: file._id,
+    release: content.releaseHold
+  });
+  await pruneVersions(file);
+  await recordActivity(uploadedBy, file._id, 'edited');
+
+  return file;
+};
+
+/**
+ * Restore a past version as the current one. The restored content becomes a
+ * new version number and the replaced current version moves into history.
+ * @param {File} file - File document
+ * @param {FileVersion} version - Version to restore
+ * @param {ObjectId} restoredBy - User performing the restore
+ * @returns {Promise<File>}
+ */
+const restoreFileVersion = async (file, version, restoredBy) => {
+  await replaceCurrentVersion(file, {
+    originalName: version.originalName,
+    mimeType: version.mimeType,
+    size: version.size,
+    storageProvider: version.storageProvider,
+    storageKey: version.storageKey,
+    hash: version.hash,
+    uploadedBy: restoredBy,
+    restoredFrom: version.version
+  });
+
+  // Its content is now the current version, so the history entry goes away
+  await version.deleteOne();
+  await pruneVersions(file);
+  await recordActivity(restoredBy, file._id, 'edited');
+
+  return file;
+};
+
+module.exports = {
+  addFileVersion,
+  restoreFileVersion,
+  pruneVersions
+};
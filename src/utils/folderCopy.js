@@ -0,0 +1,96 @@
+const File = require('../models/File');
+const Folder = require('../models/Folder');
+const Operation = require('../models/Operation');
+const { copyFileInto } = require('./fileOperations');
+const { findAvailableName } = require('./nameConflicts');
+const { sanitizeFilename } = require('./validation');
+
+/**
+ * Collect everything copying a folder involves: the folder and the live
+ * folders below it (parents before children), and the live files in them
+ * @param {Folder} folder - Folder to copy
+ * @returns {Promise<Object>} - { folders, files, totalBytes }
+ */
+const planFolderCopy = async (folder) => {
+  const folders = [folder];
+  let level = [folder];
+
+  while (level.length > 0) {
+    level = await Folder.find({ parent: { $in: level.map(item => item._id) }, isDeleted: false }).sort({ name: 1 });
+    folders.push(...level);
+  }
+
+  const files = await File.find({ folder: { $in: folders.map(item => item._id) }, isDeleted: false }).sort({ name: 1 });
+
+  return {
+    folders,
+    files,
+    totalBytes: files.reduce((total, file) => total + file.size, 0)
+  };
+};
+
+const copyFolderDocument = (folder, { owner, name, parent }) => Folder.create({
+  name,
+  owner,
+  parent,
+  color: folder.color,
+  description: folder.description,
+  tags: folder.tags
+});
+
+/**
+ * Recreate a planned folder tree under a destination, owned by the user
+ * making the copy, reporting progress on the operation as it goes. The top
+ * folder is renamed if its name is taken ("Template (1)").
+ * @param {Object} plan - From planFolderCopy()
+ * @param {Folder|null} destination - Folder to copy into, or null for the root
+ * @param {Object} options - { userId, name, operation } where name optionally
+ *   renames the copy
+ * @returns {Promise<Object>} - { folderId, folders, files }
+ */
+const copyFolderTree = async ({ folders, files }, destination, { userId, name, operation }) => {
+  const [root, ...subfolders] = folders;
+  const parent = destination ? destination._id : null;
+  const copies = new Map();
+
+  const rootName = await findAvailableName(
+    Folder,
+    { owner: userId, parent, isDeleted: false },
+    sanitizeFilename(name || root.name),
+    { keepExtension: false }
+  );
+  const rootCopy = await copyFolderDocument(root, { owner: userId, name: rootName, parent });
+  copies.set(root._id.toString(), rootCopy);
+
+  // Point at the partial copy straight away, in case a later step fails
+  await Operation.updateOne({ _id: operation._id }, { result: { folderId: rootCopy._id } });
+  await operation.advance(1);
+
+  for (const folder of subfolders) {
+    const copy = await copyFolderDocument(folder, {
+      owner: userId,
+      name: folder.name,
+      parent: copies.get(folder.parent.toString())._id
+    });
+    copies.set(folder._id.toString(), copy);
+    await operation.advance(1);
+  }
+
+  let copiedFiles = 0;
+  for (const file of files) {
+    // Files trashed since the copy started are left out
+    const current = await File.findOne({ _id: file._id, isDeleted: false });
+    if (current) {
+      await copyFileInto(current, copies.get(file.folder.toString()), { userId, conflict: 'rename' });
+      copiedFiles++;
+    }
+    await operation.advance(1, file.size);
+  }
+
+  return { folderId: rootCopy._id, folders: folders.length, files: copiedFiles };
+};
+
+module.exports = {
+  planFolderCopy,
+  copyFolderTree
+};
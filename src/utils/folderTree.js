@@ -0,0 +1,67 @@
+const Folder = require('../models/Folder');
+const { sanitizeFilename } = require('./validation');
+
+const MAX_FOLDER_NAME_LENGTH = 100;
+
+/**
+ * Split a client-supplied relative path such as "docs/specs/a.pdf" into its
+ * directory names and file name. Both separators are accepted since Windows
+ * browsers send backslashes.
+ * @param {String} relativePath
+ * @returns {Object|null} - { directories, filename }, or null for paths that
+ *   try to climb out of the upload root
+ */
+const splitRelativePath = (relativePath) => {
+  const segments = String(relativePath)
+    .split(/[\\/]+/)
+    .map(segment => segment.trim())
+    .filter(segment => segment && segment !== '.');
+
+  if (segments.length === 0 || segments.includes('..')) return null;
+
+  return {
+    directories: segments.slice(0, -1).map(
+      segment => sanitizeFilename(segment).substring(0, MAX_FOLDER_NAME_LENGTH)
+    ),
+    filename: segments[segments.length - 1]
+  };
+};
+
+/**
+ * Create or reuse the chain of folders for a directory path under a parent.
+ * Existing folders with the same name are merged into rather than duplicated.
+ * @param {String[]} directories - Folder names, outermost first
+ * @param {Object} options - { owner, parent, cache } where cache is a Map shared
+ *   across calls for one upload so each folder is looked up only once
+ * @returns {Promise<ObjectId|null>} - Id of the innermost folder (parent when empty)
+ */
+const ensureFolderPath = async (directories, { owner, parent = null, cache = new Map() }) => {
+  let parentId = parent;
+
+  for (const name of directories) {
+    const cacheKey = `${parentId}/${name}`;
+    let entry = cache.get(cacheKey);
+
+    if (!entry) {
+      let folder = await Folder.findOne({ name, owner, parent: parentId, isDeleted: false });
+      const created = !folder;
+
+      // The pre-validate hook derives the path from the parent folder
+      if (!folder) {
+        folder = await Folder.create({ name, owner, parent: parentId });
+      }
+
+      entry = { folder, created };
+      cache.set(cacheKey, entry);
+    }
+
+    parentId = entry.folder._id;
+  }
+
+  return parentId;
+};
+
+module.exports = {
+  splitRelativePath,
+  ensureFolderPath
+};
@@ -0,0 +1,28 @@
+// Broad kinds of file, used by search filters (type:spreadsheet) and facets.
+// Order matters: a MIME type belongs to the first category that matches it.
+const mimeCategories = {
+  pdf: /^application\/pdf$/,
+  image: /^image\//,
+  video: /^video\//,
+  audio: /^audio\//,
+  document: /^(application\/msword|application\/vnd\.openxmlformats-officedocument\.wordprocessingml\.|application\/vnd\.oasis\.opendocument\.text|application\/rtf)/,
+  spreadsheet: /^(application\/vnd\.ms-excel|application\/vnd\.openxmlformats-officedocument\.spreadsheetml\.|application\/vnd\.oasis\.opendocument\.spreadsheet|text\/csv)/,
+  presentation: /^(application\/vnd\.ms-powerpoint|application\/vnd\.openxmlformats-officedocument\.presentationml\.|application\/vnd\.oasis\.opendocument\.presentation)/,
+  archive: /^application\/(zip|x-rar-compressed|x-tar|gzip|x-7z-compressed)$/,
+  text: /^(text\/|application\/(json|xml)$)/
+};
+
+/**
+ * Get the category of a MIME type
+ * @param {String} mimeType
+ * @returns {String} - A key of mimeCategories, or 'other'
+ */
+const categorize = (mimeType) => {
+  const match = Object.entries(mimeCategories).find(([, pattern]) => pattern.test(mimeType || ''));
+  return match ? match[0] : 'other';
+};
+
+module.exports = {
+  mimeCategories,
+  categorize
+};
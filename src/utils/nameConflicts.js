@@ -0,0 +1,57 @@
+const path = require('path');
+const File = require('../models/File');
+const { escapeRegex } = require('./validation');
+
+// What to do when an item with the same name already exists in the destination
+const conflictPolicies = ['rename', 'skip', 'replace', 'error'];
+
+/**
+ * Find a name that is not used yet among a set of siblings by appending
+ * " (1)", " (2)", ... before the extension, the way desktop file managers do
+ * @param {Model} Model - File or Folder
+ * @param {Object} siblings - Query matching the items sharing the destination
+ * @param {String} name - Desired name
+ * @param {Object} options - { keepExtension } (false for folders)
+ * @returns {Promise<String>}
+ */
+const findAvailableName = async (Model, siblings, name, { keepExtension = true } = {}) => {
+  const ext = keepExtension ? path.extname(name) : '';
+  const base = ext ? name.slice(0, -ext.length) : name;
+  const pattern = new RegExp(`^${escapeRegex(base)}( \\(\\d+\\))?${escapeRegex(ext)}$`);
+
+  const taken = new Set(
+    (await Model.find({ ...siblings, name: pattern }).select('name')).map(item => item.name)
+  );
+  if (!taken.has(name)) return name;
+
+  for (let n = 1; ; n++) {
+    const candidate = `${base} (${n})${ext}`;
+    if (!taken.has(candidate)) return candidate;
+  }
+};
+
+/**
+ * Decide how to store a file whose name may already be taken in a folder
+ * @param {Object} target - { owner, folder, name }
+ * @param {String} policy - One of conflictPolicies
+ * @returns {Promise<Object>} - { action, name, existing } where action is
+ *   'create', 'rename', 'skip', 'replace' or 'error'; existing is the clashing file
+ */
+const resolveFileConflict = async ({ owner, folder = null, name }, policy = 'rename') => {
+  const siblings = { owner, folder, isDeleted: false };
+  const existing = await File.findOne({ ...siblings, name });
+
+  if (!existing) return { action: 'create', name, existing: null };
+
+  if (policy === 'rename') {
+    return { action: 'rename', name: await findAvailableName(File, siblings, name), existing };
+  }
+
+  return { action: policy, name, existing };
+};
+
+module.exports = {
+  conflictPolicies,
+  findAvailableName,
+  resolveFileConflict
+};
@@ -0,0 +1,53 @@
+const Operation = require('../models/Operation');
+
+/**
+ * Run a task for an operation in the background, recording when it starts,
+ * how it ends and why it failed. Callers don't wait for it.
+ * @param {Operation} operation - Pending operation
+ * @param {Function} task - async () => result, stored on the operation when it completes
+ */
+const startOperation = (operation, task) => {
+  const run = async () => {
+    await Operation.updateOne({ _id: operation._id }, { status: 'running', startedAt: new Date() });
+
+    try {
+      const result = await task();
+      await Operation.updateOne(
+        { _id: operation._id },
+        { status: 'completed', result, finishedAt: new Date() }
+      );
+    } catch (error) {
+      console.error(`Operation ${operation.type} error:`, error);
+      await Operation.updateOne(
+        { _id: operation._id },
+        { status: 'failed', error: error.message, finishedAt: new Date() }
+      );
+    }
+  };
+
+  run().catch(error => console.error('Operation bookkeeping error:', error.message));
+};
+
+/**
+ * Shape an operation for API responses
+ * @param {Operation} operation
+ * @returns {Object}
+ */
+const formatOperation = (operation) => ({
+  id: operation._id,
+  type: operation.type,
+  status: operation.status,
+  percent: operation.percent,
+  progress: operation.progress,
+  params: operation.params,
+  result: operation.result,
+  error: operation.error,
+  createdAt: operation.createdAt,
+  startedAt: operation.startedAt,
+  finishedAt: operation.finishedAt
+});
+
+module.exports = {
+  startOperation,
+  formatOperation
+};
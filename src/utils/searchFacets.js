@@ -0,0 +1,130 @@
+const Folder = require('../models/Folder');
+const User = require('../models/User');
+const { categorize } = require('./mimeCategories');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Modification date buckets; each counts everything since its start, so they
+// nest the way the date filters of desktop file managers do
+const modifiedBuckets = [
+  { value: 'today', days: 0 },
+  { value: 'last7Days', days: 6 },
+  { value: 'last30Days', days: 29 },
+  { value: 'lastYear', days: 364 }
+];
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+// Sorted { value, count } list from a Map of value => count
+const countList = (counts) => [...counts.entries()]
+  .map(([value, count]) => ({ value, count }))
+  .sort((a, b) => b.count - a.count);
+
+const countBy = (items, keyOf) => {
+  const counts = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+};
+
+// The folder an item sits in, or null at the root
+const parentOf = ({ kind, doc }) => (kind === 'folder' ? doc.parent : doc.folder) || null;
+
+/**
+ * Load every ancestor of the given items, one level per query
+ * @param {Array} items - Ranked items
+ * @returns {Promise<Map>} - Folder id => folder
+ */
+const loadAncestors = async (items) => {
+  const folders = new Map();
+  let pending = [...new Set(items.map(parentOf).filter(Boolean).map(String))];
+
+  while (pending.length > 0) {
+    const found = await Folder.find({ _id: { $in: pending } }).select('name parent owner shareSettings');
+    found.forEach(folder => folders.set(String(folder._id), folder));
+    pending = [...new Set(found.map(folder => folder.parent).filter(Boolean).map(String))]
+      .filter(id => !folders.has(id));
+  }
+
+  return folders;
+};
+
+// The highest folder above an item that the user can still open; someone
+// else's folder structure above what they shared is not revealed
+const topLevelFolder = (item, folders, userId) => {
+  let top = null;
+  let folder = folders.get(String(parentOf(item)));
+
+  while (folder && folder.isAccessibleBy(userId).access) {
+    top = folder;
+    folder = folder.parent && folders.get(String(folder.parent));
+  }
+
+  return top;
+};
+
+/**
+ * Count the matches of a search by kind, owner, top-level folder and
+ * modification date. Each entry carries the query filter that narrows a
+ * search down to it, so a client can build a filter sidebar from the counts.
+ * @param {Array} items - Ranked items from rankSearchResults()
+ * @param {ObjectId} userId - User searching
+ * @returns {Promise<Object>} - { type, owner, folder, modified }
+ */
+const buildFacets = async (items, userId) => {
+  const type = countList(countBy(items, ({ kind, doc }) => (kind === 'folder' ? 'folder' : categorize(doc.mimeType))))
+    .map(entry => ({ ...entry, query: entry.value === 'other' ? null : `type:${entry.value}` }));
+
+  const ownerCounts = countBy(items, ({ doc }) => String(doc.owner));
+  const owners = await User.find({ _id: { $in: [...ownerCounts.keys()] } }).select('name email');
+  const owner = countList(ownerCounts).map(entry => {
+    const user = owners.find(candidate => String(candidate._id) === entry.value);
+    return {
+      ...entry,
+      name: user ? user.name : null,
+      email: user ? user.email : null,
+      query: entry.value === String(userId) ? 'owner:me' : user ? `owner:${user.email}` : null
+    };
+  });
+
+  const folders = await loadAncestors(items);
+  const tops = new Map();
+  const folderCounts = countBy(items, item => {
+    const top = topLevelFolder(item, folders, userId);
+    if (top) {
+      tops.set(String(top._id), top);
+      return String(top._id);
+    }
+    // Items shared on their own out of folders the user can't open
+    return parentOf(item) ? 'shared' : null;
+  });
+  const folder = countList(folderCounts).map(entry => {
+    if (entry.value === null) return { ...entry, name: 'Root', query: 'in:/' };
+    if (entry.value === 'shared') return { ...entry, name: 'Shared with me', query: null };
+    return { ...entry, name: tops.get(entry.value).name, query: `in:${entry.value}` };
+  });
+
+  const startOfToday = new Date(new Date().setUTCHours(0, 0, 0, 0));
+  const modified = modifiedBuckets.map(({ value, days }) => {
+    const since = new Date(startOfToday.getTime() - days * DAY);
+    return {
+      value,
+      count: items.filter(item => item.modifiedAt >= since).length,
+      query: `modified:>=${formatDay(since)}`
+    };
+  });
+  const yearAgo = new Date(startOfToday.getTime() - 364 * DAY);
+  modified.push({
+    value: 'older',
+    count: items.filter(item => !(item.modifiedAt >= yearAgo)).length,
+    query: `modified:<${formatDay(yearAgo)}`
+  });
+
+  return { type, owner, folder, modified };
+};
+
+module.exports = {
+  buildFacets
+};
@@ -0,0 +1,344 @@
+const mongoose = require('mongoose');
+const Folder = require('../models/Folder');
+const User = require('../models/User');
+const { allowedTypes } = require('../middleware/upload');
+const { mimeCategories } = require('./mimeCategories');
+const { escapeRegex } = require('./validation');
+
+/**
+ * Search query language
+ *
+ *   budget "annual report" -draft type:pdf size>10mb modified:<2026-01-01
+ *   tag:invoice in:"Finance/2025" owner:me shared:true
+ *
+ * Bare words and "quoted phrases" are matched against names and contents.
+ * key:value pairs filter the results; size, created and modified also take
+ * comparisons (size>10mb, created:>=2025-06-01). A leading "-" negates a word
+ * or a filter. type:folder limits a search to folders.
+ */
+
+// Invalid query; position is the offset in the query string the problem is at
+class SearchQueryError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'SearchQueryError';
+    this.position = position;
+  }
+}
+
+// Filters and whether they accept comparison operators
+const filterKeys = {
+  type: false,
+  name: false,
+  tag: false,
+  in: false,
+  owner: false,
+  shared: false,
+  size: true,
+  created: true,
+  modified: true
+};
+
+const isSpace = (char) => /\s/.test(char);
+
+/**
+ * Split a query into free-text terms and filters
+ * @param {String} query
+ * @returns {Object} - { terms: [{ value, phrase, negated, position }],
+ *   filters: [{ key, operator, value, negated, position, valuePosition }] }
+ * @throws {SearchQueryError}
+ */
+const parseSearchQuery = (query) => {
+  const terms = [];
+  const filters = [];
+  let i = 0;
+
+  // Read a "quoted" value starting at the opening quote; \" escapes a quote
+  const readQuoted = () => {
+    const start = i;
+    let value = '';
+    i++;
+    while (i < query.length && query[i] !== '"') {
+      if (query[i] === '\\' && query[i + 1] === '"') i++;
+      value += query[i++];
+    }
+    if (i >= query.length) {
+      throw new SearchQueryError('Unterminated quote', start);
+    }
+    i++;
+    return value;
+  };
+
+  const readWord = () => {
+    const start = i;
+    while (i < query.length && !isSpace(query[i])) i++;
+    return query.slice(start, i);
+  };
+
+  while (i < query.length) {
+    if (isSpace(query[i])) {
+      i++;
+      continue;
+    }
+
+    const position = i;
+    const negated = query[i] === '-' && i + 1 < query.length && !isSpace(query[i + 1]);
+    if (negated) i++;
+
+    if (query[i] === '"') {
+      terms.push({ value: readQuoted(), phrase: true, negated, position });
+      continue;
+    }
+
+    const keyMatch = /^([a-z]+)(:(>=|<=|>|<|=)?|>=|<=|>|<|=)/i.exec(query.slice(i));
+    const key = keyMatch && keyMatch[1].toLowerCase();
+
+    // Only "word:" reads as a filter; "e=mc2" is just a word
+    if (!keyMatch || (!(key in filterKeys) && !keyMatch[2].startsWith(':'))) {
+      terms.push({ value: readWord(), phrase: false, negated, position });
+      continue;
+    }
+
+    if (!(key in filterKeys)) {
+      throw new SearchQueryError(
+        `Unknown filter "${keyMatch[1]}". Available filters: ${Object.keys(filterKeys).join(', ')}`,
+        i
+      );
+    }
+
+    const operator = (keyMatch[3] || keyMatch[2].replace(':', '')) || '=';
+    if (operator !== '=' && !filterKeys[key]) {
+      throw new SearchQueryError(`The ${key} filter does not support "${operator}"`, i + key.length);
+    }
+
+    i += keyMatch[0].length;
+    const valuePosition = i;
+    const value = query[i] === '"' ? readQuoted() : readWord();
+    if (value === '') {
+      throw new SearchQueryError(`Missing value for ${key}`, valuePosition);
+    }
+
+    filters.push({ key, operator, value, negated, position, valuePosition });
+  }
+
+  return { terms, filters };
+};
+
+// Mongo comparison operators for the query language's operators
+const comparisonOperators = { '>': '$gt', '>=': '$gte', '<': '$lt', '<=': '$lte' };
+
+const sizeUnits = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
+
+const parseSize = ({ value, valuePosition }) => {
+  const match = /^(\d+(?:\.\d+)?)(b|kb|mb|gb|tb)?$/i.exec(value);
+  if (!match) {
+    throw new SearchQueryError(`Invalid size "${value}". Use a number with an optional unit, e.g. 10mb`, valuePosition);
+  }
+  return Math.round(parseFloat(match[1]) * sizeUnits[(match[2] || 'b').toLowerCase()]);
+};
+
+// A date as the range of time it covers: a day, or an exact instant
+const parseDate = ({ value, valuePosition }) => {
+  const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const start = day
+    ? new Date(Date.UTC(Number(day[1]), Number(day[2]) - 1, Number(day[3])))
+    : new Date(value);
+
+  // Date.UTC quietly rolls 2026-02-30 over into March
+  const rolledOver = day &&
+    (start.getUTCMonth() !== Number(day[2]) - 1 || start.getUTCDate() !== Number(day[3]));
+
+  if (Number.isNaN(start.getTime()) || !/^\d{4}-\d{2}/.test(value) || rolledOver) {
+    throw new SearchQueryError(`Invalid date "${value}". Use YYYY-MM-DD`, valuePosition);
+  }
+
+  const end = day ? new Date(start.getTime() + 24 * 60 * 60 * 1000) : new Date(start.getTime() + 1);
+  return { start, end };
+};
+
+// Condition on a date field; "<2026-01-01" means before that day starts,
+// "<=2026-01-01" until it ends, and a bare date means during that day
+const dateCondition = (filter) => {
+  const { start, end } = parseDate(filter);
+  switch (filter.operator) {
+    case '>': return { $gte: end };
+    case '>=': return { $gte: start };
+    case '<': return { $lt: start };
+    case '<=': return { $lt: end };
+    default: return { $gte: start, $lt: end };
+  }
+};
+
+// MIME condition for a category (pdf, image, ...), a MIME type (image/png,
+// image/*) or a file extension (docx); null for type:folder
+const typeCondition = ({ value, valuePosition }) => {
+  const type = value.toLowerCase();
+
+  if (type === 'folder') return null;
+  if (mimeCategories[type]) return { $regex: mimeCategories[type] };
+  if (type.endsWith('/*')) return { $regex: new RegExp(`^${escapeRegex(type.slice(0, -1))}`) };
+  if (type.includes('/')) return type;
+
+  const extension = `.${type.replace(/^\./, '')}`;
+  const mimeTypes = Object.keys(allowedTypes).filter(mimeType => allowedTypes[mimeType] === extension);
+  if (mimeTypes.length > 0) return { $in: mimeTypes };
+
+  throw new SearchQueryError(
+    `Unknown type "${value}". Use folder, a category (${Object.keys(mimeCategories).join(', ')}), a MIME type or an extension`,
+    valuePosition
+  );
+};
+
+// Resolve in:"Finance/2025" (a path from the user's root) or in:<folder id>
+// to the ids of that folder and every folder below it, or null for in:/ (the root)
+const resolveFolderScope = async ({ value, valuePosition }, userId) => {
+  const segments = value.split('/').map(segment => segment.trim()).filter(Boolean);
+
+  if (segments.length === 0) return null;
+
+  let folder = null;
+  if (segments.length === 1 && mongoose.Types.ObjectId.isValid(value)) {
+    folder = await Folder.findAccessibleBy(value, userId);
+  }
+
+  // Walk the path one folder at a time from the root
+  if (!folder) {
+    let parent = null;
+    for (const name of segments) {
+      folder = await Folder.findOne({ owner: userId, parent, name, isDeleted: false });
+      if (!folder) break;
+      parent = folder._id;
+    }
+  }
+
+  if (!folder) {
+    throw new SearchQueryError(`Folder "${value}" not found`, valuePosition);
+  }
+
+  const descendants = await Folder.findDescendantIds([folder._id]);
+  return [folder._id, ...descendants];
+};
+
+const resolveOwner = async ({ value, valuePosition }, userId) => {
+  if (value.toLowerCase() === 'me') return { owner: userId };
+
+  const user = await User.findOne({ email: value.toLowerCase() }).select('_id');
+  if (!user) {
+    throw new SearchQueryError(`No user with email "${value}"`, valuePosition);
+  }
+  return { owner: user._id };
+};
+
+const sharedCondition = { $or: [
+  { isShared: true },
+  { 'shareSettings.isPublic': true },
+  { 'shareSettings.sharedWith.0': { $exists: true } }
+] };
+
+// Compile one filter into a Mongo condition for files or folders. Returns
+// false when no item of that kind can match (a folder has no size) and true
+// when every item does.
+const compileFilter = async (filter, userId, kind) => {
+  const { key, value, operator, valuePosition } = filter;
+  const isFolder = kind === 'folder';
+
+  switch (key) {
+    case 'type': {
+      const mimeType = typeCondition(filter);
+      if (mimeType === null) return isFolder;
+      return isFolder ? false : { mimeType };
+    }
+    case 'name':
+      return { name: { $regex: escapeRegex(value), $options: 'i' } };
+    case 'tag':
+      return { tags: { $regex: `^${escapeRegex(value)}$`, $options: 'i' } };
+    case 'in': {
+      const folderIds = await resolveFolderScope(filter, userId);
+      return { [isFolder ? 'parent' : 'folder']: folderIds ? { $in: folderIds } : null };
+    }
+    case 'owner':
+      return resolveOwner(filter, userId);
+    case 'shared':
+      if (!['true', 'false'].includes(value.toLowerCase())) {
+        throw new SearchQueryError('shared must be true or false', valuePosition);
+      }
+      return value.toLowerCase() === 'true' ? sharedCondition : { $nor: [sharedCondition] };
+    case 'size': {
+      const size = parseSize(filter);
+      if (isFolder) return false;
+      return { size: operator === '=' ? size : { [comparisonOperators[operator]]: size } };
+    }
+    case 'created':
+      return { createdAt: dateCondition(filter) };
+    case 'modified': {
+      const condition = dateCondition(filter);
+      if (isFolder) return { updatedAt: condition };
+      // Content changes set uploadedAt; files from before versioning only have createdAt
+      return { $or: [
+        { uploadedAt: condition },
+        { uploadedAt: { $exists: false }, createdAt: condition }
+      ] };
+    }
+  }
+};
+
+/**
+ * Turn a parsed query into a Mongo filter for files (or folders) the user can
+ * see: their own and those shared with them
+ * @param {Object} parsed - Result of parseSearchQuery()
+ * @param {ObjectId} userId - User searching
+ * @param {Object} options - { kind: 'file' | 'folder' }
+ * @returns {Promise<Object>} - { filter, text } where text is a $text search
+ *   string built from the free-text terms (empty when there are none) and
+ *   filter is null when the filters rule out every item of that kind
+ * @throws {SearchQueryError}
+ */
+const compileSearchQuery = async ({ terms, filters }, userId, { kind = 'file' } = {}) => {
+  const text = terms
+    .map(({ value, phrase, negated }) => `${negated ? '-' : ''}${phrase ? `"${value.replace(/"/g, '')}"` : value}`)
+    .join(' ');
+
+  const conditions = [
+    { isDeleted: false },
+    { $or: [{ owner: userId }, { 'shareSettings.sharedWith.user': userId }] }
+  ];
+  let matchesNothing = false;
+
+  // Every filter is compiled, even once the result is known to be empty, so
+  // mistakes anywhere in the query are still reported
+  for (const filter of filters) {
+    const condition = await compileFilter(filter, userId, kind);
+
+    if (typeof condition === 'boolean') {
+      if (condition === filter.negated) matchesNothing = true;
+      continue;
+    }
+    conditions.push(filter.negated ? { $nor: [condition] } : condition);
+  }
+
+  return { filter: matchesNothing ? null : { $and: conditions }, text };
+};
+
+/**
+ * Condition matching free-text terms as substrings of the name: positive terms
+ * must occur and negated ones must not. Catches partial matches the text index
+ * can't make ("rep" for "report").
+ * @param {Array} terms - Terms from parseSearchQuery()
+ * @returns {Object|null} - null when there are no terms
+ */
+const nameMatchCondition = (terms) => {
+  if (terms.length === 0) return null;
+
+  return { $and: terms.map(({ value, negated }) => {
+    const pattern = new RegExp(escapeRegex(value), 'i');
+    const matches = { $or: [{ name: pattern }, { originalName: pattern }] };
+    return negated ? { $nor: [matches] } : matches;
+  }) };
+};
+
+module.exports = {
+  SearchQueryError,
+  parseSearchQuery,
+  compileSearchQuery,
+  nameMatchCondition
+};
@@ -0,0 +1,184 @@
+const File = require('../models/File');
+const Folder = require('../models/Folder');
+const searchConfig = require('../config/search');
+const { compileSearchQuery, nameMatchCondition } = require('./searchQuery');
+const { escapeRegex } = require('./validation');
+
+// Invalid pagination cursor
+class SearchCursorError extends Error {
+  constructor(message = 'Invalid cursor') {
+    super(message);
+    this.name = 'SearchCursorError';
+  }
+}
+
+/**
+ * Score a name against the free-text terms, on roughly the scale of the text
+ * index's scores (where a whole word in a file name is worth about 10), so
+ * folders and partial name matches can be ranked among full-text matches
+ * @param {String} name
+ * @param {Array} terms - Positive terms from parseSearchQuery()
+ * @returns {Number}
+ */
+const nameScore = (name, terms) => {
+  const lower = name.toLowerCase();
+  const base = lower.replace(/\.[^.]+$/, '');
+
+  return terms.reduce((score, { value }) => {
+    const term = value.toLowerCase();
+    if (lower === term || base === term) return score + 15;
+    if (new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(term)}`, 'u').test(lower)) return score + 10;
+    if (lower.includes(term)) return score + 5;
+    return score;
+  }, 0);
+};
+
+// When an item last changed, as the modified: filter sees it
+const modifiedAt = (kind, doc) => kind === 'folder'
+  ? doc.updatedAt
+  : doc.uploadedAt || doc.createdAt;
+
+const toItem = (kind, doc, score) => ({
+  kind,
+  doc,
+  score,
+  modifiedAt: modifiedAt(kind, doc)
+});
+
+const findFileCandidates = async (parsed, userId, terms) => {
+  const { filter, text } = await compileSearchQuery(parsed, userId, { kind: 'file' });
+  if (!filter) return { items: [], truncated: false, text };
+
+  const max = searchConfig.maxCandidates;
+  const nameCondition = nameMatchCondition(parsed.terms);
+
+  const textMatches = terms.length > 0
+    ? await File.find(
+      { ...filter, $text: { $search: text } },
+      { score: { $meta: 'textScore' } }
+    )
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(max)
+    : [];
+
+  const otherMatches = textMatches.length < max
+    ? await File.find({
+      $and: [
+        ...filter.$and,
+        ...(nameCondition ? [nameCondition] : []),
+        { _id: { $nin: textMatches.map(file => file._id) } }
+      ]
+    })
+    .sort({ uploadedAt: -1, createdAt: -1 })
+    .limit(max - textMatches.length)
+    : [];
+
+  return {
+    items: [
+      ...textMatches.map(file => toItem('file', file, file.get('score') || 0)),
+      ...otherMatches.map(file => toItem('file', file, nameScore(file.name, terms)))
+    ],
+    truncated: textMatches.length + otherMatches.length >= max,
+    text
+  };
+};
+
+const findFolderCandidates = async (parsed, userId, terms) => {
+  const { filter } = await compileSearchQuery(parsed, userId, { kind: 'folder' });
+  if (!filter) return { items: [], truncated: false };
+
+  const max = searchConfig.maxCandidates;
+  const nameCondition = nameMatchCondition(parsed.terms);
+
+  const folders = await Folder.find(nameCondition ? { $and: [...filter.$and, nameCondition] } : filter)
+    .sort({ updatedAt: -1 })
+    .limit(max);
+
+  return {
+    items: folders.map(folder => toItem('folder', folder, nameScore(folder.name, terms))),
+    truncated: folders.length >= max
+  };
+};
+
+// Best score first, then most recently modified; the id keeps the order total
+const compareItems = (a, b) =>
+  (b.score - a.score) ||
+  (b.modifiedAt - a.modifiedAt) ||
+  (String(b.doc._id) < String(a.doc._id) ? -1 : String(b.doc._id) > String(a.doc._id) ? 1 : 0);
+
+/**
+ * Find the files and folders matching a query, ranked together
+ * @param {Object} parsed - Result of parseSearchQuery()
+ * @param {ObjectId} userId - User searching
+ * @returns {Promise<Object>} - { items: [{ kind, doc, score, modifiedAt }],
+ *   truncated, text } where truncated means more items may have matched than
+ *   were ranked, and text is the $text search string of the free-text terms
+ * @throws {SearchQueryError}
+ */
+const rankSearchResults = async (parsed, userId) => {
+  const terms = parsed.terms.filter(term => !term.negated);
+
+  const files = await findFileCandidates(parsed, userId, terms);
+  const folders = await findFolderCandidates(parsed, userId, terms);
+
+  return {
+    items: [...files.items, ...folders.items].sort(compareItems),
+    truncated: files.truncated || folders.truncated,
+    text: files.text
+  };
+};
+
+/**
+ * Encode the position of an item in the ranking as an opaque cursor
+ * @param {Object} item - Ranked item
+ * @returns {String}
+ */
+const encodeCursor = (item) => Buffer.from(JSON.stringify({
+  s: item.score,
+  m: item.modifiedAt.getTime(),
+  id: String(item.doc._id)
+})).toString('base64url');
+
+/**
+ * Take the page of ranked items that follows a cursor. Pages are keyed on the
+ * position rather than an offset, so items added or removed between requests
+ * don't shift later pages.
+ * @param {Array} items - Items in ranked order
+ * @param {String} cursor - From a previous page's nextCursor, or empty for the first page
+ * @param {Number} limit - Page size
+ * @returns {Object} - { page, nextCursor }
+ * @throws {SearchCursorError}
+ */
+const paginate = (items, cursor, limit) => {
+  let start = 0;
+
+  if (cursor) {
+    let position;
+    try {
+      position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new SearchCursorError();
+    }
+    if (!position || typeof position.s !== 'number' || typeof position.m !== 'number' || typeof position.id !== 'string') {
+      throw new SearchCursorError();
+    }
+
+    const last = { score: position.s, modifiedAt: new Date(position.m), doc: { _id: position.id } };
+    start = items.findIndex(item => compareItems(last, item) < 0);
+    if (start === -1) start = items.length;
+  }
+
+  const page = items.slice(start, start + limit);
+  const hasMore = start + limit < items.length;
+
+  return {
+    page,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+  };
+};
+
+module.exports = {
+  SearchCursorError,
+  rankSearchResults,
+  paginate
+};
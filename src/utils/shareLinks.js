@@ -0,0 +1,354 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const ShareLink = require('../models/ShareLink');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// How long a link stays valid, by the expiresIn value clients send
+const expiryPresets = { '1h': HOUR, '1d': DAY, '7d': 7 * DAY, '30d': 30 * DAY, never: null };
+
+// Unlocking a password-protected link grants access for this long
+const ACCESS_TOKEN_TTL = '15m';
+
+const MIN_PASSWORD_LENGTH = 4;
+
+// A share link that can't be used or configured; carries the HTTP status to answer with
+class ShareLinkError extends Error {
+  constructor(message, status = 400, reason = null) {
+    super(message);
+    this.name = 'ShareLinkError';
+    this.status = status;
+    // Machine-readable cause for clients: 'expired', 'password', 'limit'
+    this.reason = reason;
+  }
+}
+
+// Ties access tokens to the current password, so changing it locks out
+// everyone who unlocked the link with the old one
+const passwordFingerprint = (passwordHash) => (
+  crypto.createHash('sha256').update(passwordHash).digest('hex').slice(0, 16)
+);
+
+// Share links are tokens like the items' own shareToken
+const generateLinkToken = () => crypto.randomBytes(16).toString('hex');
+
+/**
+ * Find the file or folder a share token opens: one of its ShareLinks that
+ * hasn't been revoked, or else the item's own shareToken
+ * @param {Model} Model - File or Folder
+ * @param {String} token - Token from the share URL
+ * @returns {Promise<Object|null>} - { item, link, token, shareLink } where
+ *   link holds the expiry, password and download settings and shareLink is
+ *   the ShareLink the token belongs to (null for the item's own link)
+ */
+const findShare = async (Model, token) => {
+  if (typeof token !== 'string' || !token) return null;
+
+  const shareLink = await ShareLink.findOne({
+    token,
+    itemType: Model.modelName,
+    revokedAt: null
+  }).select('+passwordHash');
+
+  if (shareLink) {
+    const item = await Model.findOne({ _id: shareLink.item, isDeleted: false });
+    return item ? { item, link: shareLink, token, shareLink } : null;
+  }
+
+  const item = await Model.findOne({
+    shareToken: token,
+    isShared: true,
+    isDeleted: false
+  }).select('+shareSettings.link.passwordHash');
+
+  return item ? { item, link: item.shareSettings.link, token, shareLink: null } : null;
+};
+
+/**
+ * Work out how someone opening a share link gets access to the item
+ * @param {Object} share - Result of findShare() (the item's owner may be populated)
+ * @param {User|null} user - Signed-in visitor, if any
+ * @returns {Object|null} - { permission, viaLink, canDownload } where viaLink
+ *   means only the link grants access (so its limits apply), or null for no access
+ */
+const resolveLinkVisitor = ({ item, shareLink }, user) => {
+  const idOf = (ref) => (ref && ref._id ? ref._id : ref);
+
+  if (user && idOf(item.owner).equals(user._id)) {
+    return { permission: 'owner', viaLink: false, canDownload: true };
+  }
+
+  const entry = user && item.shareSettings.sharedWith.find(shared => idOf(shared.user).equals(user._id));
+  if (entry) {
+    return { permission: entry.permission, viaLink: false, canDownload: true };
+  }
+
+  // A ShareLink opens the item by itself; the item's own link only while it's public
+  if (shareLink) {
+    return { permission: 'read', viaLink: true, canDownload: shareLink.role === 'downloader' };
+  }
+  return item.shareSettings.isPublic ? { permission: 'read', viaLink: true, canDownload: true } : null;
+};
+
+/**
+ * Apply link options from a share request to a link's settings. Options left
+ * out keep their current value.
+ * @param {Object} link - An item's shareSettings.link, or a ShareLink
+ * @param {Object} options - { expiresIn, password, maxDownloads } where
+ *   expiresIn is a key of expiryPresets, an empty password removes it and a
+ *   null maxDownloads removes the limit
+ * @returns {Promise<void>}
+ * @throws {ShareLinkError}
+ */
+const applyLinkOptions = async (link, { expiresIn, password, maxDownloads } = {}) => {
+  if (expiresIn !== undefined) {
+    if (!Object.prototype.hasOwnProperty.call(expiryPresets, expiresIn)) {
+      throw new ShareLinkError(`Invalid expiration time. Must be one of: ${Object.keys(expiryPresets).join(', ')}`);
+    }
+    const duration = expiryPresets[expiresIn];
+    link.expiresAt = duration ? new Date(Date.now() + duration) : null;
+  }
+
+  if (password !== undefined) {
+    if (password === null || password === '') {
+      link.passwordHash = null;
+    } else if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new ShareLinkError(`Link password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    } else {
+      link.passwordHash = await bcrypt.hash(password, 10);
+    }
+  }
+
+  if (maxDownloads !== undefined) {
+    if (maxDownloads !== null && (!Number.isInteger(maxDownloads) || maxDownloads < 1)) {
+      throw new ShareLinkError('Maximum downloads must be a positive whole number');
+    }
+    // A new limit starts counting from zero
+    link.maxDownloads = maxDownloads;
+    link.downloads = 0;
+  }
+};
+
+// Forget every link setting, for when the link itself goes away
+const clearLinkOptions = (item) => {
+  item.shareSettings.link = { expiresAt: null, passwordHash: null, maxDownloads: null, downloads: 0 };
+};
+
+/**
+ * Shape link settings for API responses (never the password hash)
+ * @param {Object} link - An item's shareSettings.link, or a ShareLink
+ * @returns {Object} - { expiresAt, hasPassword, maxDownloads, downloads }
+ */
+const formatLinkOptions = (link) => ({
+  expiresAt: (link && link.expiresAt) || null,
+  hasPassword: Boolean(link && link.passwordHash),
+  maxDownloads: (link && link.maxDownloads) || null,
+  downloads: (link && link.downloads) || 0
+});
+
+// An item's share settings for API responses, with the link settings
+// formatted so the password hash never leaves the server
+const formatShareSettings = ({ shareSettings }) => ({
+  isPublic: shareSettings.isPublic,
+  sharedWith: shareSettings.sharedWith,
+  link: formatLinkOptions(shareSettings.link)
+});
+
+/**
+ * Shape a ShareLink for its item's owner
+ * @param {ShareLink} shareLink
+ * @returns {Object}
+ */
+const formatShareLink = (shareLink) => ({
+  id: shareLink._id,
+  label: shareLink.label,
+  role: shareLink.role,
+  token: shareLink.token,
+  shareUrl: `${process.env.FRONTEND_URL}/shared/${shareLink.token}`,
+  ...formatLinkOptions(shareLink),
+  isActive: shareLink.isActive,
+  createdBy: shareLink.createdBy,
+  createdAt: shareLink.createdAt,
+  revokedAt: shareLink.revokedAt,
+  revokedBy: shareLink.revokedBy
+});
+
+/**
+ * What someone opening a link is told about it
+ * @param {Object} share - Result of findShare()
+ * @returns {Object} - { label, role, expiresAt, hasPassword, downloadsLeft }
+ */
+const formatVisitorLink = ({ link, shareLink }) => {
+  const { expiresAt, hasPassword, maxDownloads, downloads } = formatLinkOptions(link);
+  return {
+    label: shareLink ? shareLink.label : null,
+    role: shareLink ? shareLink.role : 'downloader',
+    expiresAt,
+    hasPassword,
+    downloadsLeft: maxDownloads ? Math.max(0, maxDownloads - downloads) : null
+  };
+};
+
+/**
+ * Thumbnail URLs for a file seen through a share link. They point at the
+ * share's own routes rather than storage, so they stop working with the link.
+ * @param {Object} file - File document
+ * @param {String} basePath - The file's URL under the share, e.g. /api/files/shared/:token
+ * @returns {Object} - { thumbnailUrl, thumbnails } with a URL per stored size
+ */
+const formatSharedThumbnails = (file, basePath) => {
+  const thumbnails = {};
+  for (const size of file.getThumbnailSizes()) {
+    thumbnails[size] = `${basePath}/thumbnails/${size}`;
+  }
+  return { thumbnailUrl: thumbnails.medium || null, thumbnails };
+};
+
+/**
+ * Check that a share link can be used by someone who only has the link
+ * (not the owner or someone it was shared with by email)
+ * @param {Object} share - Result of findShare()
+ * @param {String} accessToken - From unlockLink(), for password-protected links
+ * @param {Object} options - { download } to also require downloads left
+ * @throws {ShareLinkError} - 410 when expired or used up, 401 when locked
+ */
+const checkLinkAccess = ({ link, token }, accessToken, { download = false } = {}) => {
+  link = link || {};
+
+  if (link.expiresAt && link.expiresAt <= new Date()) {
+    throw new ShareLinkError('This link has expired', 410, 'expired');
+  }
+
+  if (link.passwordHash) {
+    let payload = null;
+    try {
+      payload = accessToken ? jwt.verify(accessToken, process.env.JWT_SECRET) : null;
+    } catch (error) {
+      payload = null;
+    }
+
+    const valid = payload
+      && payload.purpose === 'share-access'
+      && payload.share === token
+      && payload.password === passwordFingerprint(link.passwordHash);
+    if (!valid) {
+      throw new ShareLinkError('This link is password protected', 401, 'password');
+    }
+  }
+
+  if (download && link.maxDownloads && link.downloads >= link.maxDownloads) {
+    throw new ShareLinkError('This link has reached its download limit', 410, 'limit');
+  }
+};
+
+/**
+ * Trade a share link's password for a short-lived access token
+ * @param {Object} share - Result of findShare()
+ * @param {String} password - Password the visitor entered
+ * @returns {Promise<Object>} - { accessToken, expiresIn }
+ * @throws {ShareLinkError}
+ */
+const unlockLink = async ({ link, token }, password) => {
+  link = link || {};
+
+  if (link.expiresAt && link.expiresAt <= new Date()) {
+    throw new ShareLinkError('This link has expired', 410, 'expired');
+  }
+  if (!link.passwordHash) {
+    throw new ShareLinkError('This link is not password protected');
+  }
+  if (typeof password !== 'string' || !(await bcrypt.compare(password, link.passwordHash))) {
+    throw new ShareLinkError('Incorrect password', 401, 'password');
+  }
+
+  const accessToken = jwt.sign({
+    purpose: 'share-access',
+    share: token,
+    password: passwordFingerprint(link.passwordHash)
+  }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+  return { accessToken, expiresIn: ACCESS_TOKEN_TTL };
+};
+
+/**
+ * Count a download through a share link, unless it has none left
+ * @param {Object} share - Result of findShare()
+ * @returns {Promise<Boolean>} - false when the limit was reached meanwhile
+ */
+const recordLinkDownload = async ({ item, link, shareLink }) => {
+  const { maxDownloads } = link || {};
+
+  if (shareLink) {
+    const result = await ShareLink.updateOne(
+      {
+        _id: shareLink._id,
+        ...(maxDownloads ? { downloads: { $lt: maxDownloads } } : {})
+      },
+      { $inc: { downloads: 1 } },
+      { timestamps: false }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  const result = await item.constructor.updateOne(
+    {
+      _id: item._id,
+      ...(maxDownloads ? { 'shareSettings.link.downloads': { $lt: maxDownloads } } : {})
+    },
+    { $inc: { 'shareSettings.link.downloads': 1 } },
+    { timestamps: false }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Let someone who only has the link receive the item's bytes. The link needs
+ * downloads left for any part of the file, not just the start, so ranges
+ * can't be used to read it past the limit; only a transfer from the first
+ * byte uses a download up.
+ * @param {Object} share - Result of findShare()
+ * @param {String} accessToken - From unlockLink(), for password-protected links
+ * @param {Object} options - { count } when this transfer counts as a download
+ * @throws {ShareLinkError}
+ */
+const claimLinkDownload = async (share, accessToken, { count }) => {
+  checkLinkAccess(share, accessToken, { download: true });
+
+  // Someone else may have used up the last download meanwhile
+  if (count && !(await recordLinkDownload(share))) {
+    throw new ShareLinkError('This link has reached its download limit', 410, 'limit');
+  }
+};
+
+// Access token a visitor sends with requests for a password-protected link
+const getAccessToken = (req) => req.get('X-Share-Access-Token') || req.query.accessToken || null;
+
+// Send a ShareLinkError the way the share endpoints answer
+const sendShareLinkError = (res, error) => res.status(error.status).json({
+  success: false,
+  message: error.message,
+  ...(error.reason && { reason: error.reason })
+});
+
+module.exports = {
+  ShareLinkError,
+  expiryPresets,
+  generateLinkToken,
+  findShare,
+  resolveLinkVisitor,
+  applyLinkOptions,
+  clearLinkOptions,
+  formatLinkOptions,
+  formatShareSettings,
+  formatShareLink,
+  formatVisitorLink,
+  formatSharedThumbnails,
+  checkLinkAccess,
+  unlockLink,
+  recordLinkDownload,
+  claimLinkDownload,
+  getAccessToken,
+  sendShareLinkError
+};
@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const FileVersion = require('../models/FileVersion');
+const Folder = require('../models/Folder');
+const UsageSnapshot = require('../models/UsageSnapshot');
+const { categorize } = require('./mimeCategories');
+
+const DAY = 24 * 60 * 60 * 1000;
+const LARGEST_FILES = 50;
+
+// Midnight UTC of the day a date falls on
+const startOfDay = (date) => new Date(Math.floor(date.getTime() / DAY) * DAY);
+
+// Sorted { ...key, size, count } list from a Map of id => { ...key, size, count }
+const bySize = (totals) => [...totals.values()].sort((a, b) => b.size - a.size);
+
+const addTo = (totals, id, key, size) => {
+  if (!totals.has(id)) {
+    totals.set(id, { ...key, size: 0, count: 0 });
+  }
+  const total = totals.get(id);
+  total.size += size;
+  total.count += 1;
+};
+
+/**
+ * Break a user's storage down by what uses it. Each file counts with its
+ * version history. The category and folder breakdowns cover live files;
+ * trashed ones are only counted under `trash` since they are going away.
+ * @param {ObjectId} userId - Owner of the storage
+ * @returns {Promise<Object>} - { live, trash, versions, byCategory, byFolder, largestFiles }
+ */
+const summarizeUsage = async (userId) => {
+  const owner = new mongoose.Types.ObjectId(userId);
+
+  const [files, versionTotals, folders] = await Promise.all([
+    File.find({ owner }).select('name mimeType size folder isDeleted updatedAt').lean(),
+    FileVersion.aggregate([
+      { $match: { owner } },
+      { $group: { _id: '$file', size: { $sum: '$size' }, count: { $sum: 1 } } }
+    ]),
+    Folder.find({ owner, isDeleted: false }).select('name parent').lean()
+  ]);
+
+  const versionSizes = new Map(versionTotals.map(total => [String(total._id), total.size]));
+  const foldersById = new Map(folders.map(folder => [String(folder._id), folder]));
+
+  // Each folder's top-level ancestor, worked out once per folder
+  const topLevel = new Map();
+  const topLevelOf = (folderId) => {
+    if (!folderId) return null;
+    const id = String(folderId);
+    if (!topLevel.has(id)) {
+      const folder = foldersById.get(id);
+      topLevel.set(id, folder && folder.parent && foldersById.has(String(folder.parent))
+        ? topLevelOf(folder.parent)
+        : folder || null);
+    }
+    return topLevel.get(id);
+  };
+
+  const summary = {
+    live: { size: 0, count: 0 },
+    trash: { size: 0, count: 0 },
+    versions: { size: 0, count: versionTotals.reduce((count, total) => count + total.count, 0) }
+  };
+  const categories = new Map();
+  const topFolders = new Map();
+  const live = [];
+
+  for (const file of files) {
+    const versionSize = versionSizes.get(String(file._id)) || 0;
+    const size = file.size + versionSize;
+    summary.versions.size += versionSize;
+
+    if (file.isDeleted) {
+      summary.trash.size += size;
+      summary.trash.count += 1;
+      continue;
+    }
+
+    summary.live.size += size;
+    summary.live.count += 1;
+    live.push({ ...file, versionSize });
+
+    const category = categorize(file.mimeType);
+    addTo(categories, category, { category }, size);
+
+    const top = topLevelOf(file.folder);
+    addTo(
+      topFolders,
+      top ? String(top._id) : 'root',
+      { folder: top ? { id: top._id, name: top.name } : null },
+      size
+    );
+  }
+
+  return {
+    ...summary,
+    byCategory: bySize(categories),
+    byFolder: bySize(topFolders),
+    largestFiles: live
+      .sort((a, b) => b.size - a.size)
+      .slice(0, LARGEST_FILES)
+      .map(file => ({
+        id: file._id,
+        name: file.name,
+        mimeType: file.mimeType,
+        size: file.size,
+        versionSize: file.versionSize,
+        folder: file.folder,
+        updatedAt: file.updatedAt
+      }))
+  };
+};
+
+/**
+ * Record today's storage usage of a user for the usage history
+ * @param {ObjectId} userId - User to snapshot
+ * @param {Date} now - Current time
+ * @returns {Promise<UsageSnapshot>}
+ */
+const snapshotUsage = async (userId, now = new Date()) => {
+  const [all, live] = await Promise.all([
+    File.getUserStorageUsage(userId, { includeDeleted: true }),
+    File.getUserStorageUsage(userId)
+  ]);
+
+  return UsageSnapshot.findOneAndUpdate(
+    { user: userId, day: startOfDay(now) },
+    {
+      totalSize: all.totalSize,
+      trashSize: all.totalSize - live.totalSize,
+      versionSize: all.versionSize,
+      fileCount: all.totalFiles
+    },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Get a user's daily usage for the last few days, oldest first
+ * @param {ObjectId} userId - User whose history to get
+ * @param {Number} days - How many days back, today included
+ * @param {Date} now - Current time
+ * @returns {Promise<Array>} - [{ date, totalSize, trashSize, versionSize, fileCount }];
+ *   days without a snapshot are left out
+ */
+const getUsageHistory = async (userId, days, now = new Date()) => {
+  const snapshots = await UsageSnapshot.find({
+    user: userId,
+    day: { $gte: new Date(startOfDay(now).getTime() - (days - 1) * DAY) }
+  }).sort({ day: 1 });
+
+  return snapshots.map(snapshot => ({
+    date: snapshot.day.toISOString().slice(0, 10),
+    totalSize: snapshot.totalSize,
+    trashSize: snapshot.trashSize,
+    versionSize: snapshot.versionSize,
+    fileCount: snapshot.fileCount
+  }));
+};
+
+module.exports = {
+  summarizeUsage,
+  snapshotUsage,
+  getUsageHistory
+};
@@ -0,0 +1,175 @@
+const Blob = require('../models/Blob');
+const File = require('../models/File');
+const FileVersion = require('../models/FileVersion');
+const User = require('../models/User');
+const storageConfig = require('../config/storage');
+const { getStorage } = require('../storage');
+
+// Orphans and missing objects listed per user in a report; the counts are always complete
+const REPORT_LIMIT = 100;
+
+const objectId = (storageProvider, storageKey) => `${storageProvider}:${storageKey}`;
+
+/**
+ * Compare what is stored under a user's prefix in each storage backend with
+ * what the database refers to: blobs, files, past versions and thumbnails.
+ * Objects nothing refers to are orphans; referenced objects that aren't
+ * stored are missing. Objects stored outside the prefix (written before
+ * prefixes were used) are only checked for being missing.
+ * @param {ObjectId} userId - User whose storage is checked
+ * @param {Object} options - { apply, now } where apply deletes orphans past
+ *   the grace period; otherwise nothing is changed
+ * @returns {Promise<Object>} - { userId, scanned, orphans, orphanCount,
+ *   orphanBytes, missing, missingCount, deleted, freedBytes, errors }
+ */
+const reconcileUserStorage = async (userId, { apply = false, now = new Date() } = {}) => {
+  // Referenced objects by provider and key, with what refers to them
+  const referenced = new Map();
+  const addReference = (storageProvider, storageKey, type, id) => {
+    if (!storageProvider || !storageKey) return;
+
+    const key = objectId(storageProvider, storageKey);
+    if (!referenced.has(key)) {
+      referenced.set(key, { storageProvider, storageKey, references: [] });
+    }
+    referenced.get(key).references.push({ type, id });
+  };
+
+  const [blobs, files, versions] = await Promise.all([
+    Blob.find({ owner: userId }).select('storageProvider storageKey').lean(),
+    File.find({ owner: userId }).select('storageProvider storageKey thumbnails').lean(),
+    FileVersion.find({ owner: userId }).select('file storageProvider storageKey').lean()
+  ]);
+  blobs.forEach(blob => addReference(blob.storageProvider, blob.storageKey, 'blob', blob._id));
+  files.forEach((file) => {
+    addReference(file.storageProvider, file.storageKey, 'file', file._id);
+    (file.thumbnails || []).forEach(thumbnail => (
+      addReference(thumbnail.storageProvider, thumbnail.storageKey, 'thumbnail', file._id)
+    ));
+  });
+  versions.forEach(version => addReference(version.storageProvider, version.storageKey, 'version', version.file));
+
+  const report = {
+    userId,
+    scanned: 0,
+    orphans: [],
+    orphanCount: 0,
+    orphanBytes: 0,
+    missing: [],
+    missingCount: 0,
+    deleted: 0,
+    freedBytes: 0,
+    errors: []
+  };
+  const cutoff = new Date(now.getTime() - storageConfig.orphanGracePeriodHours * 60 * 60 * 1000);
+  const providers = new Set([storageConfig.driver, ...[...referenced.values()].map(ref => ref.storageProvider)]);
+  const seen = new Set();
+
+  for (const provider of providers) {
+    let storage;
+    try {
+      storage = getStorage(provider);
+
+      for await (const object of storage.list(userId.toString())) {
+        report.scanned += 1;
+        if (referenced.has(objectId(provider, object.key))) {
+          seen.add(objectId(provider, object.key));
+          continue;
+        }
+
+        const expired = object.lastModified < cutoff;
+        report.orphanCount += 1;
+        report.orphanBytes += object.size || 0;
+        if (report.orphans.length < REPORT_LIMIT) {
+          report.orphans.push({
+            storageProvider: provider,
+            storageKey: object.key,
+            size: object.size,
+            lastModified: object.lastModified,
+            expired
+          });
+        }
+
+        if (apply && expired) {
+          try {
+            await storage.delete(object.key);
+            report.deleted += 1;
+            report.freedBytes += object.size || 0;
+          } catch (error) {
+            report.errors.push({ storageProvider: provider, storageKey: object.key, message: error.message });
+          }
+        }
+      }
+    } catch (error) {
+      // Without a complete listing nothing can be said about this provider
+      report.errors.push({ storageProvider: provider, message: error.message });
+      for (const [id, ref] of referenced) {
+        if (ref.storageProvider === provider) seen.add(id);
+      }
+      continue;
+    }
+
+    // Referenced objects the listing didn't show may live outside the prefix
+    for (const [id, ref] of referenced) {
+      if (ref.storageProvider !== provider || seen.has(id)) continue;
+
+      try {
+        if (await storage.exists(ref.storageKey)) continue;
+      } catch (error) {
+        report.errors.push({ storageProvider: provider, storageKey: ref.storageKey, message: error.message });
+        continue;
+      }
+
+      report.missingCount += 1;
+      if (report.missing.length < REPORT_LIMIT) {
+        report.missing.push(ref);
+      }
+    }
+  }
+
+  return report;
+};
+
+/**
+ * Reconcile the storage of some users, or of everyone
+ * @param {Object} options - { userIds, apply, operation } where userIds
+ *   defaults to all users and operation, if given, records progress per user
+ * @returns {Promise<Object>} - Totals, plus the reports of users with orphans,
+ *   missing objects or errors
+ */
+const reconcileStorage = async ({ userIds, apply = false, operation } = {}) => {
+  const users = userIds || await User.find().distinct('_id');
+  const summary = {
+    apply,
+    users: users.length,
+    scanned: 0,
+    orphanCount: 0,
+    orphanBytes: 0,
+    missingCount: 0,
+    deleted: 0,
+    freedBytes: 0,
+    errorCount: 0,
+    reports: []
+  };
+
+  for (const userId of users) {
+    const report = await reconcileUserStorage(userId, { apply });
+
+    for (const field of ['scanned', 'orphanCount', 'orphanBytes', 'missingCount', 'deleted', 'freedBytes']) {
+      summary[field] += report[field];
+    }
+    summary.errorCount += report.errors.length;
+    if (report.orphanCount || report.missingCount || report.errors.length) {
+      summary.reports.push(report);
+    }
+
+    if (operation) await operation.advance(1);
+  }
+
+  return summary;
+};
+
+module.exports = {
+  reconcileUserStorage,
+  reconcileStorage
+};
@@ -0,0 +1,121 @@
+const User = require('../models/User');
+const UploadSession = require('../models/UploadSession');
+const UsageLedger = require('../models/UsageLedger');
+
+// Not enough room left in the user's storage; carries the HTTP status to answer with
+class StorageQuotaError extends Error {
+  constructor(message, { required = null, available = 0 } = {}) {
+    super(message);
+    this.name = 'StorageQuotaError';
+    this.code = 'QUOTA_EXCEEDED';
+    this.status = 413;
+    this.required = required;
+    this.available = available;
+  }
+}
+
+// Bytes of multipart uploads that are stored but not recorded on a File yet,
+// by user id. Like the upload session locks, this only covers this process.
+const held = new Map();
+
+/**
+ * Change a user's storage usage and record why in the usage ledger
+ * @param {ObjectId} userId - User whose storage changes
+ * @param {Number} delta - Bytes added (positive) or freed (negative)
+ * @param {Object} details - { reason, file } for the ledger entry, and
+ *   release, the holdStorage() release for bytes this change now accounts for
+ * @returns {Promise<Number|null>} - storageUsed after the change
+ */
+const adjustStorage = async (userId, delta, { reason, file = null, release = null }) => {
+  if (!delta) {
+    if (release) release();
+    return null;
+  }
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { storageUsed: delta } },
+    { new: true }
+  ).select('storageUsed');
+  // From here the bytes are in storageUsed; holding them too would count them twice
+  if (release) release();
+
+  const balance = user ? user.storageUsed : null;
+
+  await UsageLedger.create({ user: userId, delta, reason, file, balance });
+  return balance;
+};
+
+/**
+ * Work out how much room a user has left. Active resumable upload sessions
+ * reserve their full declared size, and stored multipart uploads hold theirs
+ * until the request that sent them is done.
+ * @param {ObjectId} userId - User to check
+ * @returns {Promise<Object>} - { limit, used, reserved, available } in bytes
+ */
+const getStorageQuota = async (userId) => {
+  const user = await User.findById(userId).select('storageUsed storageLimit');
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const [sessions] = await UploadSession.aggregate([
+    { $match: { owner: user._id, expiresAt: { $gt: new Date() } } },
+    { $group: { _id: null, total: { $sum: '$size' } } }
+  ]);
+  const reserved = (sessions ? sessions.total : 0) + (held.get(user._id.toString()) || 0);
+
+  return {
+    limit: user.storageLimit,
+    used: user.storageUsed,
+    reserved,
+    available: Math.max(0, user.storageLimit - user.storageUsed - reserved)
+  };
+};
+
+/**
+ * Make sure a user has room for more bytes
+ * @param {ObjectId} userId - User to check
+ * @param {Number} bytes - Bytes about to be added
+ * @returns {Promise<Object>} - The user's quota, from getStorageQuota()
+ * @throws {StorageQuotaError}
+ */
+const assertStorageAvailable = async (userId, bytes) => {
+  const quota = await getStorageQuota(userId);
+  if (bytes > quota.available) {
+    throw new StorageQuotaError('Not enough storage space', { required: bytes, available: quota.available });
+  }
+  return quota;
+};
+
+/**
+ * Count bytes against a user's quota until they are recorded on a File
+ * @param {ObjectId} userId - User the bytes belong to
+ * @param {Number} bytes - Bytes to hold
+ * @returns {Function} - Call to let go of them; calling again does nothing
+ */
+const holdStorage = (userId, bytes) => {
+  const key = userId.toString();
+  held.set(key, (held.get(key) || 0) + bytes);
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+
+    const remaining = held.get(key) - bytes;
+    if (remaining > 0) {
+      held.set(key, remaining);
+    } else {
+      held.delete(key);
+    }
+  };
+};
+
+module.exports = {
+  StorageQuotaError,
+  adjustStorage,
+  getStorageQuota,
+  assertStorageAvailable,
+  holdStorage
+};
@@ -0,0 +1,190 @@
+const File = require('../models/File');
+const Folder = require('../models/Folder');
+const { escapeRegex } = require('./validation');
+
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS_PER_ITEM = 30;
+
+// Invalid tag input; carries the HTTP status to answer with
+class TagError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TagError';
+    this.status = status;
+  }
+}
+
+// Tags saved before they were normalized may differ in case
+const tagPattern = (tag) => new RegExp(`^${escapeRegex(tag)}$`, 'i');
+
+/**
+ * Normalize a tag: trimmed, inner whitespace collapsed and lowercased, so
+ * "Invoice " and "invoice" are the same tag
+ * @param {String} tag
+ * @returns {String}
+ * @throws {TagError}
+ */
+const normalizeTag = (tag) => {
+  if (typeof tag !== 'string') {
+    throw new TagError('Tags must be strings');
+  }
+
+  const normalized = tag.trim().replace(/\s+/g, ' ').toLowerCase();
+  if (!normalized) {
+    throw new TagError('Tags cannot be empty');
+  }
+  if (normalized.length > MAX_TAG_LENGTH) {
+    throw new TagError(`Tags cannot be more than ${MAX_TAG_LENGTH} characters`);
+  }
+  if (/[\u0000-\u001f]/.test(normalized)) {
+    throw new TagError('Tags cannot contain control characters');
+  }
+
+  return normalized;
+};
+
+/**
+ * Normalize a list of tags, dropping duplicates
+ * @param {*} tags - Should be an array of strings; a single string is accepted
+ * @returns {String[]}
+ * @throws {TagError}
+ */
+const normalizeTags = (tags) => {
+  if (tags === undefined || tags === null) return [];
+  if (typeof tags === 'string') tags = [tags];
+  if (!Array.isArray(tags)) {
+    throw new TagError('Tags must be an array of strings');
+  }
+  return [...new Set(tags.map(normalizeTag))];
+};
+
+/**
+ * Add and remove tags on a set of files and folders the user may write to.
+ * Nothing is changed unless every item is found and stays within the tag limit.
+ * @param {Object} items - { fileIds, folderIds }
+ * @param {Object} changes - { add, remove } normalized tags
+ * @param {ObjectId} userId - User making the change
+ * @returns {Promise<Object>} - { files, folders } updated documents
+ * @throws {TagError}
+ */
+const updateTags = async ({ fileIds = [], folderIds = [] }, { add = [], remove = [] }, userId) => {
+  const files = await Promise.all(fileIds.map(id => File.findAccessibleBy(id, userId, { write: true })));
+  const folders = await Promise.all(folderIds.map(id => Folder.findAccessibleBy(id, userId, { write: true })));
+
+  if (files.includes(null) || folders.includes(null)) {
+    throw new TagError('One or more items were not found or access denied', 404);
+  }
+
+  for (const item of [...files, ...folders]) {
+    const tags = new Set((item.tags || []).map(tag => tag.toLowerCase()));
+    add.forEach(tag => tags.add(tag));
+    remove.forEach(tag => tags.delete(tag));
+    if (tags.size > MAX_TAGS_PER_ITEM) {
+      throw new TagError(`"${item.name}" would have more than ${MAX_TAGS_PER_ITEM} tags`);
+    }
+  }
+
+  for (const item of [...files, ...folders]) {
+    // Older tags may not be normalized yet; "Invoice" goes away with "invoice"
+    item.tags = (item.tags || []).filter(tag => !remove.includes(tag.toLowerCase()));
+    for (const tag of add) {
+      if (!item.tags.some(existing => existing.toLowerCase() === tag)) item.tags.push(tag);
+    }
+    await item.save();
+  }
+
+  return { files, folders };
+};
+
+// Owned, live items carrying each tag, per model
+const countTags = async (Model, match) => Model.aggregate([
+  { $match: match },
+  { $unwind: '$tags' },
+  { $group: { _id: { $toLower: '$tags' }, count: { $sum: 1 } } }
+]);
+
+/**
+ * Count how often each of a user's tags is used on their files and folders
+ * @param {ObjectId} userId - Owner
+ * @param {String} prefix - Only tags starting with this (optional)
+ * @returns {Promise<Array>} - [{ name, count, files, folders }], most used first
+ */
+const getTagCounts = async (userId, prefix = '') => {
+  const match = { owner: userId, isDeleted: false };
+  if (prefix) {
+    match.tags = new RegExp(`^${escapeRegex(prefix)}`, 'i');
+  }
+
+  const [fileCounts, folderCounts] = await Promise.all([countTags(File, match), countTags(Folder, match)]);
+
+  const tags = new Map();
+  const entry = (name) => {
+    if (!tags.has(name)) tags.set(name, { name, count: 0, files: 0, folders: 0 });
+    return tags.get(name);
+  };
+  fileCounts.forEach(({ _id, count }) => { entry(_id).files += count; });
+  folderCounts.forEach(({ _id, count }) => { entry(_id).folders += count; });
+
+  return [...tags.values()]
+    // $unwind keeps every tag of a matching item; drop the ones not asked for
+    .filter(tag => tag.name.startsWith(prefix.toLowerCase()))
+    .map(tag => ({ ...tag, count: tag.files + tag.folders }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+};
+
+/**
+ * Rename a tag on all of a user's files and folders. Renaming onto a tag that
+ * is already in use merges the two.
+ * @param {ObjectId} userId - Owner
+ * @param {String} from - Normalized current name
+ * @param {String} to - Normalized new name
+ * @returns {Promise<Object>} - { files, folders, merged } counts of changed items
+ *   and whether the new name was already in use
+ */
+const renameTag = async (userId, from, to) => {
+  const owned = { owner: userId };
+
+  const merged = (await File.exists({ ...owned, tags: tagPattern(to) })) !== null ||
+    (await Folder.exists({ ...owned, tags: tagPattern(to) })) !== null;
+
+  const counts = {};
+  for (const [key, Model] of [['files', File], ['folders', Folder]]) {
+    // Add the new name first so no item is left without the tag in between
+    const result = await Model.updateMany(
+      { ...owned, tags: tagPattern(from) },
+      { $addToSet: { tags: to } }
+    );
+    await Model.updateMany(
+      { ...owned, tags: tagPattern(from) },
+      { $pull: { tags: tagPattern(from) } }
+    );
+    counts[key] = result.matchedCount;
+  }
+
+  return { ...counts, merged };
+};
+
+/**
+ * Remove a tag from all of a user's files and folders
+ * @param {ObjectId} userId - Owner
+ * @param {String} tag - Normalized tag
+ * @returns {Promise<Object>} - { files, folders } counts of changed items
+ */
+const deleteTag = async (userId, tag) => {
+  const [files, folders] = await Promise.all([File, Folder].map(Model =>
+    Model.updateMany({ owner: userId, tags: tagPattern(tag) }, { $pull: { tags: tagPattern(tag) } })
+  ));
+
+  return { files: files.modifiedCount, folders: folders.modifiedCount };
+};
+
+module.exports = {
+  MAX_TAGS_PER_ITEM,
+  TagError,
+  normalizeTag,
+  normalizeTags,
+  updateTags,
+  getTagCounts,
+  renameTag,
+  deleteTag
+};
@@ -0,0 +1,119 @@
+const JSZip = require('jszip');
+const { PDFParse } = require('pdf-parse');
+const searchConfig = require('../config/search');
+
+const plainTextTypes = ['text/plain', 'text/csv', 'application/json', 'text/xml', 'application/xml'];
+
+// Parts of an OpenXML package that hold the document's text
+const officeTextParts = {
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
+    name => /^word\/(document|header\d*|footer\d*|footnotes|endnotes)\.xml$/.test(name),
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet':
+    // Cell text lives in the shared string table; the sheets only point into it
+    name => name === 'xl/sharedStrings.xml',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation':
+    name => /^ppt\/(slides\/slide|notesSlides\/notesSlide)\d+\.xml$/.test(name)
+};
+
+const isExtractable = (mimeType) =>
+  plainTextTypes.includes(mimeType) || mimeType === 'application/pdf' || !!officeTextParts[mimeType];
+
+const decodeEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+  .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&amp;/g, '&');
+
+// Turn WordprocessingML/DrawingML/SpreadsheetML markup into plain text,
+// keeping paragraph and string boundaries as line breaks
+const xmlToText = (xml) => decodeEntities(xml
+  .replace(/<(w:p|a:p|si)\b[^>]*\/?>/g, '\n')
+  .replace(/<(w:tab|w:br)\b[^>]*\/?>/g, ' ')
+  .replace(/<[^>]+>/g, ''));
+
+const extractionLimitError = () => {
+  const error = new Error('Document expands beyond the extraction limit');
+  error.code = 'EXTRACTION_LIMIT_EXCEEDED';
+  return error;
+};
+
+// Decompress one zip entry, charging its output to the budget shared by the
+// whole document and giving up once that runs out. The sizes the archive
+// declares can't be trusted, so bytes are counted as they are inflated.
+const readZipEntry = (entry, budget) => new Promise((resolve, reject) => {
+  const chunks = [];
+
+  const stream = entry.internalStream('uint8array');
+  stream
+    .on('data', (chunk) => {
+      budget.remaining -= chunk.length;
+      if (budget.remaining < 0) {
+        stream.pause();
+        return reject(extractionLimitError());
+      }
+      chunks.push(Buffer.from(chunk));
+    })
+    .on('error', reject)
+    .on('end', () => resolve(Buffer.concat(chunks).toString('utf8')))
+    .resume();
+});
+
+const extractOfficeText = async (buffer, isTextPart) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const parts = Object.keys(zip.files)
+    .filter(isTextPart)
+    // slide2 before slide10
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+  const budget = { remaining: searchConfig.maxExtractedPartsSize };
+  const texts = [];
+  for (const name of parts) {
+    const xml = await readZipEntry(zip.file(name), budget);
+    texts.push(xmlToText(xml));
+  }
+  return texts.join('\n');
+};
+
+const extractPdfText = async (buffer) => {
+  const parser = new PDFParse({ data: new Uint8Array(buffer) });
+  try {
+    const { text } = await parser.getText({ pageJoiner: '' });
+    return text;
+  } finally {
+    await parser.destroy();
+  }
+};
+
+/**
+ * Pull the searchable text out of a document
+ * @param {Buffer} buffer - File contents
+ * @param {String} mimeType - Declared type of the file
+ * @returns {Promise<String|null>} - Text with whitespace collapsed, or null
+ *   when the type is not supported
+ */
+const extractText = async (buffer, mimeType) => {
+  let text;
+
+  if (plainTextTypes.includes(mimeType)) {
+    text = buffer.toString('utf8');
+  } else if (mimeType === 'application/pdf') {
+    text = await extractPdfText(buffer);
+  } else if (officeTextParts[mimeType]) {
+    text = await extractOfficeText(buffer, officeTextParts[mimeType]);
+  } else {
+    return null;
+  }
+
+  return text
+    .replace(/[ \t\r\f\v]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+};
+
+module.exports = {
+  isExtractable,
+  extractText
+};
@@ -0,0 +1,110 @@
+const sharp = require('sharp');
+const File = require('../models/File');
+const uploadConfig = require('../config/uploads');
+const { getStorage } = require('../storage');
+const { deleteObject } = require('./blobStore');
+const { createBackgroundQueue } = require('./backgroundQueue');
+
+// Formats sharp can decode; PDFs are previewed by the storage backend instead
+const thumbnailTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'image/svg+xml'];
+
+const canGenerateThumbnails = (file) =>
+  thumbnailTypes.includes(file.mimeType) && file.size <= uploadConfig.maxThumbnailSourceSize;
+
+/**
+ * Render every configured thumbnail size from an image stream. The image is
+ * decoded once and each size is resized from that; thumbnails are WebP.
+ * @param {Readable} source - Original image
+ * @returns {Promise<Array>} - [{ size, width, height, data }]
+ */
+const renderThumbnails = async (source) => {
+  // rotate() applies the EXIF orientation so phone photos come out upright
+  const image = sharp({ failOn: 'error' }).rotate();
+  source.on('error', (error) => image.destroy(error));
+  source.pipe(image);
+
+  try {
+    return await Promise.all(Object.entries(uploadConfig.thumbnailSizes).map(async ([size, edge]) => {
+      const { data, info } = await image.clone()
+        .resize(edge, edge, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+
+      return { size, width: info.width, height: info.height, data };
+    }));
+  } catch (error) {
+    // Not a decodable image after all; stop reading the rest of it
+    source.destroy();
+    throw error;
+  }
+};
+
+/**
+ * (Re)generate the thumbnails of a file's current version and swap them in.
+ * Old thumbnails are deleted once the new ones are in place; if the file got
+ * new content in the meantime, the freshly made ones are thrown away instead.
+ * @param {File} file - File document
+ * @returns {Promise<Array>} - The thumbnails now stored on the file
+ */
+const generateThumbnails = async (file) => {
+  const storage = getStorage();
+  let thumbnails = [];
+
+  if (canGenerateThumbnails(file)) {
+    const source = await getStorage(file.storageProvider).getStream(file.storageKey);
+    const rendered = await renderThumbnails(source);
+
+    try {
+      for (const { size, width, height, data } of rendered) {
+        const { key } = await storage.put(data, {
+          prefix: `${file.owner}/thumbnails`,
+          filename: `${size}.webp`,
+          mimeType: 'image/webp'
+        });
+        thumbnails.push({ size, width, height, storageProvider: storage.name, storageKey: key });
+      }
+    } catch (error) {
+      await Promise.all(thumbnails.map(deleteObject));
+      throw error;
+    }
+  }
+
+  // Nothing to add and nothing to remove
+  if (thumbnails.length === 0 && (file.thumbnails || []).length === 0) return [];
+
+  const previous = await File.findOneAndUpdate(
+    { _id: file._id, storageKey: file.storageKey },
+    { $set: { thumbnails } },
+    { new: false, timestamps: false }
+  );
+
+  // The content changed while we were working; these thumbnails are stale
+  if (!previous) {
+    await Promise.all(thumbnails.map(deleteObject));
+    return [];
+  }
+
+  await Promise.all(previous.thumbnails.map(deleteObject));
+  file.thumbnails = thumbnails;
+  return thumbnails;
+};
+
+// Delete all of a file's thumbnail objects (the file itself is going away)
+const deleteThumbnails = (file) => Promise.all((file.thumbnails || []).map(deleteObject));
+
+// Thumbnails are made in the background one file at a time, so uploads
+// return straight away and image decoding never competes with itself for CPU
+const thumbnailQueue = createBackgroundQueue('Thumbnail generation');
+
+const queueThumbnails = (fileId) => thumbnailQueue(async () => {
+  const file = await File.findOne({ _id: fileId, isDeleted: false });
+  if (file) await generateThumbnails(file);
+});
+
+module.exports = {
+  canGenerateThumbnails,
+  renderThumbnails,
+  generateThumbnails,
+  deleteThumbnails,
+  queueThumbnails
+};
@@ -0,0 +1,92 @@
+const File = require('../models/File');
+const Folder = require('../models/Folder');
+const Star = require('../models/Star');
+const ShareLink = require('../models/ShareLink');
+const trashConfig = require('../config/trash');
+const { purgeFile } = require('./fileStore');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * How long a user's deleted items stay in the trash
+ * @param {User} user - User with trashRetentionDays loaded
+ * @returns {Number} - Days
+ */
+const retentionDaysFor = (user) => (user && user.trashRetentionDays) || trashConfig.retentionDays;
+
+/**
+ * When an item deleted at a given time gets purged
+ * @param {Date|null} deletedAt - When the item was moved to the trash
+ * @param {Number} retentionDays - From retentionDaysFor()
+ * @returns {Date|null} - Null for items without a deletion date
+ */
+const purgeAtFor = (deletedAt, retentionDays) => (
+  deletedAt ? new Date(deletedAt.getTime() + retentionDays * DAY) : null
+);
+
+/**
+ * Permanently delete a trashed folder, its trashed subfolders and the trashed
+ * files in them with their stored content. Anything live below it is left
+ * alone.
+ * @param {Folder} folder - Folder to purge
+ * @returns {Promise<Object>} - { files, folders, freed } counts and bytes freed
+ */
+const purgeFolderTree = async (folder) => {
+  const descendants = await Folder.findDescendantIds([folder._id], { deleted: true });
+  const folderIds = [folder._id, ...descendants];
+
+  const files = await File.find({ folder: { $in: folderIds }, owner: folder.owner, isDeleted: true });
+  let freed = 0;
+  for (const file of files) {
+    freed += await purgeFile(file);
+  }
+
+  await Folder.deleteMany({ _id: { $in: folderIds }, owner: folder.owner, isDeleted: true });
+  await Star.deleteMany({ itemType: 'Folder', item: { $in: folderIds } });
+  await ShareLink.deleteMany({ itemType: 'Folder', item: { $in: folderIds } });
+
+  return { files: files.length, folders: folderIds.length, freed };
+};
+
+/**
+ * Permanently delete what a user has in the trash
+ * @param {ObjectId} userId - Owner of the trash
+ * @param {Object} options - { deletedBefore } to only purge items trashed
+ *   before that date; everything otherwise
+ * @returns {Promise<Object>} - { files, folders, freed } counts and bytes freed
+ */
+const purgeTrash = async (userId, { deletedBefore } = {}) => {
+  const match = {
+    owner: userId,
+    isDeleted: true,
+    ...(deletedBefore ? { deletedAt: { $lt: deletedBefore } } : {})
+  };
+  const purged = { files: 0, folders: 0, freed: 0 };
+  const add = ({ files, folders, freed }) => {
+    purged.files += files;
+    purged.folders += folders;
+    purged.freed += freed;
+  };
+
+  // Shallowest first, so subfolders go with their trashed parents
+  const folders = await Folder.find(match).sort({ path: 1 });
+  for (const folder of folders) {
+    if (await Folder.exists({ _id: folder._id })) {
+      add(await purgeFolderTree(folder));
+    }
+  }
+
+  const files = await File.find(match);
+  for (const file of files) {
+    add({ files: 1, folders: 0, freed: await purgeFile(file) });
+  }
+
+  return purged;
+};
+
+module.exports = {
+  retentionDaysFor,
+  purgeAtFor,
+  purgeFolderTree,
+  purgeTrash
+};
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+
+// Bytes needed to recognize every signature below (tar's "ustar" sits at 257)
+const SNIFF_LENGTH = 262;
+
+// Magic number signatures: [offset, bytes, MIME type]
+const signatures = [
+  [0, [0x25, 0x50, 0x44, 0x46, 0x2d], 'application/pdf'],
+  [0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a], 'image/png'],
+  [0, [0xff, 0xd8, 0xff], 'image/jpeg'],
+  [0, [0x47, 0x49, 0x46, 0x38], 'image/gif'],
+  [0, [0x50, 0x4b, 0x03, 0x04], 'application/zip'],
+  [0, [0x50, 0x4b, 0x05, 0x06], 'application/zip'],
+  [0, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1], 'application/x-cfb'], // legacy Office
+  [0, [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07], 'application/x-rar-compressed'],
+  [0, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c], 'application/x-7z-compressed'],
+  [0, [0x1f, 0x8b], 'application/gzip'],
+  [257, [0x75, 0x73, 0x74, 0x61, 0x72], 'application/x-tar'],
+  [0, [0x49, 0x44, 0x33], 'audio/mpeg'],
+  [0, [0x4f, 0x67, 0x67, 0x53], 'audio/ogg'],
+  [0, [0x1a, 0x45, 0xdf, 0xa3], 'video/webm'],
+  [0, [0x00, 0x00, 0x01, 0xba], 'video/mpeg'],
+  [0, [0x00, 0x00, 0x01, 0xb3], 'video/mpeg'],
+  [4, [0x66, 0x74, 0x79, 0x70], 'video/mp4'], // "ftyp" box (mp4, m4a, mov)
+  [0, [0x7f, 0x45, 0x4c, 0x46], 'application/x-executable']
+];
+
+// Never acceptable, whatever the upload claims to be
+const executableTypes = ['application/x-executable'];
+
+// Declared types a detected type may legitimately show up as
+const compatibleTypes = {
+  'image/jpeg': ['image/jpeg', 'image/jpg'],
+  'application/zip': [
+    'application/zip',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+  ],
+  'application/x-cfb': ['application/msword', 'application/vnd.ms-excel', 'application/vnd.ms-powerpoint'],
+  'video/mp4': ['video/mp4', 'audio/mp4', 'video/quicktime'],
+  'audio/ogg': ['audio/ogg', 'video/ogg'],
+  'video/webm': ['video/webm', 'audio/webm'],
+  'audio/wav': ['audio/wav', 'audio/x-wav'],
+  'application/gzip': ['application/gzip', 'application/x-gzip']
+};
+
+// Declared types we can recognize from content; anything else (text, JSON,
+// SVG, ...) has no signature and is only checked for disguised executables
+const sniffableTypes = new Set([
+  ...signatures.map(([, , type]) => type),
+  ...Object.values(compatibleTypes).flat(),
+  'audio/wav',
+  'video/x-msvideo',
+  'image/webp'
+]);
+
+const matches = (head, offset, bytes) => {
+  if (head.length < offset + bytes.length) return false;
+  return bytes.every((byte, i) => head[offset + i] === byte);
+};
+
+/**
+ * Detect a MIME type from the first bytes of a file
+ * @param {Buffer} head - Leading bytes of the file
+ * @returns {String|null} - Detected type, or null for unrecognized (e.g. text) content
+ */
+const sniffMimeType = (head) => {
+  // RIFF containers carry their real type at offset 8
+  if (matches(head, 0, [0x52, 0x49, 0x46, 0x46])) {
+    const format = head.slice(8, 12).toString('latin1');
+    if (format === 'WAVE') return 'audio/wav';
+    if (format === 'AVI ') return 'video/x-msvideo';
+    if (format === 'WEBP') return 'image/webp';
+  }
+
+  // MP3 frames without an ID3 tag start with a frame sync
+  if (head.length >= 2 && head[0] === 0xff && (head[1] & 0xe0) === 0xe0) {
+    return 'audio/mpeg';
+  }
+
+  const signature = signatures.find(([offset, bytes]) => matches(head, offset, bytes));
+  return signature ? signature[2] : null;
+};
+
+// Whether content detected as `detected` may be stored as `declared`
+const isCompatibleType = (detected, declared) => {
+  if (!detected) return true;
+  if (executableTypes.includes(detected)) return false;
+  if (!sniffableTypes.has(declared)) return true;
+  return (compatibleTypes[detected] || [detected]).includes(declared);
+};
+
+/**
+ * Create a pass-through stream that inspects an upload on the fly: it counts
+ * bytes, hashes them with SHA-256 and sniffs the content type, failing as soon
+ * as the size limit is crossed or the content contradicts the declared type.
+ * Only the first few hundred bytes are ever held in memory.
+ * @param {Object} options - { maxSize, declaredType }
+ * @returns {Transform} - Call `result()` after it finishes for { size, hash, detectedType }
+ */
+const createUploadInspector = ({ maxSize = Infinity, declaredType } = {}) => {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  let head = Buffer.alloc(0);
+  let detectedType = null;
+  let sniffed = false;
+
+  const fail = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  };
+
+  const sniff = () => {
+    sniffed = true;
+    detectedType = sniffMimeType(head);
+    if (declaredType && !isCompatibleType(detectedType, declaredType)) {
+      return fail('CONTENT_TYPE_MISMATCH', `File content does not match its declared type ${declaredType}`);
+    }
+    return null;
+  };
+
+  const inspector = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > maxSize) {
+        return callback(fail('LIMIT_FILE_SIZE', 'File exceeds the maximum allowed size'));
+      }
+
+      if (!sniffed) {
+        head = Buffer.concat([head, chunk.slice(0, SNIFF_LENGTH - head.length)]);
+        if (head.length >= SNIFF_LENGTH) {
+          const error = sniff();
+          if (error) return callback(error);
+        }
+      }
+
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+
+    flush(callback) {
+      callback(sniffed ? null : sniff());
+    }
+  });
+
+  let digest = null;
+  inspector.result = () => {
+    digest = digest || hash.digest('hex');
+    return { size, hash: digest, detectedType };
+  };
+
+  return inspector;
+};
+
+module.exports = {
+  createUploadInspector,
+  sniffMimeType,
+  isCompatibleType
+};
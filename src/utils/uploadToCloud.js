@@ -1,82 +0,0 @@
-const cloudinary = require('cloudinary').v2;
-
-// Configure Cloudinary (make sure these are in your .env file)
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
-
-/**
- * Upload file buffer to Cloudinary
- * @param {Buffer} buffer - File buffer from multer
- * @param {Object} options - Cloudinary upload options
- * @returns {Promise} - Cloudinary upload result
- */
-const uploadToCloudinary = (buffer, options = {}) => {
-  return new Promise((resolve, reject) => {
-    const defaultOptions = {
-      resource_type: 'auto',
-      folder: 'google-drive-clone',
-      use_filename: true,
-      unique_filename: true,
-      ...options
-    };
-
-    // Create upload stream
-    const uploadStream = cloudinary.uploader.upload_stream(
-      defaultOptions,
-      (error, result) => {
-        if (error) {
-          console.error('Cloudinary upload error:', error);
-          reject(error);
-        } else {
-          resolve(result);
-        }
-      }
-    );
-
-    // Write buffer to stream
-    uploadStream.end(buffer);
-  });
-};
-
-/**
- * Delete file from Cloudinary
- * @param {String} publicId - Cloudinary public ID
- * @param {String} resourceType - Type of resource (image, video, raw)
- * @returns {Promise} - Cloudinary delete result
- */
-const deleteFromCloudinary = async (publicId, resourceType = 'auto') => {
-  try {
-    const result = await cloudinary.uploader.destroy(publicId, {
-      resource_type: resourceType
-    });
-    return result;
-  } catch (error) {
-    console.error('Cloudinary delete error:', error);
-    throw error;
-  }
-};
-
-/**
- * Get file info from Cloudinary
- * @param {String} publicId - Cloudinary public ID
- * @returns {Promise} - File information
- */
-const getCloudinaryFileInfo = async (publicId) => {
-  try {
-    const result = await cloudinary.api.resource(publicId);
-    return result;
-  } catch (error) {
-    console.error('Cloudinary info error:', error);
-    throw error;
-  }
-};
-
-module.exports = {
-  uploadToCloudinary,
-  deleteFromCloudinary,
-  getCloudinaryFileInfo,
-  cloudinary
-};
\ No newline at end of file
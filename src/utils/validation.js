@@ -14,6 +14,9 @@ const sanitizeFilename = (filename) => {
     || 'untitled'; // Fallback if empty after sanitization
 };
 
+// Escape user input for use inside a regular expression
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
 // MongoDB ObjectId validation middleware
 const mongoIdValidation = (req, res, next) => {
   const { id } = req.params;
@@ -126,6 +129,7 @@ const tokenValidation = (req, res, next) => {
 
 module.exports = {
   sanitizeFilename,
+  escapeRegex,
   mongoIdValidation,
   fileValidation,
   shareValidation,
@@ -0,0 +1,149 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const JSZip = require('jszip');
+const File = require('../src/models/File');
+const Folder = require('../src/models/Folder');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+// Every stored object holds its own key as content
+jest.mock('../src/storage', () => ({
+  getStorage: () => ({
+    getStream: jest.fn(async (key) => require('stream').Readable.from([Buffer.from(key)]))
+  })
+}));
+
+const { collectFolderEntries, sendArchive } = require('../src/utils/archive');
+const { downloadArchive } = require('../src/controllers/fileController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Collect the response body as a Buffer, whatever its type
+const binary = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+const unzip = async (body) => {
+  const zip = await JSZip.loadAsync(body);
+  const entries = {};
+  for (const [name, entry] of Object.entries(zip.files)) {
+    entries[name] = entry.dir ? null : await entry.async('string');
+  }
+  return entries;
+};
+
+describe('zip archives', () => {
+  const owner = id();
+  let folders;
+  let files;
+  let projects;
+
+  const file = (name, folder) => new File({
+    name,
+    originalName: name,
+    size: 1,
+    mimeType: 'text/plain',
+    storageProvider: 'local',
+    storageKey: `${folder ? folder.name : 'root'}/${name}`,
+    folder: folder ? folder._id : null,
+    owner
+  });
+
+  beforeEach(() => {
+    projects = new Folder({ name: 'Projects', owner });
+    const empty = new Folder({ name: 'Empty', owner, parent: projects._id });
+    const docs = new Folder({ name: 'Docs', owner, parent: projects._id });
+    folders = [projects, empty, docs];
+    files = [file('plan.txt', projects), file('spec.txt', docs), file('plan.txt', null)];
+    files.push(Object.assign(file('old.txt', docs), { isDeleted: true }));
+
+    useMemoryModel(Folder, folders);
+    useMemoryModel(File, files);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('folder entries keep the tree, including empty folders, and skip the trash', async () => {
+    const entries = await collectFolderEntries(projects);
+
+    expect(entries.map(entry => entry.name).sort()).toEqual([
+      'Projects/',
+      'Projects/Docs/',
+      'Projects/Docs/spec.txt',
+      'Projects/Empty/',
+      'Projects/plan.txt'
+    ]);
+  });
+
+  test('the archive streams each file under its entry name, renaming clashes', async () => {
+    const app = express();
+    app.get('/', async (req, res) => {
+      const entries = [{ name: 'plan.txt', file: files[2] }, ...await collectFolderEntries(projects)];
+      entries.push({ name: 'plan.txt', file: files[0] });
+      await sendArchive(res, entries, 'download.zip');
+    });
+
+    const response = await request(app).get('/').buffer(true).parse(binary);
+
+    expect(response.headers['content-type']).toBe('application/zip');
+    expect(response.headers['content-disposition']).toContain('download.zip');
+    expect(await unzip(response.body)).toEqual({
+      'plan.txt': 'root/plan.txt',
+      'plan (1).txt': 'Projects/plan.txt',
+      'Projects/': null,
+      'Projects/Docs/': null,
+      'Projects/Empty/': null,
+      'Projects/Docs/spec.txt': 'Docs/spec.txt',
+      'Projects/plan.txt': 'Projects/plan.txt'
+    });
+  });
+
+  describe('selection downloads', () => {
+    const createApp = () => {
+      const app = express();
+      app.use(express.json());
+      app.use((req, res, next) => {
+        req.user = { _id: owner };
+        next();
+      });
+      app.post('/archive', downloadArchive);
+      return app;
+    };
+
+    beforeEach(() => {
+      jest.spyOn(File, 'findAccessibleBy').mockImplementation(async (fileId) =>
+        files.find(candidate => candidate._id.equals(fileId)) || null);
+      jest.spyOn(Folder, 'findAccessibleBy').mockImplementation(async (folderId) =>
+        folders.find(candidate => candidate._id.equals(folderId)) || null);
+    });
+
+    test('a single folder is named after it', async () => {
+      const response = await request(createApp())
+        .post('/archive')
+        .send({ folderIds: [projects._id.toString()] })
+        .buffer(true)
+        .parse(binary);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-disposition']).toContain('Projects.zip');
+    });
+
+    test('nothing is sent when any item is out of reach', async () => {
+      const response = await request(createApp())
+        .post('/archive')
+        .send({ fileIds: [files[0]._id.toString(), id().toString()] });
+
+      expect(response.status).toBe(404);
+    });
+
+    test('an empty selection is refused', async () => {
+      const response = await request(createApp()).post('/archive').send({});
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const File = require('../src/models/File');
+const Folder = require('../src/models/Folder');
+const Star = require('../src/models/Star');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { runBatchOperation } = require('../src/utils/batchOperations');
+const { runBatch } = require('../src/controllers/batchController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('batch folder delete and restore', () => {
+  const owner = id();
+  let folders;
+  let files;
+  let docs;
+  let liveSub;
+
+  beforeEach(() => {
+    // A trashed /Docs tree, and a live /Docs/sub under a newer /Docs
+    const trashedDocs = { _id: id(), owner, name: 'Docs', path: '/Docs', parent: null, isDeleted: true, deletedAt: new Date('2026-01-01') };
+    docs = { _id: id(), owner, name: 'Docs', path: '/Docs', parent: null, isDeleted: false, deletedAt: null };
+    const nested = { _id: id(), owner, name: 'nested', path: '/Docs/nested', parent: docs._id, isDeleted: false, deletedAt: null };
+    liveSub = { _id: id(), owner, name: 'sub', path: '/Docs/sub', parent: trashedDocs._id, isDeleted: false, deletedAt: null };
+    folders = [trashedDocs, docs, nested, liveSub];
+
+    files = [
+      { _id: id(), owner, name: 'a.txt', folder: nested._id, isDeleted: false, deletedAt: null },
+      { _id: id(), owner, name: 'b.txt', folder: liveSub._id, isDeleted: false, deletedAt: null }
+    ];
+
+    useMemoryModel(Folder, folders);
+    useMemoryModel(File, files);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('delete trashes the folder tree by parent links, not by path', async () => {
+    const result = await runBatchOperation({ op: 'delete', type: 'folder', id: docs._id }, owner);
+
+    expect(result).toMatchObject({ status: 200, success: true });
+    expect(folders.filter(folder => folder.isDeleted).map(folder => folder.name).sort())
+      .toEqual(['Docs', 'Docs', 'nested']);
+    expect(liveSub.isDeleted).toBe(false);
+    expect(files.find(file => file.name === 'b.txt').isDeleted).toBe(false);
+    expect(files.find(file => file.name === 'a.txt').isDeleted).toBe(true);
+  });
+
+  test('restore brings back only the trashed part of the tree', async () => {
+    await runBatchOperation({ op: 'delete', type: 'folder', id: docs._id }, owner);
+    const result = await runBatchOperation({ op: 'restore', type: 'folder', id: docs._id }, owner);
+
+    expect(result).toMatchObject({ status: 200, success: true });
+    expect(docs.isDeleted).toBe(false);
+    expect(files.every(file => !file.isDeleted)).toBe(true);
+    expect(folders.find(folder => folder.isDeleted).deletedAt).toEqual(new Date('2026-01-01'));
+  });
+});
+
+describe('batch requests', () => {
+  const owner = id();
+  let file;
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { _id: owner };
+    next();
+  });
+  app.post('/batch', runBatch);
+
+  beforeEach(() => {
+    file = new File({ name: 'notes.txt', originalName: 'notes.txt', size: 1, mimeType: 'text/plain', owner });
+    jest.spyOn(File, 'findAccessibleBy').mockImplementation(async (fileId) => (file._id.equals(fileId) ? file : null));
+    jest.spyOn(Star, 'updateOne').mockResolvedValue({ upsertedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('each operation gets its own result and status', async () => {
+    const response = await request(app).post('/batch').send({
+      operations: [
+        { op: 'star', type: 'file', id: file._id },
+        { op: 'star', type: 'file', id: id() },
+        { op: 'paint', type: 'file', id: file._id },
+        { op: 'star', type: 'file', id: 'nope' },
+        { op: 'tag', type: 'file', id: file._id, params: {} }
+      ]
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ success: false, atomic: false, succeeded: 1, failed: 4 });
+    expect(response.body.results.map(result => result.status)).toEqual([200, 404, 400, 400, 400]);
+    expect(response.body.results[2].message).toMatch(/^Unknown operation "paint"/);
+  });
+
+  test('an atomic batch reports the failure and that nothing else was applied', async () => {
+    jest.spyOn(mongoose.connection, 'transaction').mockImplementation(async (fn) => fn());
+
+    const response = await request(app).post('/batch').send({
+      atomic: true,
+      operations: [
+        { op: 'star', type: 'file', id: file._id },
+        { op: 'star', type: 'file', id: id() },
+        { op: 'star', type: 'file', id: file._id }
+      ]
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({ message: 'Operation 1 failed; no changes were made', succeeded: 0, failed: 3 });
+    expect(response.body.results.map(result => result.status)).toEqual([424, 404, 424]);
+  });
+
+  test('atomic batches need transactions', async () => {
+    jest.spyOn(mongoose.connection, 'transaction').mockRejectedValue(Object.assign(new Error('no replica set'), { code: 20 }));
+
+    const response = await request(app).post('/batch').send({
+      atomic: true,
+      operations: [{ op: 'star', type: 'file', id: file._id }]
+    });
+
+    expect(response.status).toBe(501);
+  });
+
+  test('empty and malformed batches are refused', async () => {
+    expect((await request(app).post('/batch').send({ operations: [] })).status).toBe(400);
+    expect((await request(app).post('/batch').send({ operations: ['star'] })).status).toBe(400);
+  });
+});
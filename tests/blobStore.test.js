@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const Blob = require('../src/models/Blob');
+
+jest.mock('../src/storage', () => {
+  const mockDriver = { delete: jest.fn(async () => {}) };
+  return { getStorage: () => mockDriver };
+});
+
+const { getStorage } = require('../src/storage');
+const { claimBlob, retainBlob, releaseBlob } = require('../src/utils/blobStore');
+
+describe('blob deduplication', () => {
+  const owner = new mongoose.Types.ObjectId();
+  const content = (key, hash = 'same') => ({ storageProvider: 'local', storageKey: key, size: 10, hash });
+  let blobs;
+
+  const sameFields = (blob, filter) => Object.entries(filter)
+    .every(([key, value]) => key === 'refCount' || String(blob[key]) === String(value));
+
+  beforeEach(() => {
+    blobs = [];
+    jest.spyOn(Blob, 'findOneAndUpdate').mockImplementation(async (filter, { $inc }) => {
+      const blob = blobs.find(candidate => sameFields(candidate, filter));
+      if (blob) blob.refCount += $inc.refCount;
+      return blob || null;
+    });
+    jest.spyOn(Blob, 'create').mockImplementation(async (fields) => {
+      if (blobs.some(blob => String(blob.owner) === String(fields.owner) && blob.hash === fields.hash)) {
+        throw Object.assign(new Error('duplicate key'), { code: 11000 });
+      }
+      const blob = { _id: new mongoose.Types.ObjectId(), ...fields };
+      blobs.push(blob);
+      return blob;
+    });
+    jest.spyOn(Blob, 'findOneAndDelete').mockImplementation(async ({ _id }) => {
+      const blob = blobs.find(candidate => candidate._id.equals(_id) && candidate.refCount <= 0);
+      if (blob) blobs.splice(blobs.indexOf(blob), 1);
+      return blob || null;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('identical uploads share one stored object', async () => {
+    const first = await claimBlob(content('a'), owner);
+    const second = await claimBlob(content('b'), owner);
+
+    expect(first.storageKey).toBe('a');
+    expect(second.storageKey).toBe('a');
+    expect(getStorage().delete).toHaveBeenCalledWith('b');
+    expect(blobs).toEqual([expect.objectContaining({ storageKey: 'a', refCount: 2 })]);
+  });
+
+  test('different content is stored separately', async () => {
+    await claimBlob(content('a', 'one'), owner);
+    await claimBlob(content('b', 'two'), owner);
+
+    expect(blobs.map(blob => blob.storageKey)).toEqual(['a', 'b']);
+    expect(getStorage().delete).not.toHaveBeenCalled();
+  });
+
+  test('the object is deleted with its last reference', async () => {
+    await claimBlob(content('a'), owner);
+    await retainBlob(content('a'), owner);
+
+    await expect(releaseBlob(content('a'))).resolves.toBe(false);
+    expect(getStorage().delete).not.toHaveBeenCalled();
+
+    await expect(releaseBlob(content('a'))).resolves.toBe(true);
+    expect(getStorage().delete).toHaveBeenCalledWith('a');
+    expect(blobs).toHaveLength(0);
+  });
+
+  test('content stored before deduplication gets a blob once it is shared', async () => {
+    const legacy = content('old');
+
+    await retainBlob(legacy, owner);
+    expect(blobs).toEqual([expect.objectContaining({ storageKey: 'old', refCount: 2 })]);
+
+    // Unshared legacy content has a single reference and goes right away
+    await expect(releaseBlob(content('other'))).resolves.toBe(true);
+    expect(getStorage().delete).toHaveBeenCalledWith('other');
+  });
+});
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const File = require('../src/models/File');
+const searchConfig = require('../src/config/search');
+
+jest.mock('../src/storage', () => {
+  const { Readable } = require('stream');
+  return {
+    getStorage: () => ({
+      getStream: async () => Readable.from([Buffer.from('Quarterly  report\n\n  for the   board')])
+    })
+  };
+});
+
+const { indexFileContent, buildSnippet } = require('../src/utils/contentIndex');
+
+describe('content search', () => {
+  const file = (mimeType) => new File({
+    name: 'report',
+    originalName: 'report',
+    size: 40,
+    mimeType,
+    storageProvider: 'local',
+    storageKey: 'report',
+    owner: new mongoose.Types.ObjectId()
+  });
+
+  beforeEach(() => {
+    jest.spyOn(File, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('stores the extracted text of the current version', async () => {
+    const report = file('text/plain');
+
+    await expect(indexFileContent(report)).resolves.toBe(true);
+    expect(File.updateOne).toHaveBeenCalledWith(
+      // Written only if the content has not changed since
+      { _id: report._id, storageKey: 'report' },
+      { $set: { content: 'Quarterly report\nfor the board', contentIndexedAt: expect.any(Date) } },
+      { timestamps: false }
+    );
+  });
+
+  test('files that cannot be read have their text cleared', async () => {
+    await expect(indexFileContent(file('image/png'))).resolves.toBe(false);
+    expect(File.updateOne).toHaveBeenCalledWith(
+      expect.any(Object),
+      { $set: { content: null, contentIndexedAt: expect.any(Date) } },
+      expect.any(Object)
+    );
+  });
+
+  describe('snippets', () => {
+    const { snippetLength } = searchConfig;
+
+    beforeEach(() => {
+      searchConfig.snippetLength = 20;
+    });
+
+    afterEach(() => {
+      searchConfig.snippetLength = snippetLength;
+    });
+
+    test('highlight every term in a passage around the first match', () => {
+      const content = 'The annual budget was approved. Budget details follow in the appendix of this long report.';
+
+      const snippet = buildSnippet(content, 'budget -appendix');
+
+      expect(snippet.text).toBe('…annual budget was…');
+      const [highlight] = snippet.highlights;
+      expect(snippet.text.slice(highlight.start, highlight.end)).toBe('budget');
+    });
+
+    test('are left out when no term occurs literally', () => {
+      expect(buildSnippet('Running totals', 'runs')).toBeNull();
+      expect(buildSnippet(null, 'runs')).toBeNull();
+    });
+  });
+});
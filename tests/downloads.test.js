@@ -0,0 +1,125 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const File = require('../src/models/File');
+const storageConfig = require('../src/config/storage');
+
+// Serve the requested slice of a fixed ten bytes
+jest.mock('../src/storage', () => {
+  const { Readable } = require('stream');
+  const mockDriver = {
+    getStream: jest.fn(async (key, { start = 0, end = 9 } = {}) =>
+      Readable.from([Buffer.from('0123456789').subarray(start, end + 1)])),
+    getSignedUrl: jest.fn(async (key) => `https://storage.example/${key}?signature=abc`)
+  };
+  return { getStorage: () => mockDriver };
+});
+jest.mock('../src/utils/activity', () => ({ recordActivity: jest.fn(async () => {}) }));
+
+const { getStorage } = require('../src/storage');
+const { recordActivity } = require('../src/utils/activity');
+const { downloadFile } = require('../src/controllers/fileController');
+
+describe('file downloads', () => {
+  const owner = new mongoose.Types.ObjectId();
+  const etag = '"digits-hash"';
+  const { mode } = storageConfig.downloads;
+  let file;
+
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = { _id: owner };
+    next();
+  });
+  app.get('/:id/download', downloadFile);
+
+  const download = () => request(app).get(`/${file._id}/download`);
+
+  beforeEach(() => {
+    file = new File({
+      name: 'digits.txt',
+      originalName: 'digits.txt',
+      size: 10,
+      mimeType: 'text/plain',
+      storageProvider: 'local',
+      storageKey: 'digits',
+      hash: 'digits-hash',
+      owner
+    });
+    jest.spyOn(File, 'findAccessibleBy').mockResolvedValue(file);
+    jest.spyOn(File, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    storageConfig.downloads.mode = mode;
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('sends the whole file with its validators and counts the download', async () => {
+    const response = await download();
+
+    expect(response.status).toBe(200);
+    expect(response.text).toBe('0123456789');
+    expect(response.headers).toMatchObject({
+      'etag': etag,
+      'accept-ranges': 'bytes',
+      'content-length': '10',
+      'content-disposition': 'attachment; filename="digits.txt"'
+    });
+    expect(File.updateOne).toHaveBeenCalledWith({ _id: file._id }, expect.objectContaining({ $inc: { downloadCount: 1 } }));
+    expect(recordActivity).toHaveBeenCalledWith(owner, file._id, 'opened');
+  });
+
+  test('sends a requested byte range, counting only the transfer that starts at zero', async () => {
+    const start = await download().set('Range', 'bytes=0-3');
+    expect(start.status).toBe(206);
+    expect(start.text).toBe('0123');
+    expect(start.headers['content-range']).toBe('bytes 0-3/10');
+
+    const resumed = await download().set('Range', 'bytes=4-');
+    expect(resumed.status).toBe(206);
+    expect(resumed.text).toBe('456789');
+
+    expect(File.updateOne).toHaveBeenCalledTimes(1);
+  });
+
+  test('answers ranges beyond the end with 416', async () => {
+    const response = await download().set('Range', 'bytes=20-30');
+
+    expect(response.status).toBe(416);
+    expect(response.headers['content-range']).toBe('bytes */10');
+    expect(getStorage().getStream).not.toHaveBeenCalled();
+  });
+
+  test('answers a matching If-None-Match with 304 and no body', async () => {
+    const response = await download().set('If-None-Match', etag);
+
+    expect(response.status).toBe(304);
+    expect(getStorage().getStream).not.toHaveBeenCalled();
+    expect(File.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('sends the whole file when If-Range names an older version', async () => {
+    const response = await download().set('Range', 'bytes=4-').set('If-Range', '"older-hash"');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toBe('0123456789');
+  });
+
+  test('redirects to a signed URL when downloads are set to redirect', async () => {
+    storageConfig.downloads.mode = 'redirect';
+
+    const response = await download();
+
+    expect(response.status).toBe(302);
+    expect(response.headers.location).toBe('https://storage.example/digits?signature=abc');
+    expect(File.updateOne).toHaveBeenCalledTimes(1);
+  });
+
+  test('files out of reach are not found', async () => {
+    File.findAccessibleBy.mockResolvedValue(null);
+
+    expect((await download()).status).toBe(404);
+  });
+});
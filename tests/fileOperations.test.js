@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const File = require('../src/models/File');
+const Folder = require('../src/models/Folder');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+jest.mock('../src/utils/fileStore', () => ({
+  copyContent: jest.fn(async (source) => ({ storageProvider: 'local', storageKey: `copy-${source.storageKey}`, size: source.size })),
+  createFileRecord: jest.fn(async (content, details) => ({ ...details, ...content })),
+  discardContent: jest.fn(async () => {})
+}));
+jest.mock('../src/utils/storageUsage', () => ({
+  getStorageQuota: jest.fn(async () => ({ available: 100 })),
+  adjustStorage: jest.fn(async () => 0)
+}));
+
+const { copyContent, createFileRecord } = require('../src/utils/fileStore');
+const { copyFileInto, moveFileInto } = require('../src/utils/fileOperations');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('file operations', () => {
+  const owner = id();
+  const colleague = id();
+  let file;
+  let ownFolder;
+  let sharedFolder;
+
+  beforeEach(() => {
+    ownFolder = new Folder({ name: 'Mine', owner });
+    // The colleague's folder, shared with the owner for writing
+    sharedFolder = new Folder({
+      name: 'Team',
+      owner: colleague,
+      shareSettings: { sharedWith: [{ user: owner, permission: 'write' }] }
+    });
+    file = new File({
+      name: 'notes.txt',
+      originalName: 'notes.txt',
+      size: 10,
+      mimeType: 'text/plain',
+      storageProvider: 'local',
+      storageKey: 'notes',
+      owner
+    });
+    useMemoryModel(File, [file]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('copies belong to the user making them', async () => {
+    const { action } = await copyFileInto(file, ownFolder, { userId: owner });
+
+    expect(action).toBe('created');
+    expect(createFileRecord).toHaveBeenCalledWith(
+      expect.objectContaining({ storageKey: 'copy-notes' }),
+      expect.objectContaining({ owner, folder: ownFolder._id, name: 'notes.txt' })
+    );
+  });
+
+  test('copies are not made in someone else\'s folder, even a writable one', async () => {
+    await expect(copyFileInto(file, sharedFolder, { userId: owner }))
+      .rejects.toMatchObject({ name: 'FileOperationError', status: 403 });
+    expect(copyContent).not.toHaveBeenCalled();
+  });
+
+  test('files only move between their owner\'s folders', async () => {
+    jest.spyOn(file, 'save').mockResolvedValue(file);
+
+    await expect(moveFileInto(file, sharedFolder, { userId: owner }))
+      .rejects.toMatchObject({ status: 403 });
+    await expect(moveFileInto(file, ownFolder, { userId: owner }))
+      .resolves.toMatchObject({ action: 'moved' });
+    expect(file.folder).toEqual(ownFolder._id);
+  });
+});
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const File = require('../src/models/File');
+
+jest.mock('../src/utils/blobStore', () => ({
+  claimBlob: jest.fn(),
+  retainBlob: jest.fn(),
+  releaseBlob: jest.fn(async () => {})
+}));
+jest.mock('../src/utils/storageUsage', () => ({
+  adjustStorage: jest.fn(async () => 0)
+}));
+jest.mock('../src/utils/activity', () => ({
+  recordActivity: jest.fn(async () => {})
+}));
+
+const { releaseBlob } = require('../src/utils/blobStore');
+const { adjustStorage } = require('../src/utils/storageUsage');
+const { createFileRecord } = require('../src/utils/fileStore');
+
+describe('createFileRecord', () => {
+  const owner = new mongoose.Types.ObjectId();
+  const content = { storageProvider: 'local', storageKey: 'notes', size: 10, hash: 'abc' };
+  const details = { owner, name: 'notes.bin', originalName: 'notes.bin', mimeType: 'application/octet-stream' };
+
+  beforeEach(() => {
+    jest.spyOn(File, 'create').mockImplementation(async (fields) => new File(fields));
+    jest.spyOn(File, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('counts the new file against the owner storage', async () => {
+    const file = await createFileRecord(content, details);
+
+    expect(adjustStorage).toHaveBeenCalledWith(owner, 10, expect.objectContaining({ file: file._id }));
+    expect(releaseBlob).not.toHaveBeenCalled();
+  });
+
+  test('content is given up when the document cannot be saved', async () => {
+    File.create.mockRejectedValue(new Error('save failed'));
+
+    await expect(createFileRecord(content, details)).rejects.toThrow('save failed');
+    expect(releaseBlob).toHaveBeenCalledWith(content);
+  });
+
+  test('a file whose usage cannot be counted is removed along with its content', async () => {
+    adjustStorage.mockRejectedValueOnce(new Error('ledger failed'));
+
+    await expect(createFileRecord(content, details)).rejects.toThrow('ledger failed');
+    expect(File.deleteOne).toHaveBeenCalled();
+    expect(releaseBlob).toHaveBeenCalledWith(content);
+  });
+
+  test('content stays while its document does', async () => {
+    adjustStorage.mockRejectedValueOnce(new Error('ledger failed'));
+    File.deleteOne.mockRejectedValue(new Error('delete failed'));
+
+    await expect(createFileRecord(content, details)).rejects.toThrow('ledger failed');
+    expect(releaseBlob).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Local storage root holding one stored object
+const storageRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'file-urls-'));
+fs.writeFileSync(path.join(storageRoot, 'photo'), 'stored bytes');
+process.env.LOCAL_STORAGE_ROOT = storageRoot;
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const File = require('../src/models/File');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+// A backend that can render previews of image resources, like Cloudinary
+jest.mock('../src/storage', () => {
+  const { Readable } = require('stream');
+  return {
+    providers: ['local', 's3', 'cloudinary'],
+    getStorage: () => ({
+      getStream: async (key) => Readable.from([Buffer.from(`stored:${key}`)]),
+      canPreview: (key) => key.startsWith('image/'),
+      getPreviewStream: async (key, { width }) => Readable.from([Buffer.from(`preview:${key}:${width}`)])
+    })
+  };
+});
+
+const { getFileThumbnail } = require('../src/controllers/fileController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('file URLs', () => {
+  const owner = id();
+  let photo;
+  let pdf;
+
+  const createApp = (user) => {
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = user;
+      next();
+    });
+    app.get('/:id/thumbnails/:size', getFileThumbnail);
+    return app;
+  };
+
+  beforeEach(() => {
+    photo = new File({
+      name: 'photo.png',
+      originalName: 'photo.png',
+      size: 10,
+      mimeType: 'image/png',
+      storageProvider: 'local',
+      storageKey: 'photo',
+      thumbnails: [{ size: 'medium', storageProvider: 'local', storageKey: 'photo-medium.webp' }],
+      owner
+    });
+    pdf = new File({
+      name: 'report.pdf',
+      originalName: 'report.pdf',
+      size: 10,
+      mimeType: 'application/pdf',
+      storageProvider: 'cloudinary',
+      storageKey: 'image/report',
+      owner
+    });
+    useMemoryModel(File, [photo, pdf]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(storageRoot, { recursive: true, force: true });
+  });
+
+  test('files and thumbnails link to the API, never to storage', () => {
+    expect(photo.url).toBe(`/api/files/${photo._id}/download`);
+    expect(photo.thumbnailUrl).toBe(`/api/files/${photo._id}/thumbnails/medium`);
+    expect(photo.thumbnailUrls).toEqual({ small: null, medium: photo.thumbnailUrl, large: null });
+    expect(pdf.thumbnailUrls.large).toBe(`/api/files/${pdf._id}/thumbnails/large`);
+  });
+
+  test('there is no unauthenticated route to stored content', async () => {
+    // The app logs each route group it loads and every request
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const app = require('../src/app');
+
+    const response = await request(app).get(`/storage/${photo.storageKey}`);
+    expect(response.status).toBe(404);
+  });
+
+  test('thumbnails are streamed to people who can access the file', async () => {
+    const response = await request(createApp({ _id: owner })).get(`/${photo._id}/thumbnails/medium`);
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('image/webp');
+    expect(response.body.toString()).toBe('stored:photo-medium.webp');
+
+    const stranger = await request(createApp({ _id: id() })).get(`/${photo._id}/thumbnails/medium`);
+    expect(stranger.status).toBe(404);
+  });
+
+  test('PDF previews are rendered by the backend and streamed through the API', async () => {
+    const response = await request(createApp({ _id: owner })).get(`/${pdf._id}/thumbnails/small`);
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('image/jpeg');
+    expect(response.body.toString()).toBe('preview:image/report:128');
+
+    expect((await request(createApp({ _id: owner })).get(`/${photo._id}/thumbnails/large`)).status).toBe(404);
+  });
+});
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const File = require('../src/models/File');
+const FileVersion = require('../src/models/FileVersion');
+const uploadConfig = require('../src/config/uploads');
+
+jest.mock('../src/utils/fileStore', () => ({
+  discardContent: jest.fn(async () => {})
+}));
+jest.mock('../src/utils/storageUsage', () => ({
+  adjustStorage: jest.fn(async () => 0)
+}));
+jest.mock('../src/utils/thumbnails', () => ({ queueThumbnails: jest.fn() }));
+jest.mock('../src/utils/contentIndex', () => ({ queueContentIndexing: jest.fn() }));
+jest.mock('../src/utils/activity', () => ({ recordActivity: jest.fn(async () => {}) }));
+
+const { discardContent } = require('../src/utils/fileStore');
+const { adjustStorage } = require('../src/utils/storageUsage');
+const { addFileVersion, restoreFileVersion } = require('../src/utils/fileVersions');
+
+describe('file versions', () => {
+  const owner = new mongoose.Types.ObjectId();
+  const { maxFileVersions } = uploadConfig;
+  let file;
+  let versions;
+
+  const content = (key, size) => ({ storageProvider: 'local', storageKey: key, size, hash: key });
+
+  beforeEach(() => {
+    uploadConfig.maxFileVersions = 2;
+    file = new File({
+      name: 'report.txt',
+      originalName: 'report.txt',
+      mimeType: 'text/plain',
+      owner,
+      version: 1,
+      ...content('v1', 10)
+    });
+    versions = [];
+
+    jest.spyOn(file, 'save').mockResolvedValue(file);
+    jest.spyOn(FileVersion, 'create').mockImplementation(async (fields) => {
+      const version = new FileVersion(fields);
+      jest.spyOn(version, 'deleteOne').mockImplementation(async () => {
+        versions.splice(versions.indexOf(version), 1);
+      });
+      versions.push(version);
+      return version;
+    });
+    // Newest first, past the cap
+    jest.spyOn(FileVersion, 'find').mockImplementation(() => ({
+      sort: () => ({
+        skip: async (count) => [...versions].sort((a, b) => b.version - a.version).slice(count)
+      })
+    }));
+    jest.spyOn(FileVersion, 'deleteMany').mockImplementation(async ({ _id }) => {
+      versions = versions.filter(version => !_id.$in.includes(version._id));
+    });
+  });
+
+  afterEach(() => {
+    uploadConfig.maxFileVersions = maxFileVersions;
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  const upload = (key, size) => addFileVersion(file, content(key, size), {
+    originalName: 'report.txt',
+    mimeType: 'text/plain',
+    uploadedBy: owner
+  });
+
+  test('new content becomes the current version and the old one goes into history', async () => {
+    await upload('v2', 20);
+
+    expect(file).toMatchObject({ version: 2, storageKey: 'v2', size: 20 });
+    expect(versions.map(version => [version.version, version.storageKey])).toEqual([[1, 'v1']]);
+    expect(adjustStorage).toHaveBeenCalledWith(owner, 20, expect.objectContaining({ reason: 'version-added' }));
+  });
+
+  test('versions beyond the cap are pruned oldest first, freeing their storage', async () => {
+    await upload('v2', 20);
+    await upload('v3', 30);
+    await upload('v4', 40);
+
+    expect(versions.map(version => version.version)).toEqual([2, 3]);
+    expect(discardContent).toHaveBeenCalledWith(expect.objectContaining({ storageKey: 'v1' }));
+    expect(adjustStorage).toHaveBeenCalledWith(owner, -10, expect.objectContaining({ reason: 'versions-pruned' }));
+  });
+
+  test('content that cannot become current is discarded and history is left as it was', async () => {
+    file.save.mockRejectedValueOnce(new Error('save failed'));
+
+    await expect(upload('v2', 20)).rejects.toThrow('save failed');
+    expect(versions).toHaveLength(0);
+    expect(discardContent).toHaveBeenCalledWith(expect.objectContaining({ storageKey: 'v2' }));
+    expect(adjustStorage).not.toHaveBeenCalled();
+  });
+
+  test('restoring a version makes it the newest one', async () => {
+    await upload('v2', 20);
+    const [first] = versions;
+
+    await restoreFileVersion(file, first, owner);
+
+    expect(file).toMatchObject({ version: 3, storageKey: 'v1', restoredFrom: 1 });
+    expect(versions.map(version => [version.version, version.storageKey])).toEqual([[2, 'v2']]);
+    // The restored content is in use again, not thrown away
+    expect(discardContent).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,137 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const File = require('../src/models/File');
+const Folder = require('../src/models/Folder');
+const Operation = require('../src/models/Operation');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+jest.mock('../src/utils/fileStore', () => ({
+  copyContent: jest.fn(async (source) => ({ storageProvider: 'local', storageKey: `copy-${source.storageKey}`, size: source.size })),
+  createFileRecord: jest.fn(async (content, details) => ({ ...details, ...content })),
+  discardContent: jest.fn(async () => {}),
+  purgeFile: jest.fn(async () => 0)
+}));
+jest.mock('../src/utils/storageUsage', () => ({
+  getStorageQuota: jest.fn(async () => ({ available: 100 })),
+  adjustStorage: jest.fn(async () => 0)
+}));
+jest.mock('../src/utils/operations', () => ({
+  startOperation: jest.fn(),
+  formatOperation: (operation) => ({ id: operation._id, type: operation.type })
+}));
+
+const { createFileRecord } = require('../src/utils/fileStore');
+const { getStorageQuota } = require('../src/utils/storageUsage');
+const { startOperation } = require('../src/utils/operations');
+const { planFolderCopy, copyFolderTree } = require('../src/utils/folderCopy');
+const { copyFolder } = require('../src/controllers/folderController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('folder copy', () => {
+  const owner = id();
+  const colleague = id();
+  let folders;
+  let files;
+  let template;
+  let drafts;
+
+  const createApp = () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { _id: owner };
+      next();
+    });
+    app.post('/:id/copy', copyFolder);
+    return app;
+  };
+
+  beforeEach(() => {
+    template = new Folder({ name: 'Template', owner });
+    drafts = new Folder({ name: 'Drafts', owner, parent: template._id });
+    folders = [template, drafts];
+    files = [new File({
+      name: 'outline.txt',
+      originalName: 'outline.txt',
+      size: 10,
+      mimeType: 'text/plain',
+      storageProvider: 'local',
+      storageKey: 'outline',
+      folder: drafts._id,
+      owner
+    })];
+
+    useMemoryModel(Folder, folders);
+    useMemoryModel(File, files);
+    jest.spyOn(Folder, 'create').mockImplementation(async (fields) => {
+      const folder = new Folder(fields);
+      folders.push(folder);
+      return folder;
+    });
+    jest.spyOn(Operation, 'create').mockImplementation(async (fields) => new Operation(fields));
+    jest.spyOn(Operation, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('the plan lists the folder tree and its live files', async () => {
+    const plan = await planFolderCopy(template);
+
+    expect(plan.folders).toEqual([template, drafts]);
+    expect(plan.files).toEqual(files);
+    expect(plan.totalBytes).toBe(10);
+  });
+
+  test('the tree is recreated for the caller, renaming the copy when the name is taken', async () => {
+    const plan = await planFolderCopy(template);
+    const operation = new Operation({ user: owner, type: 'folder-copy' });
+
+    const result = await copyFolderTree(plan, null, { userId: owner, operation });
+
+    const [rootCopy, draftsCopy] = folders.slice(2);
+    expect(rootCopy).toMatchObject({ name: 'Template (1)', parent: null });
+    expect(draftsCopy).toMatchObject({ name: 'Drafts', parent: rootCopy._id });
+    expect([rootCopy, draftsCopy].every(folder => folder.owner.equals(owner))).toBe(true);
+    expect(createFileRecord).toHaveBeenCalledWith(
+      expect.objectContaining({ storageKey: 'copy-outline' }),
+      expect.objectContaining({ owner, folder: draftsCopy._id, name: 'outline.txt' })
+    );
+    expect(result).toEqual({ folderId: rootCopy._id, folders: 2, files: 1 });
+  });
+
+  test('copying starts a background operation', async () => {
+    const response = await request(createApp()).post(`/${template._id}/copy`).send({});
+
+    expect(response.status).toBe(202);
+    expect(response.headers.location).toMatch(/^\/api\/operations\//);
+    expect(startOperation).toHaveBeenCalledTimes(1);
+  });
+
+  test('the copy must fit in the caller\'s storage', async () => {
+    getStorageQuota.mockResolvedValueOnce({ available: 5 });
+
+    const response = await request(createApp()).post(`/${template._id}/copy`).send({});
+    expect(response.status).toBe(413);
+    expect(startOperation).not.toHaveBeenCalled();
+  });
+
+  test('folders are not copied into someone else\'s folder, even a writable one', async () => {
+    folders.push(new Folder({
+      name: 'Team',
+      owner: colleague,
+      shareSettings: { sharedWith: [{ user: owner, permission: 'write' }] }
+    }));
+
+    const response = await request(createApp())
+      .post(`/${template._id}/copy`)
+      .send({ parentId: folders[2]._id.toString() });
+
+    expect(response.status).toBe(403);
+    expect(startOperation).not.toHaveBeenCalled();
+  });
+});
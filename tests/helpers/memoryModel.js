@@ -0,0 +1,62 @@
+// Just enough of a Mongoose model over an array of plain documents for the
+// queries the utils under test make: equality, $in, $lt, $gt, $regex and
+// regular expressions on top-level fields.
+
+const sameValue = (a, b) => String(a) === String(b);
+
+const matches = (doc, query) => Object.entries(query).every(([key, condition]) => {
+  if (condition instanceof RegExp) {
+    return condition.test(doc[key]);
+  }
+  if (condition && typeof condition === 'object' && Array.isArray(condition.$in)) {
+    return condition.$in.some(value => sameValue(doc[key], value));
+  }
+  if (condition && typeof condition === 'object' && condition.$regex !== undefined) {
+    return new RegExp(condition.$regex).test(doc[key]);
+  }
+  if (condition && typeof condition === 'object' && condition.$lt !== undefined) {
+    return doc[key] !== null && doc[key] !== undefined && doc[key] < condition.$lt;
+  }
+  if (condition && typeof condition === 'object' && condition.$gt !== undefined) {
+    return doc[key] !== null && doc[key] !== undefined && doc[key] > condition.$gt;
+  }
+  if (condition === null) {
+    return doc[key] === null || doc[key] === undefined;
+  }
+  return sameValue(doc[key], condition);
+});
+
+// Thenable query result that also takes the chained calls the code uses
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    populate: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+/**
+ * Point a model's query methods at an in-memory collection
+ * @param {Model} Model - Mongoose model to stub (restore with jest.restoreAllMocks)
+ * @param {Array<Object>} docs - Documents; updateMany and deleteMany change
+ *   this array in place
+ */
+const useMemoryModel = (Model, docs) => {
+  jest.spyOn(Model, 'find').mockImplementation((filter = {}) => query(docs.filter(doc => matches(doc, filter))));
+  jest.spyOn(Model, 'findOne').mockImplementation((filter = {}) => query(docs.find(doc => matches(doc, filter)) || null));
+  jest.spyOn(Model, 'exists').mockImplementation((filter = {}) => query(docs.some(doc => matches(doc, filter)) ? { _id: true } : null));
+  jest.spyOn(Model, 'updateMany').mockImplementation(async (filter = {}, update = {}) => {
+    const updated = docs.filter(doc => matches(doc, filter));
+    updated.forEach(doc => Object.assign(doc, update.$set || update));
+    return { modifiedCount: updated.length };
+  });
+  jest.spyOn(Model, 'deleteMany').mockImplementation(async (filter = {}) => {
+    const removed = docs.filter(doc => matches(doc, filter));
+    removed.forEach(doc => docs.splice(docs.indexOf(doc), 1));
+    return { deletedCount: removed.length };
+  });
+};
+
+module.exports = { useMemoryModel };
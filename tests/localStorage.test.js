@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const LocalStorage = require('../src/storage/LocalStorage');
+const { getStorage } = require('../src/storage');
+
+const read = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+describe('local storage driver', () => {
+  let root;
+  let storage;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'local-storage-'));
+    storage = new LocalStorage({ root });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('stores buffers and streams under a fresh key, keeping the extension', async () => {
+    const fromBuffer = await storage.put(Buffer.from('hello'), { prefix: 'user-1', filename: 'Notes.TXT' });
+    const fromStream = await storage.put(Readable.from(['wor', 'ld']), { prefix: 'user-1', filename: 'notes.txt' });
+
+    expect(fromBuffer).toEqual({ key: expect.stringMatching(/^user-1\/[0-9a-f]{32}\.txt$/), size: 5 });
+    expect(fromStream.key).not.toBe(fromBuffer.key);
+    expect(fromStream.size).toBe(5);
+    expect(await read(await storage.getStream(fromStream.key))).toBe('world');
+  });
+
+  test('reads an inclusive byte range', async () => {
+    const { key } = await storage.put(Buffer.from('0123456789'), { filename: 'digits.txt' });
+
+    expect(await read(await storage.getStream(key, { start: 2, end: 5 }))).toBe('2345');
+  });
+
+  test('deletes objects, and deleting a missing one is not an error', async () => {
+    const { key } = await storage.put(Buffer.from('bye'), {});
+
+    expect(await storage.exists(key)).toBe(true);
+    await storage.delete(key);
+    await storage.delete(key);
+    expect(await storage.exists(key)).toBe(false);
+    await expect(storage.getStream(key)).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+
+  test('lists the objects under a prefix', async () => {
+    const stored = await storage.put(Buffer.from('abc'), { prefix: 'user-1' });
+    await storage.put(Buffer.from('other'), { prefix: 'user-2' });
+
+    const listed = [];
+    for await (const { key, size } of storage.list('user-1')) listed.push({ key, size });
+
+    expect(listed).toEqual([{ key: stored.key, size: 3 }]);
+  });
+
+  test('refuses keys outside the storage root', async () => {
+    await expect(storage.getStream('../secret')).rejects.toThrow('Invalid storage key');
+    await expect(storage.delete('../secret')).rejects.toThrow('Invalid storage key');
+  });
+
+  test('unknown providers are refused', () => {
+    expect(getStorage('local').name).toBe('local');
+    expect(() => getStorage('ftp')).toThrow('Unknown storage provider: ftp');
+  });
+});
@@ -0,0 +1,133 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const File = require('../src/models/File');
+const ShareLink = require('../src/models/ShareLink');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+jest.mock('../src/storage', () => {
+  const { Readable } = require('stream');
+  return {
+    getStorage: () => ({
+      getStream: async () => Readable.from([Buffer.from('0123456789')])
+    })
+  };
+});
+
+const {
+  listFileLinks,
+  createFileLink,
+  updateFileLink,
+  revokeFileLink
+} = require('../src/controllers/shareLinkController');
+const { getSharedFile, downloadSharedFile } = require('../src/controllers/fileController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('multiple share links', () => {
+  const owner = id();
+  let currentUser;
+  let file;
+  let links;
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = currentUser;
+    next();
+  });
+  app.get('/files/:id/links', listFileLinks);
+  app.post('/files/:id/links', createFileLink);
+  app.patch('/files/:id/links/:linkId', updateFileLink);
+  app.delete('/files/:id/links/:linkId', revokeFileLink);
+  app.get('/shared/:token', getSharedFile);
+  app.get('/shared/:token/download', downloadSharedFile);
+
+  const createLink = (body) => request(app).post(`/files/${file._id}/links`).send(body);
+
+  beforeEach(() => {
+    currentUser = { _id: owner };
+    file = new File({
+      name: 'notes.txt',
+      originalName: 'notes.txt',
+      size: 10,
+      mimeType: 'text/plain',
+      storageProvider: 'local',
+      storageKey: 'notes',
+      owner
+    });
+    links = [];
+
+    useMemoryModel(File, [file]);
+    useMemoryModel(ShareLink, links);
+    jest.spyOn(ShareLink.prototype, 'save').mockImplementation(async function() {
+      if (!links.includes(this)) links.push(this);
+      return this;
+    });
+    jest.spyOn(File, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(ShareLink, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    // The shared view shows the owner; leave them unpopulated
+    jest.spyOn(file, 'populate').mockResolvedValue(file);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('each link has its own token, label and role', async () => {
+    const team = await createLink({ label: 'Team', role: 'downloader' });
+    const client = await createLink({ label: 'Client', role: 'viewer', expiresIn: '7d' });
+
+    expect(team.status).toBe(201);
+    expect(team.body.link).toMatchObject({ label: 'Team', role: 'downloader', expiresAt: null });
+    expect(client.body.link).toMatchObject({ label: 'Client', role: 'viewer', expiresAt: expect.any(String) });
+    expect(team.body.link.token).not.toBe(client.body.link.token);
+
+    // Viewers can open the file but not download it
+    currentUser = null;
+    expect((await request(app).get(`/shared/${team.body.link.token}/download`)).status).toBe(200);
+    expect((await request(app).get(`/shared/${client.body.link.token}`)).status).toBe(200);
+    expect((await request(app).get(`/shared/${client.body.link.token}/download`)).status).toBe(403);
+  });
+
+  test('revoking one link leaves the others working', async () => {
+    const first = (await createLink({ label: 'First' })).body.link;
+    const second = (await createLink({ label: 'Second' })).body.link;
+
+    const revoked = await request(app).delete(`/files/${file._id}/links/${first.id}`);
+    expect(revoked.body.link).toMatchObject({ isActive: false, revokedBy: String(owner) });
+
+    const listed = await request(app).get(`/files/${file._id}/links`);
+    expect(listed.body.links.map(link => link.label)).toEqual(['Second']);
+    const all = await request(app).get(`/files/${file._id}/links?includeRevoked=true`);
+    expect(all.body.links).toHaveLength(2);
+
+    currentUser = null;
+    expect((await request(app).get(`/shared/${first.token}`)).status).toBe(404);
+    expect((await request(app).get(`/shared/${second.token}`)).status).toBe(200);
+  });
+
+  test('a link\'s settings change on their own; revoked links stay as they were', async () => {
+    const link = (await createLink({ label: 'Draft' })).body.link;
+
+    const updated = await request(app).patch(`/files/${file._id}/links/${link.id}`).send({ label: 'Final', maxDownloads: 3 });
+    expect(updated.body.link).toMatchObject({ label: 'Final', maxDownloads: 3 });
+
+    await request(app).delete(`/files/${file._id}/links/${link.id}`);
+    expect((await request(app).patch(`/files/${file._id}/links/${link.id}`).send({ label: 'Again' })).status).toBe(404);
+  });
+
+  test('only the owner manages links', async () => {
+    currentUser = { _id: id() };
+
+    expect((await createLink({ label: 'Mine now' })).status).toBe(404);
+    expect(links).toHaveLength(0);
+  });
+
+  test('bad settings are refused', async () => {
+    expect((await createLink({ expiresIn: '2y' })).status).toBe(400);
+    expect((await createLink({ maxDownloads: 0 })).status).toBe(400);
+  });
+});
@@ -0,0 +1,105 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const File = require('../src/models/File');
+const FileActivity = require('../src/models/FileActivity');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { groupByDay } = require('../src/utils/activity');
+const { getRecent } = require('../src/controllers/recentController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('recent activity', () => {
+  // A Wednesday
+  const now = new Date('2026-10-14T12:00:00Z');
+  const entry = (at) => ({ at: new Date(at) });
+  const keysOf = (groups) => groups.map(group => [group.key, group.items.length]);
+
+  test('entries are grouped by day, week and month', () => {
+    const groups = groupByDay([
+      entry('2026-10-14T08:00:00Z'),
+      entry('2026-10-13T23:00:00Z'),
+      entry('2026-10-12T05:00:00Z'),
+      entry('2026-10-06T10:00:00Z'),
+      entry('2026-10-02T10:00:00Z'),
+      entry('2026-09-20T10:00:00Z')
+    ], 0, now);
+
+    expect(keysOf(groups)).toEqual([
+      ['today', 1],
+      ['yesterday', 1],
+      ['earlierThisWeek', 1],
+      ['lastWeek', 1],
+      ['earlierThisMonth', 1],
+      ['older', 1]
+    ]);
+    expect(groups[0].label).toBe('Today');
+  });
+
+  test('days follow the user\'s time zone', () => {
+    const early = [entry('2026-10-14T03:00:00Z')];
+
+    expect(keysOf(groupByDay(early, 0, now))).toEqual([['today', 1]]);
+    // Five hours behind UTC it was still the evening before
+    expect(keysOf(groupByDay(early, 300, now))).toEqual([['yesterday', 1]]);
+  });
+
+  describe('feed', () => {
+    const userId = id();
+    let files;
+
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = { _id: userId };
+      next();
+    });
+    app.get('/recent', getRecent);
+
+    const file = (name, fields = {}) => new File({ name, originalName: name, size: 1, mimeType: 'text/plain', owner: userId, ...fields });
+
+    beforeEach(() => {
+      files = [file('report.txt'), file('old.txt', { isDeleted: true })];
+      useMemoryModel(File, files);
+      jest.spyOn(File, 'populate').mockImplementation(async (docs) => docs);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('lists each file by its latest action and leaves out trashed files', async () => {
+      const at = new Date();
+      jest.spyOn(FileActivity, 'aggregate').mockResolvedValue([
+        { _id: files[0]._id, action: 'edited', at },
+        { _id: files[1]._id, action: 'opened', at }
+      ]);
+
+      const response = await request(app).get('/recent?limit=2');
+
+      expect(response.status).toBe(200);
+      expect(response.body.groups).toHaveLength(1);
+      expect(response.body.groups[0].items).toEqual([
+        expect.objectContaining({ action: 'edited', file: expect.objectContaining({ name: 'report.txt' }) })
+      ]);
+      // A full page, so there may be more
+      expect(response.body.nextBefore).toBe(at.toISOString());
+    });
+
+    test('pages back from ?before= and filters by action', async () => {
+      jest.spyOn(FileActivity, 'aggregate').mockResolvedValue([]);
+
+      const response = await request(app).get('/recent?action=edited&before=2026-10-01T00:00:00Z');
+
+      expect(response.body).toMatchObject({ groups: [], nextBefore: null });
+      const [pipeline] = FileActivity.aggregate.mock.calls[0];
+      expect(pipeline[0].$match).toEqual({ user: userId, action: 'edited' });
+      expect(pipeline).toContainEqual({ $match: { at: { $lt: new Date('2026-10-01T00:00:00Z') } } });
+    });
+
+    test('unknown actions and bad dates are refused', async () => {
+      expect((await request(app).get('/recent?action=deleted')).status).toBe(400);
+      expect((await request(app).get('/recent?before=yesterday')).status).toBe(400);
+      expect((await request(app).get('/recent?timezoneOffset=9999')).status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Received chunks go to a temp directory of the test's own
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'resumable-uploads-'));
+process.env.UPLOAD_TMP_DIR = tmpDir;
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Folder = require('../src/models/Folder');
+const UploadSession = require('../src/models/UploadSession');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+// Read the finished upload back instead of storing it
+jest.mock('../src/utils/fileStore', () => ({
+  storeFile: jest.fn(async (source, details) => {
+    const chunks = [];
+    for await (const chunk of source) chunks.push(chunk);
+    return { _id: 'file-id', ...details, content: Buffer.concat(chunks).toString() };
+  })
+}));
+jest.mock('../src/utils/storageUsage', () => ({
+  getStorageQuota: jest.fn(async () => ({ available: 100 }))
+}));
+
+const { storeFile } = require('../src/utils/fileStore');
+const { getStorageQuota } = require('../src/utils/storageUsage');
+const {
+  createUploadSession,
+  getUploadStatus,
+  uploadChunk,
+  completeUpload
+} = require('../src/controllers/uploadController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('resumable uploads', () => {
+  const owner = id();
+  let sessions;
+  let folders;
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { _id: owner };
+    next();
+  });
+  // Mounted like the real routes, since Location is built from the base URL
+  const router = express.Router();
+  router.post('/', createUploadSession);
+  router.head('/:id', getUploadStatus);
+  router.patch('/:id', uploadChunk);
+  router.post('/:id/complete', completeUpload);
+  app.use('/uploads', router);
+
+  const create = (body) => request(app).post('/uploads').send({ filename: 'notes.txt', mimeType: 'text/plain', ...body });
+
+  const sendChunk = (location, offset, data) => request(app)
+    .patch(location)
+    .set('Content-Type', 'application/offset+octet-stream')
+    .set('Upload-Offset', String(offset))
+    .send(Buffer.from(data));
+
+  beforeEach(() => {
+    sessions = [];
+    folders = [];
+    useMemoryModel(UploadSession, sessions);
+    useMemoryModel(Folder, folders);
+    jest.spyOn(UploadSession.prototype, 'save').mockImplementation(async function() {
+      if (!sessions.includes(this)) sessions.push(this);
+      return this;
+    });
+    jest.spyOn(UploadSession.prototype, 'deleteOne').mockImplementation(async function() {
+      sessions.splice(sessions.indexOf(this), 1);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('chunks are appended at the offset and completed into a file', async () => {
+    const created = await create({ size: 10 });
+    expect(created.status).toBe(201);
+    expect(created.headers['upload-offset']).toBe('0');
+    const location = created.headers.location;
+
+    expect((await sendChunk(location, 0, '01234')).status).toBe(204);
+
+    const status = await request(app).head(location);
+    expect(status.headers['upload-offset']).toBe('5');
+    expect(status.headers['upload-length']).toBe('10');
+
+    // A retried chunk from a stale offset is refused, with the offset to resume from
+    const stale = await sendChunk(location, 0, '01234');
+    expect(stale.status).toBe(409);
+    expect(stale.body.offset).toBe(5);
+
+    expect((await sendChunk(location, 5, '56789')).status).toBe(204);
+
+    const completed = await request(app).post(`${location}/complete`);
+    expect(completed.status).toBe(201);
+    expect(storeFile).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ owner, name: 'notes.txt', maxSize: 10 }));
+    expect(await storeFile.mock.results[0].value).toMatchObject({ content: '0123456789' });
+
+    // The session and its received data are gone
+    expect(sessions).toHaveLength(0);
+    expect(fs.readdirSync(tmpDir)).toHaveLength(0);
+  });
+
+  test('an upload cannot be completed before every byte arrived', async () => {
+    const { headers } = await create({ size: 10 });
+    await sendChunk(headers.location, 0, '012');
+
+    const response = await request(app).post(`${headers.location}/complete`);
+    expect(response.status).toBe(409);
+    expect(storeFile).not.toHaveBeenCalled();
+  });
+
+  test('bytes past the declared length are refused', async () => {
+    const { headers } = await create({ size: 4 });
+
+    const response = await sendChunk(headers.location, 0, '0123456789');
+    expect(response.status).toBe(413);
+  });
+
+  test('a session reserves its size against the quota up front', async () => {
+    getStorageQuota.mockResolvedValueOnce({ available: 5 });
+
+    const response = await create({ size: 10 });
+    expect(response.status).toBe(413);
+    expect(sessions).toHaveLength(0);
+  });
+
+  test('uploads only go into the uploader\'s own folders', async () => {
+    const own = new Folder({ name: 'Mine', owner });
+    const shared = new Folder({
+      name: 'Team',
+      owner: id(),
+      shareSettings: { sharedWith: [{ user: owner, permission: 'write' }] }
+    });
+    folders.push(own, shared);
+
+    expect((await create({ size: 1, folderId: shared._id.toString() })).status).toBe(404);
+    expect((await create({ size: 1, folderId: own._id.toString() })).status).toBe(201);
+  });
+});
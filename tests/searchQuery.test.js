@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const Folder = require('../src/models/Folder');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { SearchQueryError, parseSearchQuery, compileSearchQuery } = require('../src/utils/searchQuery');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('search query language', () => {
+  const userId = id();
+
+  const compile = (query, options) => compileSearchQuery(parseSearchQuery(query), userId, options);
+
+  // The filter conditions after the deleted and access checks every query gets
+  const conditionsOf = ({ filter }) => filter.$and.slice(2);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('splits words, phrases and filters, with negation', () => {
+    expect(parseSearchQuery('budget "annual report" -draft type:pdf -tag:old')).toEqual({
+      terms: [
+        { value: 'budget', phrase: false, negated: false, position: 0 },
+        { value: 'annual report', phrase: true, negated: false, position: 7 },
+        { value: 'draft', phrase: false, negated: true, position: 23 }
+      ],
+      filters: [
+        { key: 'type', operator: '=', value: 'pdf', negated: false, position: 30, valuePosition: 35 },
+        { key: 'tag', operator: '=', value: 'old', negated: true, position: 39, valuePosition: 44 }
+      ]
+    });
+  });
+
+  test('words that only look like filters are kept as words', () => {
+    expect(parseSearchQuery('e=mc2').terms).toEqual([expect.objectContaining({ value: 'e=mc2' })]);
+  });
+
+  test.each([
+    ['"open', 'Unterminated quote', 0],
+    ['color:red', 'Unknown filter "color". Available filters: type, name, tag, in, owner, shared, size, created, modified', 0],
+    ['tag>x', 'The tag filter does not support ">"', 3],
+    ['type:', 'Missing value for type', 5]
+  ])('reports %s as an error at its position', (query, message, position) => {
+    let error;
+    try {
+      parseSearchQuery(query);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(SearchQueryError);
+    expect(error).toMatchObject({ message, position });
+  });
+
+  test('free-text terms become the text search string', async () => {
+    await expect(compile('budget "annual report" -draft')).resolves.toMatchObject({
+      text: 'budget "annual report" -draft'
+    });
+  });
+
+  test('sizes take units and comparisons', async () => {
+    expect(conditionsOf(await compile('size>10mb'))).toEqual([{ size: { $gt: 10 * 1024 * 1024 } }]);
+    await expect(compile('size:huge')).rejects.toMatchObject({ name: 'SearchQueryError', position: 5 });
+  });
+
+  test('dates cover whole days', async () => {
+    const [before] = conditionsOf(await compile('created:<2026-01-01'));
+    expect(before).toEqual({ createdAt: { $lt: new Date('2026-01-01T00:00:00Z') } });
+
+    const [during] = conditionsOf(await compile('created:2026-01-01'));
+    expect(during).toEqual({ createdAt: { $gte: new Date('2026-01-01T00:00:00Z'), $lt: new Date('2026-01-02T00:00:00Z') } });
+
+    await expect(compile('created:2026-02-30')).rejects.toThrow('Invalid date "2026-02-30". Use YYYY-MM-DD');
+  });
+
+  test('types match categories, MIME types and extensions', async () => {
+    expect(conditionsOf(await compile('type:image'))).toEqual([{ mimeType: { $regex: /^image\// } }]);
+    expect(conditionsOf(await compile('type:docx'))).toEqual([{
+      mimeType: { $in: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'] }
+    }]);
+    await expect(compile('type:blob')).rejects.toMatchObject({ name: 'SearchQueryError' });
+  });
+
+  test('negated filters exclude what they match', async () => {
+    expect(conditionsOf(await compile('-tag:old'))).toEqual([{ $nor: [{ tags: { $regex: '^old$', $options: 'i' } }] }]);
+  });
+
+  test('filters no item of a kind can meet rule the whole kind out', async () => {
+    await expect(compile('type:folder')).resolves.toMatchObject({ filter: null });
+    await expect(compile('size>1kb', { kind: 'folder' })).resolves.toMatchObject({ filter: null });
+    expect(conditionsOf(await compile('type:folder', { kind: 'folder' }))).toEqual([]);
+  });
+
+  test('in: follows a folder path from the root and takes in its subfolders', async () => {
+    const finance = new Folder({ name: 'Finance', owner: userId });
+    const year = new Folder({ name: '2025', owner: userId, parent: finance._id });
+    const nested = id();
+    useMemoryModel(Folder, [finance, year]);
+    jest.spyOn(Folder, 'findDescendantIds').mockResolvedValue([nested]);
+
+    expect(conditionsOf(await compile('in:"Finance/2025"'))).toEqual([{ folder: { $in: [year._id, nested] } }]);
+    await expect(compile('in:Missing')).rejects.toThrow('Folder "Missing" not found');
+  });
+});
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const File = require('../src/models/File');
+const Folder = require('../src/models/Folder');
+const User = require('../src/models/User');
+const { parseSearchQuery } = require('../src/utils/searchQuery');
+const { SearchCursorError, rankSearchResults, paginate } = require('../src/utils/searchRanking');
+const { buildFacets } = require('../src/utils/searchFacets');
+
+const id = () => new mongoose.Types.ObjectId();
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+// Query result that takes the sort/limit/select chains the code makes
+const results = (docs) => {
+  const chain = {
+    sort: () => chain,
+    limit: () => chain,
+    select: () => chain,
+    then: (resolve, reject) => Promise.resolve(docs).then(resolve, reject)
+  };
+  return chain;
+};
+
+describe('unified search', () => {
+  const userId = id();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('files and folders are ranked together, name matches by how well they match', async () => {
+    const textMatch = new File({ name: 'q3.pdf', mimeType: 'application/pdf', owner: userId, uploadedAt: daysAgo(3) });
+    const partialName = new File({ name: 'reports.txt', mimeType: 'text/plain', owner: userId, uploadedAt: daysAgo(1) });
+    const exactFolder = new Folder({ name: 'Report', owner: userId, updatedAt: daysAgo(2) });
+    jest.spyOn(textMatch, 'get').mockImplementation((path) => (path === 'score' ? 12 : undefined));
+
+    jest.spyOn(File, 'find')
+      .mockImplementationOnce(() => results([textMatch]))
+      .mockImplementationOnce(() => results([partialName]));
+    jest.spyOn(Folder, 'find').mockImplementation(() => results([exactFolder]));
+
+    const { items, text } = await rankSearchResults(parseSearchQuery('report'), userId);
+
+    expect(text).toBe('report');
+    expect(items.map(item => [item.kind, item.doc.name, item.score])).toEqual([
+      ['folder', 'Report', 15],
+      ['file', 'q3.pdf', 12],
+      ['file', 'reports.txt', 10]
+    ]);
+  });
+
+  describe('cursors', () => {
+    const items = [30, 20, 20, 10].map((score, index) => ({
+      kind: 'file',
+      score,
+      modifiedAt: daysAgo(index),
+      doc: { _id: id() }
+    }));
+
+    test('page through the ranking without repeats or gaps', () => {
+      const first = paginate(items, null, 2);
+      expect(first.page).toEqual(items.slice(0, 2));
+
+      const second = paginate(items, first.nextCursor, 2);
+      expect(second.page).toEqual(items.slice(2));
+      expect(second.nextCursor).toBeNull();
+    });
+
+    test('stay put when items before them go away', () => {
+      const { nextCursor } = paginate(items, null, 2);
+
+      expect(paginate(items.slice(1), nextCursor, 2).page).toEqual(items.slice(2));
+    });
+
+    test('that cannot be read are refused', () => {
+      expect(() => paginate(items, 'not-a-cursor', 2)).toThrow(SearchCursorError);
+      expect(() => paginate(items, Buffer.from('{"s":"x"}').toString('base64url'), 2)).toThrow(SearchCursorError);
+    });
+  });
+
+  test('facets count matches with the query that narrows down to each', async () => {
+    const colleague = { _id: id(), name: 'Sam', email: 'sam@example.com' };
+    const projects = new Folder({ name: 'Projects', owner: userId });
+    const items = [
+      { kind: 'file', doc: new File({ name: 'a.pdf', mimeType: 'application/pdf', owner: userId, folder: projects._id }), modifiedAt: new Date() },
+      { kind: 'file', doc: new File({ name: 'b.pdf', mimeType: 'application/pdf', owner: colleague._id }), modifiedAt: daysAgo(400) },
+      { kind: 'folder', doc: projects, modifiedAt: daysAgo(10) }
+    ];
+    jest.spyOn(User, 'find').mockImplementation(() => results([colleague]));
+    jest.spyOn(Folder, 'find').mockImplementation(() => results([projects]));
+
+    const facets = await buildFacets(items, userId);
+
+    expect(facets.type).toEqual([
+      { value: 'pdf', count: 2, query: 'type:pdf' },
+      { value: 'folder', count: 1, query: 'type:folder' }
+    ]);
+    expect(facets.owner).toEqual(expect.arrayContaining([
+      expect.objectContaining({ value: String(userId), count: 2, query: 'owner:me' }),
+      expect.objectContaining({ value: String(colleague._id), count: 1, name: 'Sam', query: 'owner:sam@example.com' })
+    ]));
+    expect(facets.folder).toEqual(expect.arrayContaining([
+      { value: null, count: 2, name: 'Root', query: 'in:/' },
+      { value: String(projects._id), count: 1, name: 'Projects', query: `in:${projects._id}` }
+    ]));
+    expect(facets.modified.map(({ value, count }) => [value, count])).toEqual([
+      ['today', 1],
+      ['last7Days', 1],
+      ['last30Days', 2],
+      ['lastYear', 2],
+      ['older', 1]
+    ]);
+  });
+});
@@ -0,0 +1,267 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const File = require('../src/models/File');
+const User = require('../src/models/User');
+const ShareLink = require('../src/models/ShareLink');
+const FileActivity = require('../src/models/FileActivity');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { applyLinkOptions } = require('../src/utils/shareLinks');
+
+const mockContent = Buffer.from('0123456789');
+
+// Serve stored bytes from memory, honouring the requested range
+jest.mock('../src/storage', () => {
+  const { Readable } = require('stream');
+  return {
+    getStorage: () => ({
+      getStream: async (key, { start, end } = {}) => Readable.from([
+        mockContent.subarray(start || 0, end === undefined ? mockContent.length : end + 1)
+      ])
+    })
+  };
+});
+
+const {
+  getSharedFile,
+  downloadSharedFile,
+  getSharedFileThumbnail,
+  unlockSharedFile,
+  shareFile
+} = require('../src/controllers/fileController');
+const { getRecent } = require('../src/controllers/recentController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('share link limits', () => {
+  const owner = id();
+  let file;
+  let links;
+
+  const createApp = () => {
+    const app = express();
+    app.use(express.json());
+    app.get('/shared/:token', getSharedFile);
+    app.get('/shared/:token/download', downloadSharedFile);
+    app.get('/shared/:token/thumbnails/:size', getSharedFileThumbnail);
+    app.post('/shared/:token/unlock', unlockSharedFile);
+    return app;
+  };
+
+  const addLink = async (options = {}, fields = {}) => {
+    const link = new ShareLink({
+      itemType: 'File',
+      item: file._id,
+      owner,
+      token: `token-${links.length}`,
+      createdBy: owner,
+      ...fields
+    });
+    await applyLinkOptions(link, options);
+    links.push(link);
+    return link;
+  };
+
+  const download = (token, range) => {
+    const req = request(createApp()).get(`/shared/${token}/download`);
+    return range ? req.set('Range', range) : req;
+  };
+
+  beforeEach(() => {
+    file = new File({
+      name: 'notes.txt',
+      originalName: 'notes.txt',
+      size: mockContent.length,
+      mimeType: 'text/plain',
+      storageProvider: 'local',
+      storageKey: 'notes',
+      owner
+    });
+    links = [];
+
+    useMemoryModel(File, [file]);
+    useMemoryModel(ShareLink, links);
+    jest.spyOn(File, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    // Counting is a conditional $inc; apply it to the in-memory link
+    jest.spyOn(ShareLink, 'updateOne').mockImplementation(async ({ _id, downloads }, { $inc }) => {
+      const link = links.find(candidate => candidate._id.equals(_id));
+      if (!link || (downloads && !(link.downloads < downloads.$lt))) return { modifiedCount: 0 };
+      link.downloads += $inc.downloads;
+      return { modifiedCount: 1 };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('each full download uses one up until none are left', async () => {
+    const link = await addLink({ maxDownloads: 2 });
+
+    expect((await download(link.token)).status).toBe(200);
+    expect((await download(link.token, 'bytes=0-3')).status).toBe(206);
+    expect(link.downloads).toBe(2);
+
+    const response = await download(link.token);
+    expect(response.status).toBe(410);
+    expect(response.body).toMatchObject({ success: false, reason: 'limit' });
+  });
+
+  test('seeking within a file does not count as a download', async () => {
+    const link = await addLink({ maxDownloads: 2 });
+
+    const response = await download(link.token, 'bytes=5-');
+    expect(response.status).toBe(206);
+    expect(response.text).toBe('56789');
+    expect(link.downloads).toBe(0);
+  });
+
+  test('a range that combines to the whole file counts', async () => {
+    const link = await addLink({ maxDownloads: 1 });
+
+    const response = await download(link.token, 'bytes=1-,0-0');
+    expect(response.status).toBe(206);
+    expect(response.text).toBe('0123456789');
+    expect(link.downloads).toBe(1);
+
+    expect((await download(link.token, 'bytes=1-,0-0')).status).toBe(410);
+  });
+
+  test('no part of the file is served once the limit is used up', async () => {
+    const link = await addLink({ maxDownloads: 1 });
+    await download(link.token);
+
+    const response = await download(link.token, 'bytes=1-');
+    expect(response.status).toBe(410);
+    expect(response.headers['content-disposition']).toBeUndefined();
+  });
+
+  test('expired links are refused', async () => {
+    const link = await addLink({}, { expiresAt: new Date(Date.now() - 1000) });
+
+    const response = await download(link.token);
+    expect(response.status).toBe(410);
+    expect(response.body.reason).toBe('expired');
+  });
+
+  test('password-protected links need an access token from unlocking', async () => {
+    const link = await addLink({ password: 'open sesame' });
+
+    expect((await download(link.token)).status).toBe(401);
+
+    const wrong = await request(createApp()).post(`/shared/${link.token}/unlock`).send({ password: 'nope' });
+    expect(wrong.status).toBe(401);
+
+    const unlocked = await request(createApp()).post(`/shared/${link.token}/unlock`).send({ password: 'open sesame' });
+    expect(unlocked.status).toBe(200);
+
+    const response = await download(link.token).set('X-Share-Access-Token', unlocked.body.accessToken);
+    expect(response.status).toBe(200);
+    expect(response.text).toBe('0123456789');
+  });
+
+  test('view-only links cannot download', async () => {
+    const link = await addLink({}, { role: 'viewer' });
+
+    expect((await download(link.token)).status).toBe(403);
+  });
+
+  test('revoked links are gone', async () => {
+    const link = await addLink({}, { revokedAt: new Date() });
+
+    expect((await download(link.token)).status).toBe(404);
+  });
+
+  test('shared files are only offered through the share routes', async () => {
+    const link = await addLink();
+    file.thumbnails = [{ size: 'medium', storageProvider: 'local', storageKey: 'notes-medium.webp' }];
+    jest.spyOn(file, 'populate').mockResolvedValue(file);
+
+    const response = await request(createApp()).get(`/shared/${link.token}`);
+    expect(response.status).toBe(200);
+    expect(response.body.file).not.toHaveProperty('url');
+    expect(response.body.file).toMatchObject({
+      downloadUrl: `/api/files/shared/${link.token}/download`,
+      thumbnailUrl: `/api/files/shared/${link.token}/thumbnails/medium`,
+      thumbnails: { medium: `/api/files/shared/${link.token}/thumbnails/medium` }
+    });
+    expect(response.text).not.toContain('/storage/');
+  });
+
+  test('thumbnails stop with the link', async () => {
+    const link = await addLink();
+    file.thumbnails = [{ size: 'medium', storageProvider: 'local', storageKey: 'notes-medium.webp' }];
+
+    const thumbnail = () => request(createApp()).get(`/shared/${link.token}/thumbnails/medium`);
+    const response = await thumbnail();
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('image/webp');
+
+    link.revokedAt = new Date();
+    expect((await thumbnail()).status).toBe(404);
+  });
+
+  test('sharing with a password never sends the hash back', async () => {
+    const recipient = { _id: id(), email: 'friend@example.com' };
+    jest.spyOn(User, 'findOne').mockResolvedValue(recipient);
+    jest.spyOn(file, 'save').mockResolvedValue(file);
+    jest.spyOn(file, 'populate').mockResolvedValue(file);
+
+    const app = express();
+    app.use(express.json());
+    app.post('/:id/share', (req, res, next) => {
+      req.user = { _id: owner };
+      next();
+    }, shareFile);
+
+    const response = await request(app)
+      .post(`/${file._id}/share`)
+      .send({ email: recipient.email, password: 'open sesame' });
+
+    expect(response.status).toBe(200);
+    expect(file.shareSettings.link.passwordHash).toEqual(expect.any(String));
+    expect(response.text).not.toContain(file.shareSettings.link.passwordHash);
+    expect(response.text).not.toContain('passwordHash');
+    expect(response.body.file.shareSettings.link).toMatchObject({ hasPassword: true });
+  });
+
+  test('downloading through a link leaves the file out of the recent feed', async () => {
+    const link = await addLink();
+    const visitor = { _id: id() };
+    const activities = [];
+    jest.spyOn(FileActivity, 'record').mockImplementation(async (user, fileId, action) => {
+      activities.push({ user, file: fileId, action, at: new Date() });
+    });
+    jest.spyOn(FileActivity, 'aggregate').mockImplementation(async () => activities
+      .map(({ file: fileId, action, at }) => ({ _id: fileId, action, at })));
+    jest.spyOn(File, 'populate').mockImplementation(async (docs) => docs);
+
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = visitor;
+      next();
+    });
+    app.get('/shared/:token/download', downloadSharedFile);
+    app.get('/recent', getRecent);
+
+    expect((await request(app).get(`/shared/${link.token}/download`)).status).toBe(200);
+    expect(activities).toHaveLength(0);
+
+    // Nor does an older entry bring it back once the file is merely public
+    file.shareSettings.isPublic = true;
+    activities.push({ user: visitor._id, file: file._id, action: 'opened', at: new Date() });
+
+    const response = await request(app).get('/recent');
+    expect(response.status).toBe(200);
+    expect(response.body.groups).toEqual([]);
+  });
+
+  test('public files are not reachable by id, only through their links', async () => {
+    file.shareSettings.isPublic = true;
+
+    await expect(File.findAccessibleBy(file._id, id())).resolves.toBeNull();
+    await expect(File.findAccessibleBy(file._id, owner)).resolves.toBe(file);
+  });
+});
@@ -0,0 +1,90 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const File = require('../src/models/File');
+const Folder = require('../src/models/Folder');
+const Star = require('../src/models/Star');
+const User = require('../src/models/User');
+const { starFile, unstarFile, getStarred } = require('../src/controllers/starController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('starred items', () => {
+  const userId = id();
+  const colleague = id();
+
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = { _id: userId };
+    next();
+  });
+  app.post('/files/:id/star', starFile);
+  app.delete('/files/:id/star', unstarFile);
+  app.get('/starred', getStarred);
+
+  const file = (name, fields = {}) => new File({ name, originalName: name, size: 1, mimeType: 'text/plain', owner: userId, ...fields });
+  const star = (itemType, item, createdAt) => ({ itemType, item, createdAt });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('starring an item the user can see is idempotent', async () => {
+    const notes = file('notes.txt');
+    jest.spyOn(File, 'findAccessibleBy').mockResolvedValue(notes);
+    jest.spyOn(Star, 'updateOne').mockResolvedValue({ upsertedCount: 1 });
+
+    const response = await request(app).post(`/files/${notes._id}/star`);
+
+    expect(response.body).toMatchObject({ success: true, isStarred: true });
+    expect(Star.updateOne).toHaveBeenCalledWith(
+      { user: userId, itemType: 'File', item: notes._id },
+      expect.any(Object),
+      { upsert: true }
+    );
+  });
+
+  test('items out of reach cannot be starred, but can always be unstarred', async () => {
+    jest.spyOn(File, 'findAccessibleBy').mockResolvedValue(null);
+    jest.spyOn(Star, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    const fileId = id();
+
+    expect((await request(app).post(`/files/${fileId}/star`)).status).toBe(404);
+    expect((await request(app).delete(`/files/${fileId}/star`)).body).toMatchObject({ isStarred: false });
+    expect(Star.deleteOne).toHaveBeenCalledWith({ user: userId, itemType: 'File', item: String(fileId) });
+  });
+
+  test('the starred view mixes files and folders and hides items the user cannot open', async () => {
+    const older = file('older.txt');
+    const newer = new Folder({ name: 'Projects', owner: userId });
+    const trashed = file('gone.txt', { isDeleted: true });
+    const publicOnly = file('public.txt', { owner: colleague, shareSettings: { isPublic: true } });
+
+    jest.spyOn(Star, 'find').mockReturnValue({
+      populate: async () => [
+        star('File', older, new Date('2026-01-01')),
+        star('Folder', newer, new Date('2026-02-01')),
+        star('File', trashed, new Date('2026-03-01')),
+        star('File', publicOnly, new Date('2026-04-01')),
+        // Deleted for good
+        star('File', null, new Date('2026-05-01'))
+      ]
+    });
+    jest.spyOn(User, 'find').mockReturnValue({ select: async () => [] });
+
+    const response = await request(app).get('/starred');
+
+    expect(response.body.items.map(item => [item.kind, item.name])).toEqual([
+      ['folder', 'Projects'],
+      ['file', 'older.txt']
+    ]);
+    expect(response.body.pagination).toMatchObject({ total: 2 });
+
+    const byName = await request(app).get('/starred?sort=name');
+    expect(byName.body.items.map(item => item.name)).toEqual(['older.txt', 'Projects']);
+  });
+
+  test('unknown sort orders are refused', async () => {
+    expect((await request(app).get('/starred?sort=color')).status).toBe(400);
+  });
+});
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const File = require('../src/models/File');
+const FileVersion = require('../src/models/FileVersion');
+const Folder = require('../src/models/Folder');
+const UsageSnapshot = require('../src/models/UsageSnapshot');
+const { summarizeUsage, snapshotUsage, getUsageHistory } = require('../src/utils/storageAnalytics');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// find().select().lean() resolving to the given documents
+const lean = (docs) => ({ select: () => ({ lean: async () => docs }) });
+
+describe('storage analytics', () => {
+  const userId = id();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('usage is broken down by category and top-level folder, with versions', async () => {
+    const photos = { _id: id(), name: 'Photos', parent: null };
+    const trip = { _id: id(), name: 'Trip', parent: photos._id };
+    const files = [
+      { _id: id(), name: 'beach.jpg', mimeType: 'image/jpeg', size: 100, folder: trip._id, isDeleted: false },
+      { _id: id(), name: 'plan.pdf', mimeType: 'application/pdf', size: 30, folder: null, isDeleted: false },
+      { _id: id(), name: 'old.jpg', mimeType: 'image/jpeg', size: 50, folder: photos._id, isDeleted: true }
+    ];
+    jest.spyOn(File, 'find').mockReturnValue(lean(files));
+    jest.spyOn(Folder, 'find').mockReturnValue(lean([photos, trip]));
+    jest.spyOn(FileVersion, 'aggregate').mockResolvedValue([
+      { _id: files[1]._id, size: 20, count: 2 },
+      { _id: files[2]._id, size: 5, count: 1 }
+    ]);
+
+    const summary = await summarizeUsage(userId);
+
+    expect(summary).toMatchObject({
+      live: { size: 150, count: 2 },
+      trash: { size: 55, count: 1 },
+      versions: { size: 25, count: 3 }
+    });
+    expect(summary.byCategory).toEqual([
+      { category: 'image', size: 100, count: 1 },
+      { category: 'pdf', size: 50, count: 1 }
+    ]);
+    expect(summary.byFolder).toEqual([
+      { folder: { id: photos._id, name: 'Photos' }, size: 100, count: 1 },
+      { folder: null, size: 50, count: 1 }
+    ]);
+    expect(summary.largestFiles.map(file => [file.name, file.versionSize])).toEqual([['beach.jpg', 0], ['plan.pdf', 20]]);
+  });
+
+  test('a day\'s snapshot is written once and updated after', async () => {
+    jest.spyOn(File, 'getUserStorageUsage')
+      .mockResolvedValueOnce({ totalSize: 120, versionSize: 20, totalFiles: 4 })
+      .mockResolvedValueOnce({ totalSize: 100 });
+    jest.spyOn(UsageSnapshot, 'findOneAndUpdate').mockResolvedValue({});
+
+    await snapshotUsage(userId, new Date('2026-10-18T15:30:00Z'));
+
+    expect(UsageSnapshot.findOneAndUpdate).toHaveBeenCalledWith(
+      { user: userId, day: new Date('2026-10-18T00:00:00Z') },
+      { totalSize: 120, trashSize: 20, versionSize: 20, fileCount: 4 },
+      { upsert: true, new: true }
+    );
+  });
+
+  test('history covers the requested days, today included', async () => {
+    jest.spyOn(UsageSnapshot, 'find').mockReturnValue({
+      sort: async () => [{ day: new Date('2026-10-17T00:00:00Z'), totalSize: 1, trashSize: 0, versionSize: 0, fileCount: 1 }]
+    });
+
+    const history = await getUsageHistory(userId, 7, new Date('2026-10-18T15:30:00Z'));
+
+    expect(UsageSnapshot.find).toHaveBeenCalledWith({ user: userId, day: { $gte: new Date('2026-10-12T00:00:00Z') } });
+    expect(history).toEqual([{ date: '2026-10-17', totalSize: 1, trashSize: 0, versionSize: 0, fileCount: 1 }]);
+  });
+});
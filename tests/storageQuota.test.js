@@ -0,0 +1,176 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const File = require('../src/models/File');
+const UploadSession = require('../src/models/UploadSession');
+const UsageLedger = require('../src/models/UsageLedger');
+
+// Count the streamed bytes instead of storing them, cutting off at maxSize
+// like the real upload inspector does
+jest.mock('../src/utils/fileStore', () => ({
+  putContent: jest.fn((stream, { maxSize }) => new Promise((resolve, reject) => {
+    let size = 0;
+    stream.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxSize) {
+        const error = new Error('File too large');
+        error.code = 'LIMIT_FILE_SIZE';
+        stream.resume();
+        reject(error);
+      }
+    });
+    stream.on('end', () => resolve({ size, storageProvider: 'local', storageKey: `key-${size}` }));
+  })),
+  discardContent: jest.fn(async () => {})
+}));
+
+const { upload, handleMulterError } = require('../src/middleware/upload');
+const { adjustStorage, getStorageQuota, assertStorageAvailable, holdStorage } = require('../src/utils/storageUsage');
+const { repairStorageUsage } = require('../src/controllers/adminController');
+
+const resolved = (value) => ({ select: () => Promise.resolve(value) });
+
+describe('storage quota', () => {
+  let user;
+
+  beforeEach(() => {
+    user = { _id: new mongoose.Types.ObjectId(), storageUsed: 0, storageLimit: 100 };
+
+    jest.spyOn(User, 'findById').mockImplementation(() => resolved(user));
+    jest.spyOn(User, 'findByIdAndUpdate').mockImplementation((id, { $inc }) => {
+      user.storageUsed += $inc.storageUsed;
+      return resolved(user);
+    });
+    jest.spyOn(UploadSession, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(UsageLedger, 'create').mockResolvedValue({});
+    // Rejected uploads are logged by the multer error handler
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reserved space includes held upload bytes and open upload sessions', async () => {
+    UploadSession.aggregate.mockResolvedValue([{ _id: null, total: 30 }]);
+    user.storageUsed = 20;
+    const release = holdStorage(user._id, 40);
+
+    await expect(getStorageQuota(user._id)).resolves.toEqual({ limit: 100, used: 20, reserved: 70, available: 10 });
+
+    release();
+    release();
+    await expect(getStorageQuota(user._id)).resolves.toMatchObject({ reserved: 30, available: 50 });
+  });
+
+  test('adjustStorage lets go of the hold as soon as usage includes the bytes', async () => {
+    const release = holdStorage(user._id, 60);
+
+    await adjustStorage(user._id, 60, { reason: 'file-added', release });
+
+    await expect(getStorageQuota(user._id)).resolves.toEqual({ limit: 100, used: 60, reserved: 0, available: 40 });
+    expect(UsageLedger.create).toHaveBeenCalledWith(expect.objectContaining({ delta: 60, balance: 60 }));
+  });
+
+  test('recalculating usage records the drift as a correction', async () => {
+    user.storageUsed = 80;
+    jest.spyOn(File, 'getUserStorageUsage').mockResolvedValue({ totalSize: 50 });
+
+    await expect(User.recalculateStorageUsage(user._id)).resolves.toBe(50);
+    expect(user.storageUsed).toBe(50);
+    expect(UsageLedger.create).toHaveBeenCalledWith(expect.objectContaining({ delta: -30, reason: 'repair' }));
+  });
+
+  test('adding more than the space left is refused with the space available', async () => {
+    user.storageUsed = 90;
+
+    await expect(assertStorageAvailable(user._id, 10)).resolves.toMatchObject({ available: 10 });
+    await expect(assertStorageAvailable(user._id, 11)).rejects.toMatchObject({
+      name: 'StorageQuotaError',
+      status: 413,
+      required: 11,
+      available: 10
+    });
+  });
+
+  test('changes of nothing leave no ledger entry', async () => {
+    await expect(adjustStorage(user._id, 0, { reason: 'file-added' })).resolves.toBeNull();
+    expect(UsageLedger.create).not.toHaveBeenCalled();
+  });
+
+  test('repairing usage reports the drift it corrected', async () => {
+    user.storageUsed = 80;
+    jest.spyOn(File, 'getUserStorageUsage').mockResolvedValue({ totalSize: 50 });
+    const app = express();
+    app.post('/users/:id/storage/repair', repairStorageUsage);
+
+    const response = await request(app).post(`/users/${user._id}/storage/repair`);
+
+    expect(response.body).toMatchObject({ message: 'Storage usage repaired', storageUsed: 50, drift: 30 });
+  });
+
+  test('recalculating usage of a removed user changes nothing', async () => {
+    User.findById.mockImplementation(() => resolved(null));
+    jest.spyOn(File, 'getUserStorageUsage').mockResolvedValue({ totalSize: 50 });
+
+    await expect(User.recalculateStorageUsage(user._id)).resolves.toBeNull();
+    expect(UsageLedger.create).not.toHaveBeenCalled();
+  });
+
+  describe('multipart uploads', () => {
+    let quotaWhileResponding;
+
+    // Records the upload the way createFileRecord does, then looks at the
+    // quota before the response goes out
+    const createApp = () => {
+      const app = express();
+      app.post('/upload',
+        (req, res, next) => {
+          req.user = { _id: user._id };
+          next();
+        },
+        upload.single('file'),
+        handleMulterError,
+        async (req, res) => {
+          await adjustStorage(user._id, req.file.size, { reason: 'file-added', release: req.file.releaseHold });
+          quotaWhileResponding = await getStorageQuota(user._id);
+          res.status(201).json({ success: true, size: req.file.size });
+        }
+      );
+      return app;
+    };
+
+    test('stores a file that fits and stops counting it twice once recorded', async () => {
+      const response = await request(createApp())
+        .post('/upload')
+        .attach('file', Buffer.alloc(60, 'a'), { filename: 'a.txt', contentType: 'text/plain' });
+
+      expect(response.status).toBe(201);
+      expect(quotaWhileResponding).toMatchObject({ used: 60, reserved: 0, available: 40 });
+    });
+
+    test('turns away a file bigger than the space left', async () => {
+      user.storageUsed = 70;
+
+      const response = await request(createApp())
+        .post('/upload')
+        .attach('file', Buffer.alloc(60, 'a'), { filename: 'a.txt', contentType: 'text/plain' });
+
+      expect(response.status).toBe(413);
+      expect(response.body).toMatchObject({ success: false, available: 30 });
+      expect(user.storageUsed).toBe(70);
+    });
+
+    test('turns away any upload when the quota is used up', async () => {
+      user.storageUsed = 100;
+
+      const response = await request(createApp())
+        .post('/upload')
+        .attach('file', Buffer.alloc(1, 'a'), { filename: 'a.txt', contentType: 'text/plain' });
+
+      expect(response.status).toBe(413);
+      expect(response.body).toMatchObject({ success: false, available: 0 });
+    });
+  });
+});
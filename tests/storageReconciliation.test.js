@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const Blob = require('../src/models/Blob');
+const File = require('../src/models/File');
+const FileVersion = require('../src/models/FileVersion');
+const storageConfig = require('../src/config/storage');
+
+// One backend whose listing the tests fill in
+jest.mock('../src/storage', () => {
+  const mockDriver = {
+    objects: [],
+    outsidePrefix: new Set(),
+    async *list() {
+      yield* mockDriver.objects;
+    },
+    exists: jest.fn(async (key) => mockDriver.outsidePrefix.has(key)),
+    delete: jest.fn(async () => {})
+  };
+  return { getStorage: () => mockDriver };
+});
+
+const { getStorage } = require('../src/storage');
+const { reconcileUserStorage } = require('../src/utils/storageReconciliation');
+
+// find().select().lean() resolving to the given documents
+const lean = (docs) => ({ select: () => ({ lean: async () => docs }) });
+
+describe('storage reconciliation', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const now = new Date('2026-10-18T12:00:00Z');
+  const hoursAgo = (hours) => new Date(now.getTime() - hours * 60 * 60 * 1000);
+  const { driver, orphanGracePeriodHours } = storageConfig;
+  const storage = getStorage();
+
+  beforeEach(() => {
+    storageConfig.driver = 'local';
+    storageConfig.orphanGracePeriodHours = 24;
+
+    const fileId = new mongoose.Types.ObjectId();
+    jest.spyOn(Blob, 'find').mockReturnValue(lean([{ _id: 'blob', storageProvider: 'local', storageKey: `${userId}/blob` }]));
+    jest.spyOn(File, 'find').mockReturnValue(lean([{
+      _id: fileId,
+      storageProvider: 'local',
+      storageKey: `${userId}/blob`,
+      thumbnails: [{ storageProvider: 'local', storageKey: `${userId}/thumbnails/small.webp` }]
+    }, {
+      _id: new mongoose.Types.ObjectId(),
+      storageProvider: 'local',
+      storageKey: 'legacy-upload'
+    }]));
+    jest.spyOn(FileVersion, 'find').mockReturnValue(lean([{ file: fileId, storageProvider: 'local', storageKey: `${userId}/gone` }]));
+
+    storage.objects = [
+      { key: `${userId}/blob`, size: 10, lastModified: hoursAgo(100) },
+      { key: `${userId}/thumbnails/small.webp`, size: 1, lastModified: hoursAgo(100) },
+      { key: `${userId}/old-orphan`, size: 5, lastModified: hoursAgo(48) },
+      // Possibly an upload still being recorded
+      { key: `${userId}/new-orphan`, size: 7, lastModified: hoursAgo(1) }
+    ];
+    storage.outsidePrefix = new Set(['legacy-upload']);
+  });
+
+  afterEach(() => {
+    storageConfig.driver = driver;
+    storageConfig.orphanGracePeriodHours = orphanGracePeriodHours;
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('reports orphans and missing objects without changing anything', async () => {
+    const report = await reconcileUserStorage(userId, { now });
+
+    expect(report).toMatchObject({ scanned: 4, orphanCount: 2, orphanBytes: 12, missingCount: 1, deleted: 0 });
+    expect(report.orphans.map(orphan => [orphan.storageKey, orphan.expired])).toEqual([
+      [`${userId}/old-orphan`, true],
+      [`${userId}/new-orphan`, false]
+    ]);
+    expect(report.missing).toEqual([expect.objectContaining({
+      storageKey: `${userId}/gone`,
+      references: [expect.objectContaining({ type: 'version' })]
+    })]);
+    expect(storage.delete).not.toHaveBeenCalled();
+  });
+
+  test('applying deletes only orphans past the grace period', async () => {
+    const report = await reconcileUserStorage(userId, { apply: true, now });
+
+    expect(storage.delete.mock.calls).toEqual([[`${userId}/old-orphan`]]);
+    expect(report).toMatchObject({ deleted: 1, freedBytes: 5 });
+  });
+
+  test('a failed listing reports nothing as orphaned or missing', async () => {
+    storage.objects = {
+      [Symbol.asyncIterator]: () => ({ next: async () => { throw new Error('listing failed'); } })
+    };
+
+    const report = await reconcileUserStorage(userId, { apply: true, now });
+
+    expect(report).toMatchObject({ orphanCount: 0, missingCount: 0, deleted: 0 });
+    expect(report.errors).toEqual([{ storageProvider: 'local', message: 'listing failed' }]);
+  });
+});
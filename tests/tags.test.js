@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const File = require('../src/models/File');
+const Folder = require('../src/models/Folder');
+const {
+  MAX_TAGS_PER_ITEM,
+  normalizeTags,
+  updateTags,
+  getTagCounts,
+  renameTag
+} = require('../src/utils/tags');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('tags', () => {
+  const userId = id();
+  let file;
+  let folder;
+
+  beforeEach(() => {
+    file = new File({ name: 'invoice.pdf', mimeType: 'application/pdf', owner: userId, tags: ['Invoice', 'paid'] });
+    folder = new Folder({ name: 'Receipts', owner: userId, tags: [] });
+    jest.spyOn(File, 'findAccessibleBy').mockImplementation(async (fileId) => (file._id.equals(fileId) ? file : null));
+    jest.spyOn(Folder, 'findAccessibleBy').mockImplementation(async (folderId) => (folder._id.equals(folderId) ? folder : null));
+    jest.spyOn(file, 'save').mockResolvedValue(file);
+    jest.spyOn(folder, 'save').mockResolvedValue(folder);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('tags are trimmed, lowercased and deduplicated', () => {
+    expect(normalizeTags(['  Tax   Return ', 'tax return', 'Q1'])).toEqual(['tax return', 'q1']);
+    expect(normalizeTags('single')).toEqual(['single']);
+    expect(() => normalizeTags(['  '])).toThrow('Tags cannot be empty');
+    expect(() => normalizeTags({ tag: 'x' })).toThrow('Tags must be an array of strings');
+  });
+
+  test('adds and removes tags on files and folders, whatever case old tags were saved in', async () => {
+    await updateTags(
+      { fileIds: [file._id], folderIds: [folder._id] },
+      { add: ['2025', 'paid'], remove: ['invoice'] },
+      userId
+    );
+
+    expect(file.tags).toEqual(['paid', '2025']);
+    expect(folder.tags).toEqual(['2025', 'paid']);
+    expect(File.findAccessibleBy).toHaveBeenCalledWith(file._id, userId, { write: true });
+  });
+
+  test('nothing changes when an item is out of reach or would get too many tags', async () => {
+    await expect(updateTags({ fileIds: [file._id, id()] }, { add: ['new'] }, userId))
+      .rejects.toMatchObject({ name: 'TagError', status: 404 });
+
+    const many = Array.from({ length: MAX_TAGS_PER_ITEM }, (value, index) => `tag-${index}`);
+    await expect(updateTags({ fileIds: [file._id], folderIds: [folder._id] }, { add: many }, userId))
+      .rejects.toMatchObject({ status: 400 });
+
+    expect(file.save).not.toHaveBeenCalled();
+    expect(folder.save).not.toHaveBeenCalled();
+  });
+
+  test('counts combine files and folders and respect the prefix', async () => {
+    jest.spyOn(File, 'aggregate').mockResolvedValue([
+      { _id: 'invoice', count: 3 },
+      { _id: 'paid', count: 1 }
+    ]);
+    jest.spyOn(Folder, 'aggregate').mockResolvedValue([{ _id: 'invoice', count: 1 }]);
+
+    await expect(getTagCounts(userId)).resolves.toEqual([
+      { name: 'invoice', count: 4, files: 3, folders: 1 },
+      { name: 'paid', count: 1, files: 1, folders: 0 }
+    ]);
+    // Other tags on matching items come back from $unwind too
+    await expect(getTagCounts(userId, 'IN')).resolves.toEqual([
+      { name: 'invoice', count: 4, files: 3, folders: 1 }
+    ]);
+  });
+
+  test('renaming adds the new tag before pulling the old one and reports merges', async () => {
+    jest.spyOn(File, 'exists').mockResolvedValue({ _id: file._id });
+    jest.spyOn(Folder, 'exists').mockResolvedValue(null);
+    jest.spyOn(File, 'updateMany').mockResolvedValue({ matchedCount: 2 });
+    jest.spyOn(Folder, 'updateMany').mockResolvedValue({ matchedCount: 0 });
+
+    await expect(renameTag(userId, 'invoice', 'bill')).resolves.toEqual({ files: 2, folders: 0, merged: true });
+
+    const [[addFilter, add], [, pull]] = File.updateMany.mock.calls;
+    expect(addFilter.tags.test('Invoice')).toBe(true);
+    expect(add).toEqual({ $addToSet: { tags: 'bill' } });
+    expect(pull.$pull.tags.test('INVOICE')).toBe(true);
+  });
+});
@@ -0,0 +1,43 @@
+const JSZip = require('jszip');
+const searchConfig = require('../src/config/search');
+const { extractText } = require('../src/utils/textExtraction');
+
+const docx = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const buildDocx = (parts) => {
+  const zip = new JSZip();
+  Object.entries(parts).forEach(([name, xml]) => zip.file(name, xml));
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+describe('extractText for Office documents', () => {
+  const { maxExtractedPartsSize } = searchConfig;
+
+  beforeEach(() => {
+    searchConfig.maxExtractedPartsSize = 1024 * 1024;
+  });
+
+  afterEach(() => {
+    searchConfig.maxExtractedPartsSize = maxExtractedPartsSize;
+    jest.restoreAllMocks();
+  });
+
+  test('pulls paragraphs out of a docx', async () => {
+    const buffer = await buildDocx({ 'word/document.xml': '<w:p>Hello</w:p><w:p>World &amp; co</w:p>' });
+
+    await expect(extractText(buffer, docx)).resolves.toBe('Hello\nWorld & co');
+  });
+
+  test('stops decompressing a part that expands past the limit', async () => {
+    const buffer = await buildDocx({ 'word/document.xml': 'a'.repeat(2 * 1024 * 1024) });
+
+    await expect(extractText(buffer, docx)).rejects.toMatchObject({ code: 'EXTRACTION_LIMIT_EXCEEDED' });
+  });
+
+  test('the limit covers all text parts together', async () => {
+    const part = 'a'.repeat(600 * 1024);
+    const buffer = await buildDocx({ 'word/document.xml': part, 'word/footer1.xml': part });
+
+    await expect(extractText(buffer, docx)).rejects.toMatchObject({ code: 'EXTRACTION_LIMIT_EXCEEDED' });
+  });
+});
@@ -0,0 +1,90 @@
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const File = require('../src/models/File');
+
+jest.mock('../src/storage', () => {
+  const mockDriver = {
+    name: 'local',
+    getStream: jest.fn(),
+    put: jest.fn(async (data, { filename }) => ({ key: `new/${filename}`, size: data.length }))
+  };
+  return { getStorage: () => mockDriver };
+});
+jest.mock('../src/utils/blobStore', () => ({ deleteObject: jest.fn(async () => {}) }));
+
+const { getStorage } = require('../src/storage');
+const { deleteObject } = require('../src/utils/blobStore');
+const { canGenerateThumbnails, renderThumbnails, generateThumbnails } = require('../src/utils/thumbnails');
+
+// A wide PNG, so each size is bounded by its width
+const landscape = () => sharp({
+  create: { width: 1000, height: 500, channels: 3, background: '#3366cc' }
+}).png().toBuffer();
+
+describe('thumbnails', () => {
+  let file;
+
+  beforeEach(async () => {
+    const image = await landscape();
+    file = new File({
+      name: 'wide.png',
+      originalName: 'wide.png',
+      size: image.length,
+      mimeType: 'image/png',
+      storageProvider: 'local',
+      storageKey: 'wide',
+      owner: new mongoose.Types.ObjectId(),
+      thumbnails: [{ size: 'small', width: 1, height: 1, storageProvider: 'local', storageKey: 'old/small.webp' }]
+    });
+    getStorage().getStream.mockImplementation(async () => Readable.from([image]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('only images within the source size limit get thumbnails', () => {
+    expect(canGenerateThumbnails(file)).toBe(true);
+    expect(canGenerateThumbnails({ mimeType: 'application/pdf', size: 10 })).toBe(false);
+    expect(canGenerateThumbnails({ mimeType: 'image/png', size: Infinity })).toBe(false);
+  });
+
+  test('every configured size is rendered as WebP within its bounding box', async () => {
+    const rendered = await renderThumbnails(Readable.from([await landscape()]));
+
+    expect(rendered.map(({ size, width, height }) => ({ size, width, height }))).toEqual([
+      { size: 'small', width: 128, height: 64 },
+      { size: 'medium', width: 256, height: 128 },
+      { size: 'large', width: 512, height: 256 }
+    ]);
+    expect((await sharp(rendered[0].data).metadata()).format).toBe('webp');
+  });
+
+  test('content that is not an image fails to render', async () => {
+    await expect(renderThumbnails(Readable.from([Buffer.from('not an image')]))).rejects.toThrow();
+  });
+
+  test('new thumbnails replace the old ones, which are then deleted', async () => {
+    jest.spyOn(File, 'findOneAndUpdate').mockResolvedValue({ thumbnails: file.thumbnails });
+
+    const thumbnails = await generateThumbnails(file);
+
+    expect(thumbnails.map(thumbnail => thumbnail.storageKey)).toEqual(['new/small.webp', 'new/medium.webp', 'new/large.webp']);
+    expect(File.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: file._id, storageKey: 'wide' },
+      { $set: { thumbnails } },
+      expect.any(Object)
+    );
+    expect(deleteObject.mock.calls.map(([thumbnail]) => thumbnail.storageKey)).toEqual(['old/small.webp']);
+  });
+
+  test('thumbnails of content replaced in the meantime are thrown away', async () => {
+    jest.spyOn(File, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(generateThumbnails(file)).resolves.toEqual([]);
+    expect(deleteObject.mock.calls.map(([thumbnail]) => thumbnail.storageKey))
+      .toEqual(['new/small.webp', 'new/medium.webp', 'new/large.webp']);
+  });
+});
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const File = require('../src/models/File');
+const Folder = require('../src/models/Folder');
+const User = require('../src/models/User');
+const Star = require('../src/models/Star');
+const ShareLink = require('../src/models/ShareLink');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+jest.mock('../src/utils/fileStore', () => ({
+  purgeFile: jest.fn(async (file) => file.size)
+}));
+
+const { purgeFile } = require('../src/utils/fileStore');
+const { retentionDaysFor, purgeAtFor, purgeFolderTree, purgeTrash } = require('../src/utils/trash');
+const purgeExpiredTrash = require('../src/jobs/purgeExpiredTrash');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('trash purging', () => {
+  const owner = id();
+  let folders;
+  let files;
+  let trashed;
+
+  beforeEach(() => {
+    // /Docs was trashed with /Docs/old in it. Later a new live /Docs/sub was
+    // created under a new live /Docs, and one file was restored into the
+    // trashed folder's place.
+    trashed = { _id: id(), owner, name: 'Docs', path: '/Docs', parent: null, isDeleted: true, deletedAt: new Date('2026-01-01') };
+    const trashedChild = { _id: id(), owner, name: 'old', path: '/Docs/old', parent: trashed._id, isDeleted: true, deletedAt: trashed.deletedAt };
+    const liveDocs = { _id: id(), owner, name: 'Docs', path: '/Docs', parent: null, isDeleted: false };
+    const liveSub = { _id: id(), owner, name: 'sub', path: '/Docs/sub', parent: liveDocs._id, isDeleted: false };
+    const liveUnderTrashed = { _id: id(), owner, name: 'kept', path: '/Docs/kept', parent: trashed._id, isDeleted: false };
+    folders = [trashed, trashedChild, liveDocs, liveSub, liveUnderTrashed];
+
+    files = [
+      { _id: id(), owner, name: 'a.txt', folder: trashed._id, size: 10, isDeleted: true, deletedAt: trashed.deletedAt },
+      { _id: id(), owner, name: 'b.txt', folder: trashedChild._id, size: 20, isDeleted: true, deletedAt: trashed.deletedAt },
+      { _id: id(), owner, name: 'restored.txt', folder: trashed._id, size: 40, isDeleted: false },
+      { _id: id(), owner, name: 'live.txt', folder: liveSub._id, size: 80, isDeleted: false },
+      { _id: id(), owner, name: 'kept.txt', folder: liveUnderTrashed._id, size: 160, isDeleted: false }
+    ];
+
+    useMemoryModel(Folder, folders);
+    useMemoryModel(File, files);
+    useMemoryModel(Star, []);
+    useMemoryModel(ShareLink, []);
+    purgeFile.mockClear();
+    purgeFile.mockImplementation(async (file) => {
+      files.splice(files.indexOf(file), 1);
+      return file.size;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('purgeFolderTree removes only the trashed part of the tree', async () => {
+    const result = await purgeFolderTree(trashed);
+
+    expect(result).toEqual({ files: 2, folders: 2, freed: 30 });
+    expect(purgeFile.mock.calls.map(([file]) => file.name).sort()).toEqual(['a.txt', 'b.txt']);
+    expect(folders.map(folder => folder.path).sort()).toEqual(['/Docs', '/Docs/kept', '/Docs/sub']);
+    expect(folders.every(folder => !folder.isDeleted)).toBe(true);
+  });
+
+  test('purgeTrash leaves live folders that share a trashed path alone', async () => {
+    const result = await purgeTrash(owner);
+
+    expect(result).toEqual({ files: 2, folders: 2, freed: 30 });
+    expect(folders).toHaveLength(3);
+    expect(files.map(file => file.name).sort()).toEqual(['kept.txt', 'live.txt', 'restored.txt']);
+  });
+
+  test('purgeTrash only takes items trashed before the cutoff', async () => {
+    const result = await purgeTrash(owner, { deletedBefore: new Date('2025-12-01') });
+
+    expect(result).toEqual({ files: 0, folders: 0, freed: 0 });
+    expect(purgeFile).not.toHaveBeenCalled();
+    expect(folders).toHaveLength(5);
+  });
+
+  test('items are kept for the owner\'s retention period, or the default one', () => {
+    expect(retentionDaysFor({ trashRetentionDays: 7 })).toBe(7);
+    expect(retentionDaysFor({ trashRetentionDays: null })).toBe(30);
+    expect(purgeAtFor(new Date('2026-01-01'), 7)).toEqual(new Date('2026-01-08'));
+    expect(purgeAtFor(null, 7)).toBeNull();
+  });
+
+  describe('scheduled purge', () => {
+    let user;
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: new Date('2026-03-01'), doNotFake: ['nextTick', 'setImmediate'] });
+      user = { _id: owner, trashRetentionDays: null };
+      jest.spyOn(File, 'distinct').mockResolvedValue([owner]);
+      jest.spyOn(Folder, 'distinct').mockResolvedValue([owner]);
+      jest.spyOn(User, 'find').mockReturnValue({ select: async () => [user] });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('purges what has been in the trash longer than the owner keeps it', async () => {
+      await purgeExpiredTrash();
+
+      expect(purgeFile).toHaveBeenCalledTimes(2);
+      expect(folders).toHaveLength(3);
+    });
+
+    test('keeps items for owners who chose a longer retention', async () => {
+      user.trashRetentionDays = 90;
+
+      await purgeExpiredTrash();
+
+      expect(purgeFile).not.toHaveBeenCalled();
+      expect(folders).toHaveLength(5);
+    });
+  });
+});
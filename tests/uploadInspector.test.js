@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const { Readable, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { createUploadInspector, sniffMimeType, isCompatibleType } = require('../src/utils/uploadInspector');
+
+const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]);
+const elf = Buffer.from([0x7f, 0x45, 0x4c, 0x46, 0x02, 0x01]);
+
+// Pipe chunks through an inspector into a sink, resolving to its result
+const inspect = async (chunks, options) => {
+  const inspector = createUploadInspector(options);
+  const sink = new Writable({ write: (chunk, encoding, callback) => callback() });
+  await pipeline(Readable.from(chunks), inspector, sink);
+  return inspector.result();
+};
+
+describe('upload inspector', () => {
+  test('sniffs types from magic numbers and RIFF headers', () => {
+    const webp = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WEBP')]);
+
+    expect(sniffMimeType(png)).toBe('image/png');
+    expect(sniffMimeType(webp)).toBe('image/webp');
+    expect(sniffMimeType(Buffer.from('just some text'))).toBeNull();
+  });
+
+  test('matches detected types against declared ones', () => {
+    expect(isCompatibleType('image/png', 'image/png')).toBe(true);
+    expect(isCompatibleType('application/zip', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document')).toBe(true);
+    expect(isCompatibleType('image/png', 'application/pdf')).toBe(false);
+    // Text has no signature to check
+    expect(isCompatibleType(null, 'image/png')).toBe(true);
+    // Executables are refused whatever they claim to be
+    expect(isCompatibleType('application/x-executable', 'text/plain')).toBe(false);
+  });
+
+  test('counts and hashes the bytes passing through', async () => {
+    const chunks = [png.slice(0, 3), png.slice(3)];
+
+    const result = await inspect(chunks, { declaredType: 'image/png' });
+
+    expect(result).toEqual({
+      size: png.length,
+      hash: crypto.createHash('sha256').update(png).digest('hex'),
+      detectedType: 'image/png'
+    });
+  });
+
+  test('fails as soon as the size limit is crossed', async () => {
+    await expect(inspect([Buffer.alloc(5), Buffer.alloc(5)], { maxSize: 8 }))
+      .rejects.toMatchObject({ code: 'LIMIT_FILE_SIZE' });
+  });
+
+  test('fails when the content contradicts the declared type', async () => {
+    await expect(inspect([png], { declaredType: 'application/pdf' }))
+      .rejects.toMatchObject({ code: 'CONTENT_TYPE_MISMATCH' });
+    await expect(inspect([elf], { declaredType: 'text/plain' }))
+      .rejects.toMatchObject({ code: 'CONTENT_TYPE_MISMATCH' });
+  });
+});
@@ -0,0 +1,164 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const File = require('../src/models/File');
+const Folder = require('../src/models/Folder');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+jest.mock('../src/utils/fileStore', () => ({
+  createFileRecord: jest.fn(async (content, details) => ({ ...details, ...content })),
+  discardContent: jest.fn(async () => {}),
+  copyContent: jest.fn(),
+  purgeFile: jest.fn()
+}));
+jest.mock('../src/utils/fileVersions', () => ({
+  addFileVersion: jest.fn(async (file) => file)
+}));
+
+const { createFileRecord, discardContent } = require('../src/utils/fileStore');
+const { addFileVersion } = require('../src/utils/fileVersions');
+const { uploadFile, uploadFiles, uploadFolder } = require('../src/controllers/fileController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Content as the upload middleware leaves it on req.file / req.files
+const stored = (index, originalname) => ({
+  index,
+  originalname,
+  mimetype: 'text/plain',
+  storageProvider: 'local',
+  storageKey: `key-${index}`,
+  size: 10
+});
+
+describe('multi-file and folder uploads', () => {
+  const owner = id();
+  const colleague = id();
+  let folders;
+  let files;
+  let ownFolder;
+  let sharedFolder;
+
+  // Stand in for multer: the test supplies the stored files and form fields
+  const createApp = (handler, uploaded) => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { _id: owner };
+      req.files = uploaded;
+      req.file = uploaded[0];
+      req.batchUpload = { rejected: [] };
+      next();
+    });
+    app.post('/', handler);
+    return app;
+  };
+
+  beforeEach(() => {
+    ownFolder = new Folder({ name: 'Mine', owner });
+    // The colleague's folder, shared with the uploader for writing
+    sharedFolder = new Folder({
+      name: 'Team',
+      owner: colleague,
+      shareSettings: { sharedWith: [{ user: owner, permission: 'write' }] }
+    });
+    folders = [ownFolder, sharedFolder];
+    files = [];
+
+    useMemoryModel(Folder, folders);
+    useMemoryModel(File, files);
+    jest.spyOn(Folder, 'create').mockImplementation(async (fields) => {
+      const folder = new Folder(fields);
+      folders.push(folder);
+      return folder;
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('each file of a batch is recorded in the folder, renamed by names[i]', async () => {
+    const response = await request(createApp(uploadFiles, [stored(0, 'a.txt'), stored(1, 'b.txt')]))
+      .post('/')
+      .send({ folderId: ownFolder._id.toString(), names: ['first.txt'] });
+
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({ success: true, uploaded: 2, failed: 0 });
+    expect(response.body.results.map(result => result.file.name)).toEqual(['first.txt', 'b.txt']);
+    expect(createFileRecord).toHaveBeenCalledWith(
+      expect.objectContaining({ storageKey: 'key-1' }),
+      expect.objectContaining({ owner, folder: ownFolder._id.toString() })
+    );
+  });
+
+  test('files that failed to upload are reported without failing the rest', async () => {
+    const failed = { ...stored(1, 'big.iso'), storageKey: null, uploadError: 'File too large' };
+
+    const response = await request(createApp(uploadFiles, [stored(0, 'a.txt'), failed])).post('/').send({});
+
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({ success: false, uploaded: 1, failed: 1 });
+    expect(response.body.results[1]).toMatchObject({ index: 1, success: false, message: 'File too large' });
+  });
+
+  test('folder uploads recreate the directory tree under the folder', async () => {
+    const response = await request(createApp(uploadFolder, [stored(0, 'a.txt'), stored(1, 'c.txt')]))
+      .post('/')
+      .send({
+        folderId: ownFolder._id.toString(),
+        paths: ['Photos/2024/a.txt', 'Photos/c.txt']
+      });
+
+    expect(response.status).toBe(201);
+    const [photos, year] = folders.slice(2);
+    expect(photos).toMatchObject({ name: 'Photos', owner });
+    expect(String(photos.parent)).toBe(ownFolder._id.toString());
+    expect(year).toMatchObject({ name: '2024', parent: photos._id });
+    expect(response.body.folders.map(folder => folder.name)).toEqual(['Photos', '2024']);
+    expect(createFileRecord).toHaveBeenCalledWith(
+      expect.objectContaining({ storageKey: 'key-0' }),
+      expect.objectContaining({ name: 'a.txt', folder: year._id })
+    );
+    expect(createFileRecord).toHaveBeenCalledWith(
+      expect.objectContaining({ storageKey: 'key-1' }),
+      expect.objectContaining({ name: 'c.txt', folder: photos._id })
+    );
+  });
+
+  test('folder uploads resolve name clashes by the conflict policy', async () => {
+    const existing = new File({
+      name: 'a.txt',
+      originalName: 'a.txt',
+      size: 1,
+      mimeType: 'text/plain',
+      storageProvider: 'local',
+      storageKey: 'old',
+      folder: null,
+      owner
+    });
+    files.push(existing);
+
+    const skip = await request(createApp(uploadFolder, [stored(0, 'a.txt')])).post('/').send({ conflict: 'skip' });
+    expect(skip.body.results[0]).toMatchObject({ success: true, action: 'skipped' });
+    expect(discardContent).toHaveBeenCalledWith(expect.objectContaining({ storageKey: 'key-0' }));
+
+    const replace = await request(createApp(uploadFolder, [stored(0, 'a.txt')])).post('/').send({ conflict: 'replace' });
+    expect(replace.body.results[0]).toMatchObject({ success: true, action: 'replaced' });
+    expect(addFileVersion).toHaveBeenCalledWith(existing, expect.objectContaining({ storageKey: 'key-0' }), expect.any(Object));
+  });
+
+  test('nothing is uploaded into someone else\'s folder, even a writable one', async () => {
+    const folderId = sharedFolder._id.toString();
+
+    for (const handler of [uploadFile, uploadFiles, uploadFolder]) {
+      const response = await request(createApp(handler, [stored(0, 'a.txt')])).post('/').send({ folderId });
+      expect(response.status).toBe(404);
+    }
+
+    expect(createFileRecord).not.toHaveBeenCalled();
+    expect(discardContent).toHaveBeenCalledTimes(3);
+  });
+});